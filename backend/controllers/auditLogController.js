@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { AuditLog } from "../models/AuditLog.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+
+// Get audit log entries with filtering and pagination
+const getAuditLogs = asyncWrapper(async (req, res, next) => {
+  const {
+    entityType,
+    entityId,
+    user,
+    action,
+    from,
+    to,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  let query = {};
+
+  // Filter by entity
+  if (entityType) query.entityType = entityType;
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return next(createCustomError("Invalid entity id", 400));
+    }
+    query.entityId = entityId;
+  }
+
+  // Filter by the user who made the change
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      return next(createCustomError("Invalid user id", 400));
+    }
+    query.actor = user;
+  }
+
+  if (action) query.action = action;
+
+  // Date range filter
+  if (from || to) {
+    const fromDate = from && new Date(from);
+    const toDate = to && new Date(to);
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return next(createCustomError("Invalid date range", 400));
+    }
+
+    query.timestamp = {};
+    if (fromDate) query.timestamp.$gte = fromDate;
+    if (toDate) query.timestamp.$lte = toDate;
+  }
+
+  const skip = (page - 1) * limit;
+  const auditLogs = await AuditLog.find(query)
+    .populate("actor", "userId email profile.firstName profile.lastName")
+    .limit(limit * 1)
+    .skip(skip)
+    .sort({ timestamp: -1 });
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: auditLogs.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    auditLogs,
+  });
+});
+
+// Get a single audit log entry
+const getAuditLogById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const auditLog = await AuditLog.findById(id)
+    .populate("actor", "userId email role profile.firstName profile.lastName");
+
+  if (!auditLog) {
+    return next(createCustomError(`No audit log entry with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    auditLog,
+  });
+});
+
+export {
+  getAuditLogs,
+  getAuditLogById,
+};
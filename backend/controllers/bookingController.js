@@ -1,7 +1,25 @@
 import { Booking } from "../models/Booking.js";
 import User from "../models/User.js";
+import { Vehicle } from "../models/Vehicle.js";
 import { createCustomError } from "../errors/custom-error.js";
 import asyncWrapper from "../middleware/async.js";
+import { sendTemplatedEmail, formatDateForUser } from "../services/email/index.js";
+import {
+  getAvailability,
+  reserveBookingSlot,
+  releaseBookingSlot,
+  createBookingInSlot,
+  toDateKey,
+  toShopTime,
+} from "../services/bookingAvailabilityService.js";
+import { rescheduleBooking as applyReschedule } from "../services/bookingRescheduleService.js";
+import { checkWorkApproval } from "../services/estimateService.js";
+import { checkMileage, recordMileage } from "../services/vehicleMileageService.js";
+import { parseConditionRecord, uploadConditionPhotos, deleteConditionPhotos, compareConditions } from "../services/vehicleConditionService.js";
+import { getDepositRequirement, checkDepositPaid, markNoShow, refreshCustomerReliability } from "../services/noShowService.js";
+import { rankInspectors, pickInspector, findInspectorLeave } from "../services/inspectorAssignmentService.js";
+import { quoteCancellationFee, cancelWithPolicy, getCancellationStats, CANCELLATION_REASONS } from "../services/cancellationService.js";
+import { hasPermission } from "../services/permissionService.js";
 
 // Create booking (cashier only)
 const createBooking = asyncWrapper(async (req, res, next) => {
@@ -21,6 +39,9 @@ const createBooking = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Selected user is not a customer", 400));
   }
 
+  // Customers who missed bookings before pay a deposit
+  const deposit = await getDepositRequirement(customerUser);
+
   // Create booking with initial log entry
   const bookingData = {
     customer,
@@ -30,22 +51,40 @@ const createBooking = asyncWrapper(async (req, res, next) => {
     timeSlot,
     description,
     priority: priority || "medium",
+    deposit: deposit.required ? { required: true, amount: deposit.amount } : undefined,
     createdBy: req.user.userId,
     notes: [{
-      note: "Booking created",
+      note: deposit.required
+        ? `Booking created, deposit of LKR ${deposit.amount} required after ${deposit.noShowCount} no-shows`
+        : "Booking created",
       createdBy: req.user.userId,
       createdAt: new Date()
     }]
   };
 
-  const booking = await Booking.create(bookingData);
+  // Takes the place atomically; past dates, closed days and full slots are rejected
+  const { booking, error } = await createBookingInSlot(bookingData);
+  if (error) {
+    return next(error);
+  }
 
   // Populate customer and vehicle details
   await booking.populate("customer vehicle createdBy");
 
+  // Send booking confirmation to the customer
+  await sendTemplatedEmail(booking.customer, "bookingConfirmation", {
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    vehicle: booking.vehicle ? `${booking.vehicle.make} ${booking.vehicle.model} (${booking.vehicle.registrationNumber})` : "",
+    date: formatDateForUser(booking.scheduledDate, booking.customer),
+    timeSlot: booking.timeSlot,
+  });
+
   res.status(201).json({
     success: true,
-    message: "Booking created successfully",
+    message: deposit.required
+      ? `Booking created. A deposit of LKR ${deposit.amount} is required before the vehicle is inspected`
+      : "Booking created successfully",
     booking,
   });
 });
@@ -137,23 +176,70 @@ const getBookingById = asyncWrapper(async (req, res, next) => {
 const updateBooking = asyncWrapper(async (req, res, next) => {
   const { id: bookingId } = req.params;
 
-  // Prevent updating certain sensitive fields
-  const restrictedFields = ["bookingId", "createdBy", "customer"];
-  restrictedFields.forEach(field => delete req.body[field]);
+  // Date and slot changes go through the reschedule endpoint so they are recorded
+  const { scheduledDate, timeSlot, serviceType } = req.body;
+  if (scheduledDate || timeSlot) {
+    return next(createCustomError("Use PATCH /bookings/:id/reschedule to change the date or time slot", 400));
+  }
 
-  const booking = await Booking.findByIdAndUpdate(
-    bookingId,
-    req.body,
-    {
-      new: true,
-      runValidators: true,
+  // Status changes go through the status endpoint and its checks
+  if (req.body.status) {
+    return next(createCustomError("Use PATCH /bookings/:id/status to change the status", 400));
+  }
+
+  // Only booking details can be edited here; deposits, cancellations, inspector assignment and
+  // check-in/check-out have their own endpoints
+  const editableFields = ["description", "serviceType", "priority", "estimatedCost", "notes"];
+  const update = {};
+  editableFields.forEach(field => {
+    if (req.body[field] !== undefined) update[field] = req.body[field];
+  });
+
+  // Changing the service type moves the booking's place to that service type in the same slot
+  let movedFrom = null;
+  if (serviceType) {
+    const existingBooking = await Booking.findById(bookingId);
+    if (!existingBooking) {
+      return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+    }
+
+    // Cancelled bookings and no-shows hold no place
+    if (serviceType !== existingBooking.serviceType && !["cancelled", "no_show"].includes(existingBooking.status)) {
+      const slotError = await reserveBookingSlot({
+        scheduledDate: existingBooking.scheduledDate,
+        timeSlot: existingBooking.timeSlot,
+        serviceType,
+      });
+      if (slotError) {
+        return next(slotError);
+      }
+      movedFrom = existingBooking;
     }
-  ).populate("customer vehicle assignedInspector createdBy");
+  }
+
+  let booking;
+  try {
+    booking = await Booking.findByIdAndUpdate(
+      bookingId,
+      update,
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate("customer vehicle assignedInspector createdBy");
+  } catch (error) {
+    if (movedFrom) await releaseBookingSlot({ ...movedFrom.toObject(), serviceType });
+    throw error;
+  }
 
   if (!booking) {
     return next(createCustomError(`No booking with id: ${bookingId}`, 404));
   }
 
+  if (movedFrom) {
+    await releaseBookingSlot(movedFrom);
+  }
+
   res.status(200).json({
     success: true,
     message: "Booking updated successfully",
@@ -161,10 +247,45 @@ const updateBooking = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// Reschedule booking to another date and/or time slot
+const rescheduleBooking = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+  const { scheduledDate, timeSlot, reason, requestedBy } = req.body;
+
+  // Staff say who asked for the move, only customer requests count towards the limit
+  if (!["customer", "shop"].includes(requestedBy)) {
+    return next(createCustomError("requestedBy is required and must be customer or shop", 400));
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  const rescheduleError = await applyReschedule(booking, {
+    scheduledDate,
+    timeSlot,
+    reason,
+    requestedBy,
+    userId: req.user.userId,
+  });
+  if (rescheduleError) {
+    return next(rescheduleError);
+  }
+
+  await booking.populate("customer vehicle assignedInspector createdBy rescheduleHistory.rescheduledBy");
+
+  res.status(200).json({
+    success: true,
+    message: "Booking rescheduled successfully",
+    booking,
+  });
+});
+
 // Cancel booking (cashier/admin only)
 const cancelBooking = asyncWrapper(async (req, res, next) => {
   const { id: bookingId } = req.params;
-  const { reason } = req.body;
+  const { reasonCode, reason, waiveFee } = req.body;
 
   const booking = await Booking.findById(bookingId);
   if (!booking) {
@@ -180,40 +301,59 @@ const cancelBooking = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Booking is already cancelled", 400));
   }
 
-  booking.status = "cancelled";
-  booking.notes.push({
-    note: reason || "Booking cancelled",
-    createdBy: req.user.userId,
-    createdAt: new Date()
-  });
+  if (booking.status === "no_show") {
+    return next(createCustomError("Cannot cancel a booking marked as a no-show", 400));
+  }
+
+  if (waiveFee && !(await hasPermission(req.user.role, "booking.waiveCancellationFee", req.user))) {
+    return next(createCustomError("You are not allowed to waive cancellation fees", 403));
+  }
+
+  const result = await cancelWithPolicy(booking, { reasonCode, reason, userId: req.user.userId, waiveFee });
+  if (result.error) {
+    return next(result.error);
+  }
 
-  await booking.save();
   await booking.populate("customer vehicle assignedInspector createdBy");
 
   res.status(200).json({
     success: true,
-    message: "Booking cancelled successfully",
+    message: result.invoice
+      ? `Booking cancelled. A late cancellation fee of LKR ${result.invoice.total} was invoiced as ${result.invoice.invoiceId}`
+      : "Booking cancelled successfully",
     booking,
+    invoice: result.invoice,
+    waitlistOffers: result.waitlistOffers.map(entry => entry.waitlistId),
   });
 });
 
-// Assign inspector to booking (cashier only)
-const assignInspector = asyncWrapper(async (req, res, next) => {
+// Fee for cancelling the booking now, before the cancellation is confirmed
+const getCancellationQuote = asyncWrapper(async (req, res, next) => {
   const { id: bookingId } = req.params;
-  const { inspectorId } = req.body;
+  const { reasonCode } = req.query;
 
-  if (!inspectorId) {
-    return next(createCustomError("Inspector ID is required", 400));
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
   }
 
-  // Check if inspector exists and has correct role
-  const inspector = await User.findById(inspectorId);
-  if (!inspector) {
-    return next(createCustomError("Inspector not found", 404));
-  }
+  const quote = await quoteCancellationFee(booking, reasonCode);
+
+  res.status(200).json({
+    success: true,
+    ...quote,
+    reasonCodes: CANCELLATION_REASONS,
+  });
+});
+
+// Assign inspector to booking (cashier only).
+// With auto: true the least busy matching advisor who is not on leave is picked.
+const assignInspector = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+  const { inspectorId, auto } = req.body;
 
-  if (inspector.role !== "service_advisor") {
-    return next(createCustomError("Selected user is not a service advisor/inspector", 400));
+  if (!inspectorId && !auto) {
+    return next(createCustomError("Inspector ID is required", 400));
   }
 
   const booking = await Booking.findById(bookingId);
@@ -226,10 +366,48 @@ const assignInspector = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Can only assign inspector to pending bookings", 400));
   }
 
-  booking.assignedInspector = inspectorId;
+  const depositError = checkDepositPaid(booking);
+  if (depositError) {
+    return next(depositError);
+  }
+
+  let inspector;
+  let reason;
+  let candidates;
+
+  if (inspectorId) {
+    // Check if inspector exists and has correct role
+    inspector = await User.findById(inspectorId);
+    if (!inspector) {
+      return next(createCustomError("Inspector not found", 404));
+    }
+
+    if (inspector.role !== "service_advisor") {
+      return next(createCustomError("Selected user is not a service advisor/inspector", 400));
+    }
+
+    const leave = await findInspectorLeave(inspector._id, booking.scheduledDate);
+    if (leave) {
+      return next(createCustomError(`${inspector.profile.firstName} ${inspector.profile.lastName} is on approved leave that day (${leave.requestId})`, 400));
+    }
+  } else {
+    const pick = await pickInspector(booking);
+    if (!pick) {
+      return next(createCustomError("No service advisor is available on the booking date", 409));
+    }
+    ({ inspector, reason, candidates } = pick);
+  }
+
+  booking.assignedInspector = inspector._id;
+  booking.inspectorAssignment = {
+    method: inspectorId ? "manual" : "auto",
+    reason,
+    assignedBy: req.user.userId,
+    assignedAt: new Date(),
+  };
   booking.status = "inspecting";
   booking.notes.push({
-    note: `Inspector assigned: ${inspector.profile.firstName} ${inspector.profile.lastName}`,
+    note: reason || `Inspector assigned: ${inspector.profile.firstName} ${inspector.profile.lastName}`,
     createdBy: req.user.userId,
     createdAt: new Date()
   });
@@ -241,19 +419,38 @@ const assignInspector = asyncWrapper(async (req, res, next) => {
     success: true,
     message: "Inspector assigned successfully",
     booking,
+    ...(candidates && { candidates }),
+  });
+});
+
+// Service advisors ranked for a booking, with the reason for each position
+const getInspectorSuggestions = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  const candidates = await rankInspectors(booking);
+
+  res.status(200).json({
+    success: true,
+    count: candidates.length,
+    candidates,
   });
 });
 
 // Update booking status (inspector/cashier)
 const updateBookingStatus = asyncWrapper(async (req, res, next) => {
   const { id: bookingId } = req.params;
-  const { status, note } = req.body;
+  const { status, note, reasonCode, waiveFee } = req.body;
 
   if (!status) {
     return next(createCustomError("Status is required", 400));
   }
 
-  const validStatuses = ["pending", "inspecting", "working", "completed", "cancelled"];
+  const validStatuses = ["pending", "inspecting", "working", "completed", "cancelled", "no_show"];
   if (!validStatuses.includes(status)) {
     return next(createCustomError("Invalid status", 400));
   }
@@ -266,21 +463,79 @@ const updateBookingStatus = asyncWrapper(async (req, res, next) => {
   // Status transition validation
   const currentStatus = booking.status;
   const allowedTransitions = {
-    pending: ["inspecting", "cancelled"],
+    pending: ["inspecting", "cancelled", "no_show"],
     inspecting: ["working", "cancelled"],
     working: ["completed", "cancelled"],
     completed: [],
-    cancelled: []
+    cancelled: [],
+    no_show: []
   };
 
   if (!allowedTransitions[currentStatus].includes(status)) {
     return next(createCustomError(`Cannot change status from ${currentStatus} to ${status}`, 400));
   }
 
+  if (status === "no_show") {
+    const slotStart = toShopTime(toDateKey(booking.scheduledDate), booking.timeSlot.split("-")[0]);
+    if (slotStart > new Date()) {
+      return next(createCustomError("A booking can only be marked as a no-show once its slot has started", 400));
+    }
+
+    await markNoShow(booking, { userId: req.user.userId, note });
+    await booking.populate("customer vehicle assignedInspector createdBy");
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking marked as a no-show",
+      booking,
+    });
+  }
+
+  if (status === "cancelled") {
+    if (waiveFee && !(await hasPermission(req.user.role, "booking.waiveCancellationFee", req.user))) {
+      return next(createCustomError("You are not allowed to waive cancellation fees", 403));
+    }
+
+    const result = await cancelWithPolicy(booking, { reasonCode, reason: note, userId: req.user.userId, waiveFee });
+    if (result.error) {
+      return next(result.error);
+    }
+
+    await booking.populate("customer vehicle assignedInspector createdBy");
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking status updated successfully",
+      booking,
+      invoice: result.invoice,
+    });
+  }
+
+  if (status === "inspecting") {
+    const depositError = checkDepositPaid(booking);
+    if (depositError) {
+      return next(depositError);
+    }
+  }
+
+  // The customer has to agree to the price before work starts
+  if (status === "working") {
+    const approvalError = await checkWorkApproval(booking._id);
+    if (approvalError) {
+      return next(approvalError);
+    }
+  }
+
   booking.status = status;
 
   if (status === "completed") {
     booking.completedAt = new Date();
+
+    // Remember the odometer reading for mileage based service reminders
+    const vehicle = await Vehicle.findById(booking.vehicle).select("mileage");
+    if (vehicle) {
+      booking.mileageAtService = vehicle.mileage;
+    }
   }
 
   booking.notes.push({
@@ -290,6 +545,11 @@ const updateBookingStatus = asyncWrapper(async (req, res, next) => {
   });
 
   await booking.save();
+
+  if (status === "completed") {
+    await refreshCustomerReliability(booking.customer);
+  }
+
   await booking.populate("customer vehicle assignedInspector createdBy");
 
   res.status(200).json({
@@ -299,6 +559,202 @@ const updateBookingStatus = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// Record a deposit payment, or waive the deposit
+const recordDeposit = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+  const { waive, note } = req.body;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  if (!booking.deposit?.required) {
+    return next(createCustomError("This booking does not require a deposit", 400));
+  }
+  if (booking.deposit.paidAt) {
+    return next(createCustomError("The deposit has already been paid", 400));
+  }
+
+  if (waive) {
+    booking.deposit.required = false;
+  } else {
+    booking.deposit.paidAt = new Date();
+    booking.deposit.receivedBy = req.user.userId;
+  }
+
+  booking.notes.push({
+    note: note || (waive ? "Deposit waived" : `Deposit of LKR ${booking.deposit.amount} received`),
+    createdBy: req.user.userId,
+    createdAt: new Date()
+  });
+
+  await booking.save();
+  await booking.populate("customer vehicle deposit.receivedBy");
+
+  res.status(200).json({
+    success: true,
+    message: waive ? "Deposit waived" : "Deposit recorded successfully",
+    booking,
+  });
+});
+
+// Save a check-in or check-out unless one was recorded meanwhile. Returns the updated booking or null,
+// the uploaded photos are removed when the record is not saved
+const saveConditionRecord = async (booking, stage, record, note) => {
+  let updated;
+  try {
+    updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, [`${stage}.recordedAt`]: { $exists: false } },
+      { $set: { [stage]: record }, $push: { notes: note } },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    await deleteConditionPhotos(record.photos);
+    throw error;
+  }
+
+  if (!updated) {
+    await deleteConditionPhotos(record.photos);
+  }
+  return updated;
+};
+
+// Record the vehicle's condition when it arrives (multipart, photos in "photos")
+const checkInVehicle = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  if (!["pending", "inspecting"].includes(booking.status)) {
+    return next(createCustomError(`Cannot check in a vehicle for a booking that is ${booking.status}`, 400));
+  }
+  if (booking.checkIn?.recordedAt) {
+    return next(createCustomError("The vehicle has already been checked in", 400));
+  }
+
+  const { record, error } = parseConditionRecord(req.body);
+  if (error) {
+    return next(error);
+  }
+
+  // The odometer reading becomes the vehicle's mileage once the check-in is saved
+  const mileage = await checkMileage(booking.vehicle, record.odometer);
+  if (mileage.error) {
+    return next(mileage.error);
+  }
+
+  record.photos = await uploadConditionPhotos(req.files, `bookings/${booking.bookingId}/check-in`, req.body.photoCaptions);
+  record.recordedBy = req.user.userId;
+  record.recordedAt = new Date();
+
+  const checkedIn = await saveConditionRecord(booking, "checkIn", record, {
+    note: `Vehicle checked in at ${record.odometer} km`,
+    createdBy: req.user.userId,
+    createdAt: new Date()
+  });
+  if (!checkedIn) {
+    return next(createCustomError("The vehicle has already been checked in", 409));
+  }
+
+  await recordMileage(checkedIn.vehicle, record.odometer);
+  await checkedIn.populate("customer vehicle checkIn.recordedBy");
+
+  res.status(200).json({
+    success: true,
+    message: "Vehicle checked in successfully",
+    booking: checkedIn,
+  });
+});
+
+// Record the vehicle's condition when it is handed back
+const checkOutVehicle = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  if (!["completed", "cancelled"].includes(booking.status)) {
+    return next(createCustomError("Vehicles can only be checked out once the booking is completed or cancelled", 400));
+  }
+  if (booking.checkOut?.recordedAt) {
+    return next(createCustomError("The vehicle has already been checked out", 400));
+  }
+
+  const { record, error } = parseConditionRecord(req.body);
+  if (error) {
+    return next(error);
+  }
+
+  const mileage = await checkMileage(booking.vehicle, record.odometer);
+  if (mileage.error) {
+    return next(mileage.error);
+  }
+
+  record.photos = await uploadConditionPhotos(req.files, `bookings/${booking.bookingId}/check-out`, req.body.photoCaptions);
+  record.recordedBy = req.user.userId;
+  record.recordedAt = new Date();
+
+  const checkedOut = await saveConditionRecord(booking, "checkOut", record, {
+    note: `Vehicle checked out at ${record.odometer} km`,
+    createdBy: req.user.userId,
+    createdAt: new Date()
+  });
+  if (!checkedOut) {
+    return next(createCustomError("The vehicle has already been checked out", 409));
+  }
+
+  await recordMileage(checkedOut.vehicle, record.odometer);
+  await checkedOut.populate("customer vehicle checkIn.recordedBy checkOut.recordedBy");
+
+  res.status(200).json({
+    success: true,
+    message: "Vehicle checked out successfully",
+    booking: checkedOut,
+    comparison: compareConditions(checkedOut.checkIn, checkedOut.checkOut),
+  });
+});
+
+// Record that the customer signed off the check-in or check-out condition
+const acknowledgeVehicleCondition = asyncWrapper(async (req, res, next) => {
+  const { id: bookingId } = req.params;
+  const { stage, name, signature } = req.body;
+
+  if (!["checkIn", "checkOut"].includes(stage)) {
+    return next(createCustomError("Stage must be checkIn or checkOut", 400));
+  }
+  if (!name) {
+    return next(createCustomError("The name of the customer signing is required", 400));
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${bookingId}`, 404));
+  }
+
+  const record = booking[stage];
+  if (!record?.recordedAt) {
+    return next(createCustomError(`The vehicle has no ${stage === "checkIn" ? "check-in" : "check-out"} record`, 400));
+  }
+  if (record.acknowledgement?.acknowledgedAt) {
+    return next(createCustomError("The customer has already acknowledged this record", 400));
+  }
+
+  record.acknowledgement = { name, signature, method: "in_person", acknowledgedAt: new Date() };
+  await booking.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Customer acknowledgement recorded",
+    acknowledgement: record.acknowledgement,
+  });
+});
+
 // Add note to booking
 const addBookingNote = asyncWrapper(async (req, res, next) => {
   const { id: bookingId } = req.params;
@@ -379,10 +835,74 @@ const getBookingStats = asyncWrapper(async (req, res) => {
     }
   ]);
 
+  // How often bookings are moved, and by whom
+  const [rescheduleTotals] = await Booking.aggregate([
+    { $unwind: "$rescheduleHistory" },
+    {
+      $group: {
+        _id: null,
+        totalReschedules: { $sum: 1 },
+        customerRequested: {
+          $sum: { $cond: [{ $eq: ["$rescheduleHistory.requestedBy", "customer"] }, 1, 0] }
+        },
+        shopRequested: {
+          $sum: { $cond: [{ $eq: ["$rescheduleHistory.requestedBy", "shop"] }, 1, 0] }
+        },
+        bookings: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        totalReschedules: 1,
+        customerRequested: 1,
+        shopRequested: 1,
+        rescheduledBookings: { $size: "$bookings" },
+      },
+    },
+  ]);
+
+  const topReschedulingCustomers = await Booking.aggregate([
+    { $unwind: "$rescheduleHistory" },
+    { $match: { "rescheduleHistory.requestedBy": "customer" } },
+    {
+      $group: {
+        _id: "$customer",
+        reschedules: { $sum: 1 },
+      },
+    },
+    { $sort: { reschedules: -1 } },
+    { $limit: 10 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "customer",
+        pipeline: [{ $project: { userId: 1, "profile.firstName": 1, "profile.lastName": 1 } }],
+      },
+    },
+    { $unwind: "$customer" },
+  ]);
+
+  const cancellationStats = await getCancellationStats();
+
+  // Customers with the most missed bookings
+  const topNoShowCustomers = await User.find({ role: "customer", "customerDetails.noShowCount": { $gt: 0 } })
+    .select("userId profile.firstName profile.lastName customerDetails.noShowCount customerDetails.reliabilityScore customerDetails.lastNoShowAt")
+    .sort({ "customerDetails.noShowCount": -1 })
+    .limit(10);
+
   const totalBookings = await Booking.countDocuments();
   const pendingBookings = await Booking.countDocuments({ status: "pending" });
   const completedBookings = await Booking.countDocuments({ status: "completed" });
   const cancelledBookings = await Booking.countDocuments({ status: "cancelled" });
+  const noShowBookings = await Booking.countDocuments({ status: "no_show" });
+  const depositsOutstanding = await Booking.countDocuments({
+    status: "pending",
+    "deposit.required": true,
+    "deposit.paidAt": { $exists: false },
+  });
 
   res.status(200).json({
     success: true,
@@ -391,26 +911,70 @@ const getBookingStats = asyncWrapper(async (req, res) => {
       pendingBookings,
       completedBookings,
       cancelledBookings,
+      noShowBookings,
       statusStats,
       serviceTypeStats,
       priorityStats,
       recentBookings,
+      rescheduleStats: {
+        totalReschedules: 0,
+        customerRequested: 0,
+        shopRequested: 0,
+        rescheduledBookings: 0,
+        ...rescheduleTotals,
+        topReschedulingCustomers,
+      },
+      cancellationStats,
+      noShowStats: {
+        totalNoShows: noShowBookings,
+        // Share of bookings whose date came and went that were missed
+        noShowRate: completedBookings + noShowBookings > 0
+          ? Math.round((noShowBookings / (completedBookings + noShowBookings)) * 1000) / 10
+          : 0,
+        depositsOutstanding,
+        topNoShowCustomers,
+      },
     },
   });
 });
 
-// Get available inspectors (service advisors)
-const getAvailableInspectors = asyncWrapper(async (req, res) => {
-  const inspectors = await User.find({
-    role: "service_advisor",
-    status: "active"
-  })
-    .select("userId profile.firstName profile.lastName employeeDetails.department employeeDetails.specializations")
-    .sort({ "profile.firstName": 1 });
+// Get remaining capacity per day, time slot and service type
+const getBookingAvailability = asyncWrapper(async (req, res) => {
+  const { from, to, serviceType } = req.query;
+
+  const availability = await getAvailability({ from, to, serviceType });
+
+  res.status(200).json({
+    success: true,
+    ...availability,
+  });
+});
+
+// Get available inspectors (service advisors) for a day, least busy first.
+// Advisors on approved leave that day are left out.
+const getAvailableInspectors = asyncWrapper(async (req, res, next) => {
+  const { date, serviceType } = req.query;
+
+  const scheduledDate = date ? new Date(date) : new Date();
+  if (isNaN(scheduledDate.getTime())) {
+    return next(createCustomError("Invalid date", 400));
+  }
+
+  const candidates = await rankInspectors({ scheduledDate, serviceType });
+  const inspectors = candidates
+    .filter(candidate => candidate.available)
+    .map(({ inspector, openBookings, bookingsOnDate, matchedSpecializations }) => ({
+      ...inspector.toObject(),
+      openBookings,
+      bookingsOnDate,
+      matchedSpecializations,
+    }));
 
   res.status(200).json({
     success: true,
+    date: toDateKey(scheduledDate),
     count: inspectors.length,
+    onLeave: candidates.length - inspectors.length,
     inspectors,
   });
 });
@@ -420,10 +984,18 @@ export {
   getAllBookings,
   getBookingById,
   updateBooking,
+  rescheduleBooking,
   cancelBooking,
+  getCancellationQuote,
+  recordDeposit,
+  checkInVehicle,
+  checkOutVehicle,
+  acknowledgeVehicleCondition,
   assignInspector,
+  getInspectorSuggestions,
   updateBookingStatus,
   addBookingNote,
   getBookingStats,
   getAvailableInspectors,
+  getBookingAvailability,
 };
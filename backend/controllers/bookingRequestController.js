@@ -0,0 +1,183 @@
+import { BookingRequest } from "../models/BookingRequest.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import {
+  submitBookingRequest,
+  confirmBookingRequest,
+  findMatches,
+  convertBookingRequest,
+} from "../services/bookingRequestService.js";
+
+const populateRequest = (query) => {
+  return query
+    .populate("customer", "userId profile.firstName profile.lastName profile.phoneNumber email")
+    .populate("matchedVehicle", "vehicleId registrationNumber make model")
+    .populate("booking", "bookingId scheduledDate timeSlot status")
+    .populate("processedBy", "profile.firstName profile.lastName");
+};
+
+// Submit a booking request from the public form (no login)
+const createBookingRequest = asyncWrapper(async (req, res, next) => {
+  const result = await submitBookingRequest(req.body, { ipAddress: req.ip });
+  if (result.error) {
+    return next(result.error);
+  }
+
+  const { request } = result;
+
+  res.status(201).json({
+    success: true,
+    message: request.confirmation.channel === "email"
+      ? "Booking request received. Please confirm it with the link we emailed you"
+      : "Booking request received. Please confirm it with the link we sent by SMS",
+    request: {
+      requestId: request.requestId,
+      serviceType: request.serviceType,
+      preferredDate: request.preferredDate,
+      timeSlot: request.timeSlot,
+      status: request.status,
+      confirmationExpiresAt: request.confirmation.expiresAt,
+    },
+  });
+});
+
+// Confirm a booking request with the token from the emailed/texted link (no login)
+const confirmBookingRequestByToken = asyncWrapper(async (req, res, next) => {
+  const result = await confirmBookingRequest(req.params.token);
+  if (result.error) {
+    return next(result.error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Thank you, your booking request is confirmed. We will contact you shortly to finalise it",
+    request: {
+      requestId: result.request.requestId,
+      status: result.request.status,
+    },
+  });
+});
+
+// Get booking requests (the confirmed queue by default), oldest first
+const getAllBookingRequests = asyncWrapper(async (req, res) => {
+  const { status, serviceType, search, page = 1, limit = 20 } = req.query;
+
+  const query = { status: status || "confirmed" };
+  if (serviceType) query.serviceType = serviceType;
+  if (search) {
+    query.$or = [
+      { requestId: { $regex: search, $options: "i" } },
+      { "contact.firstName": { $regex: search, $options: "i" } },
+      { "contact.lastName": { $regex: search, $options: "i" } },
+      { "contact.phoneNumber": { $regex: search, $options: "i" } },
+      { "vehicle.registrationNumber": { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const skip = (page - 1) * limit;
+  const requests = await populateRequest(BookingRequest.find(query))
+    .limit(limit * 1)
+    .skip(skip)
+    .sort({ createdAt: 1 });
+
+  const total = await BookingRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    requests,
+  });
+});
+
+// Get a booking request with the existing customers and vehicle it matches
+const getBookingRequestById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const request = await populateRequest(BookingRequest.findById(id));
+  if (!request) {
+    return next(createCustomError(`No booking request with id: ${id}`, 404));
+  }
+
+  const matches = request.status === "confirmed" ? await findMatches(request) : null;
+
+  res.status(200).json({
+    success: true,
+    request,
+    matches,
+  });
+});
+
+// Book a confirmed request, matched to existing records or creating new ones
+const convertRequestToBooking = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { customerId, vehicleId, customer, vehicle, scheduledDate, timeSlot } = req.body;
+
+  const request = await BookingRequest.findById(id);
+  if (!request) {
+    return next(createCustomError(`No booking request with id: ${id}`, 404));
+  }
+
+  const result = await convertBookingRequest(request, {
+    customerId,
+    vehicleId,
+    customer,
+    vehicle,
+    scheduledDate,
+    timeSlot,
+    userId: req.user.userId,
+  });
+  if (result.error) {
+    return next(result.error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: result.created.customer
+      ? "Booking created. A customer account was created, the customer can set a password with 'forgot password'"
+      : "Booking created from the request",
+    booking: result.booking,
+    created: result.created,
+  });
+});
+
+// Reject a request that cannot be booked
+const rejectBookingRequest = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(createCustomError("Rejection reason is required", 400));
+  }
+
+  const request = await BookingRequest.findById(id);
+  if (!request) {
+    return next(createCustomError(`No booking request with id: ${id}`, 404));
+  }
+  if (!["unconfirmed", "confirmed"].includes(request.status)) {
+    return next(createCustomError(`Cannot reject a request that is ${request.status}`, 400));
+  }
+
+  request.status = "rejected";
+  request.rejectionReason = reason;
+  request.processedBy = req.user.userId;
+  request.processedAt = new Date();
+  await request.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Booking request rejected",
+    request,
+  });
+});
+
+export {
+  createBookingRequest,
+  confirmBookingRequestByToken,
+  getAllBookingRequests,
+  getBookingRequestById,
+  convertRequestToBooking,
+  rejectBookingRequest,
+};
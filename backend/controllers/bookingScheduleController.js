@@ -0,0 +1,94 @@
+import { BookingSchedule } from "../models/BookingSchedule.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getBookingSchedule } from "../services/bookingAvailabilityService.js";
+
+// Get slot capacities, closed weekdays and holidays
+const getSchedule = asyncWrapper(async (req, res) => {
+  const schedule = await getBookingSchedule();
+
+  res.status(200).json({
+    success: true,
+    schedule,
+  });
+});
+
+// Update slot capacities, closed weekdays, the reschedule limit and the no-show and cancellation policies
+const updateSchedule = asyncWrapper(async (req, res) => {
+  const { defaultCapacity, capacities, closedWeekdays, maxReschedules, noShowPolicy, cancellationPolicy } = req.body;
+
+  const update = { updatedBy: req.user.userId };
+  if (defaultCapacity !== undefined) update.defaultCapacity = defaultCapacity;
+  if (capacities !== undefined) update.capacities = capacities;
+  if (closedWeekdays !== undefined) update.closedWeekdays = closedWeekdays;
+  if (maxReschedules !== undefined) update.maxReschedules = maxReschedules;
+
+  // Only the given policy settings change
+  for (const key of ["autoMark", "graceMinutes", "depositAfterNoShows", "depositAmount"]) {
+    if (noShowPolicy?.[key] !== undefined) update[`noShowPolicy.${key}`] = noShowPolicy[key];
+  }
+  for (const key of ["freeUntilHours", "defaultFee", "fees", "exemptReasons"]) {
+    if (cancellationPolicy?.[key] !== undefined) update[`cancellationPolicy.${key}`] = cancellationPolicy[key];
+  }
+
+  const schedule = await BookingSchedule.findOneAndUpdate(
+    { key: "default" },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Booking schedule updated successfully",
+    schedule,
+  });
+});
+
+// Add a holiday (no bookings can be made on it)
+const addHoliday = asyncWrapper(async (req, res, next) => {
+  const { date, name } = req.body;
+
+  if (!date || isNaN(new Date(date).getTime())) {
+    return next(createCustomError("A valid holiday date is required", 400));
+  }
+
+  const schedule = await getBookingSchedule();
+  schedule.holidays.push({ date, name });
+  schedule.updatedBy = req.user.userId;
+  await schedule.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Holiday added successfully",
+    holidays: schedule.holidays,
+  });
+});
+
+// Remove a holiday
+const removeHoliday = asyncWrapper(async (req, res, next) => {
+  const { holidayId } = req.params;
+
+  const schedule = await getBookingSchedule();
+  const holiday = schedule.holidays.id(holidayId);
+
+  if (!holiday) {
+    return next(createCustomError(`No holiday with id: ${holidayId}`, 404));
+  }
+
+  holiday.deleteOne();
+  schedule.updatedBy = req.user.userId;
+  await schedule.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Holiday removed successfully",
+    holidays: schedule.holidays,
+  });
+});
+
+export {
+  getSchedule,
+  updateSchedule,
+  addHoliday,
+  removeHoliday,
+};
@@ -0,0 +1,98 @@
+import { CalendarFeed } from "../models/CalendarFeed.js";
+import User from "../models/User.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getAllowedScopes, createFeed, findFeedByToken, renderFeed } from "../services/calendarFeedService.js";
+
+const feedUrl = (req, token) => {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}/feeds/${token}.ics`;
+};
+
+// List my calendar feeds and the scopes I can subscribe to
+const getMyCalendarFeeds = asyncWrapper(async (req, res) => {
+  const user = await User.findById(req.user.userId).select("role employeeDetails.department");
+
+  const feeds = await CalendarFeed.find({ user: req.user.userId, revokedAt: { $exists: false } })
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    availableScopes: await getAllowedScopes(user),
+    feeds,
+  });
+});
+
+// Create a feed URL (replaces my previous URL of the same scope)
+const createCalendarFeed = asyncWrapper(async (req, res, next) => {
+  const { scope } = req.body;
+
+  const user = await User.findById(req.user.userId).select("role employeeDetails.department");
+  const allowedScopes = await getAllowedScopes(user);
+
+  if (!scope) {
+    return next(createCustomError(`Scope is required (${allowedScopes.join(", ") || "none available"})`, 400));
+  }
+  if (!allowedScopes.includes(scope)) {
+    return next(createCustomError(`You cannot subscribe to the ${scope} calendar`, 403));
+  }
+
+  const { feed, token } = await createFeed(user, scope);
+
+  res.status(201).json({
+    success: true,
+    message: "Calendar feed created. Keep the URL private, anyone with it can read the calendar.",
+    feed,
+    url: feedUrl(req, token),
+  });
+});
+
+// Revoke one of my feed URLs
+const revokeCalendarFeed = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const feed = await CalendarFeed.findOne({ _id: id, user: req.user.userId, revokedAt: { $exists: false } });
+  if (!feed) {
+    return next(createCustomError(`No calendar feed with id: ${id}`, 404));
+  }
+
+  feed.revokedAt = new Date();
+  await feed.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed revoked successfully",
+  });
+});
+
+// Serve a feed to calendar apps. The token in the URL is the only credential.
+const getCalendarFeed = asyncWrapper(async (req, res, next) => {
+  const { token } = req.params;
+
+  const feed = await findFeedByToken(token);
+  if (!feed || !feed.user || feed.user.status !== "active") {
+    return next(createCustomError("Calendar feed not found", 404));
+  }
+
+  // The role may have lost access since the feed was created
+  const allowedScopes = await getAllowedScopes(feed.user);
+  if (!allowedScopes.includes(feed.scope)) {
+    return next(createCustomError("Calendar feed not found", 404));
+  }
+
+  feed.lastAccessedAt = new Date();
+  await feed.save();
+
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="pitstop-${feed.scope}.ics"`,
+    "Cache-Control": "private, max-age=300",
+  });
+  res.status(200).send(await renderFeed(feed));
+});
+
+export {
+  getMyCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+};
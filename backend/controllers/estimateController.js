@@ -0,0 +1,247 @@
+import { Estimate } from "../models/Estimate.js";
+import { Booking } from "../models/Booking.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import {
+  calculateTotals,
+  createEstimate as draftEstimate,
+  sendEstimate,
+  findEstimateByToken,
+  respondToEstimate,
+  toCustomerView,
+} from "../services/estimateService.js";
+
+const populateEstimate = (query) => {
+  return query.populate([
+    {
+      path: "booking",
+      select: "bookingId serviceType scheduledDate status",
+      populate: { path: "vehicle", select: "vehicleId registrationNumber make model" },
+    },
+    { path: "customer", select: "userId profile.firstName profile.lastName email profile.phoneNumber" },
+    { path: "items.job", select: "jobId title status" },
+    { path: "createdBy", select: "userId profile.firstName profile.lastName" },
+  ]);
+};
+
+// Create a draft estimate for a booking (lines are built from its jobs unless given)
+const createEstimate = asyncWrapper(async (req, res, next) => {
+  const { booking: bookingId, items, findings, tax, discount, notes } = req.body;
+
+  if (!bookingId) {
+    return next(createCustomError("Booking is required", 400));
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    return next(createCustomError("Booking not found", 404));
+  }
+
+  const { estimate, error } = await draftEstimate(booking, {
+    items,
+    findings,
+    tax,
+    discount,
+    notes,
+    userId: req.user.userId,
+  });
+  if (error) {
+    return next(error);
+  }
+
+  const createdEstimate = await populateEstimate(Estimate.findById(estimate._id));
+
+  res.status(201).json({
+    success: true,
+    message: "Estimate created successfully",
+    estimate: createdEstimate,
+  });
+});
+
+// Get all estimates with filtering and pagination
+const getAllEstimates = asyncWrapper(async (req, res) => {
+  const { booking, customer, status, page = 1, limit = 10 } = req.query;
+
+  const query = {};
+  if (booking) query.booking = booking;
+  if (customer) query.customer = customer;
+  if (status) query.status = status;
+
+  const skip = (page - 1) * limit;
+  const estimates = await populateEstimate(Estimate.find(query))
+    .limit(limit * 1)
+    .skip(skip)
+    .sort({ createdAt: -1 });
+
+  const total = await Estimate.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: estimates.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    estimates,
+  });
+});
+
+// Get estimate by ID
+const getEstimateById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const estimate = await populateEstimate(Estimate.findById(id))
+    .populate("recordedBy", "userId profile.firstName profile.lastName");
+
+  if (!estimate) {
+    return next(createCustomError(`No estimate with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    estimate,
+  });
+});
+
+// Edit a draft estimate
+const updateEstimate = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { items, findings, tax, discount, notes } = req.body;
+
+  const estimate = await Estimate.findById(id);
+  if (!estimate) {
+    return next(createCustomError(`No estimate with id: ${id}`, 404));
+  }
+  if (estimate.status !== "draft") {
+    return next(createCustomError("Only draft estimates can be edited, create a new estimate instead", 400));
+  }
+
+  const newTax = tax ?? estimate.tax;
+  const newDiscount = discount ?? estimate.discount;
+  const totals = calculateTotals(items || estimate.items.map(item => item.toObject()), newTax, newDiscount);
+  if (totals.error) {
+    return next(totals.error);
+  }
+
+  estimate.items = totals.items;
+  estimate.subtotal = totals.subtotal;
+  estimate.tax = newTax;
+  estimate.discount = newDiscount;
+  estimate.total = totals.total;
+  if (findings !== undefined) estimate.findings = findings;
+  if (notes !== undefined) estimate.notes = notes;
+  await estimate.save();
+
+  const updatedEstimate = await populateEstimate(Estimate.findById(estimate._id));
+
+  res.status(200).json({
+    success: true,
+    message: "Estimate updated successfully",
+    estimate: updatedEstimate,
+  });
+});
+
+// Send (or re-send with a fresh link) the estimate to the customer
+const sendEstimateToCustomer = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const estimate = await Estimate.findById(id);
+  if (!estimate) {
+    return next(createCustomError(`No estimate with id: ${id}`, 404));
+  }
+  if (!["draft", "sent"].includes(estimate.status)) {
+    return next(createCustomError(`Cannot send an estimate that is ${estimate.status}`, 400));
+  }
+
+  await sendEstimate(estimate);
+
+  res.status(200).json({
+    success: true,
+    message: "Estimate sent to the customer",
+    estimate,
+  });
+});
+
+// Record an answer the customer gave in person or by phone
+const recordEstimateResponse = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { decision, items, comment } = req.body;
+
+  const estimate = await Estimate.findById(id);
+  if (!estimate) {
+    return next(createCustomError(`No estimate with id: ${id}`, 404));
+  }
+
+  const responseError = await respondToEstimate(estimate, {
+    decision,
+    items,
+    comment,
+    via: "staff",
+    userId: req.user.userId,
+  });
+  if (responseError) {
+    return next(responseError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Estimate ${estimate.status.replace("_", " ")}`,
+    estimate,
+  });
+});
+
+// View an estimate through the emailed link (no login)
+const getEstimateByToken = asyncWrapper(async (req, res, next) => {
+  const estimate = await findEstimateByToken(req.params.token);
+  if (!estimate) {
+    return next(createCustomError("This estimate link is invalid or has already been used", 404));
+  }
+
+  await estimate.populate({
+    path: "booking",
+    select: "bookingId serviceType scheduledDate",
+    populate: { path: "vehicle", select: "registrationNumber make model" },
+  });
+
+  res.status(200).json({
+    success: true,
+    estimate: { ...toCustomerView(estimate), booking: estimate.booking },
+  });
+});
+
+// Approve or decline an estimate through the emailed link (no login)
+const respondByToken = asyncWrapper(async (req, res, next) => {
+  const { decision, items, comment } = req.body;
+
+  const estimate = await findEstimateByToken(req.params.token);
+  if (!estimate) {
+    return next(createCustomError("This estimate link is invalid or has already been used", 404));
+  }
+
+  const responseError = await respondToEstimate(estimate, {
+    decision,
+    items,
+    comment,
+    via: "link",
+    userId: estimate.customer,
+  });
+  if (responseError) {
+    return next(responseError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Thank you, your response has been recorded",
+    estimate: toCustomerView(estimate),
+  });
+});
+
+export {
+  createEstimate,
+  getAllEstimates,
+  getEstimateById,
+  updateEstimate,
+  sendEstimateToCustomer,
+  recordEstimateResponse,
+  getEstimateByToken,
+  respondByToken,
+};
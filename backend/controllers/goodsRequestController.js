@@ -3,6 +3,7 @@ import User from "../models/User.js";
 import asyncWrapper from "../middleware/async.js";
 import { StatusCodes } from "http-status-codes";
 import { createCustomError } from "../errors/custom-error.js";
+import { hasPermission } from "../services/permissionService.js";
 
 // Create goods request (Inspector)
 const createGoodsRequest = asyncWrapper(async (req, res, next) => {
@@ -21,16 +22,12 @@ const createGoodsRequest = asyncWrapper(async (req, res, next) => {
     }
   }
 
-  // Check if user is authorized to create goods requests (inspector, service_advisor, manager)
+  // Check that the requesting user exists (permission is checked by the route)
   const user = await User.findById(requestedBy);
   if (!user) {
     return next(createCustomError("User not found", 404));
   }
 
-  if (!["service_advisor", "manager", "admin"].includes(user.role)) {
-    return next(createCustomError("Only inspectors, managers, and admins can create goods requests", 403));
-  }
-
   const goodsRequest = await GoodsRequest.create({
     job,
     requestedBy,
@@ -55,16 +52,6 @@ const createGoodsRequest = asyncWrapper(async (req, res, next) => {
 // Get all goods requests (Inventory Manager, Admin, Manager)
 const getAllGoodsRequests = asyncWrapper(async (req, res, next) => {
   const { status, requestedBy, job, page = 1, limit = 10, startDate, endDate } = req.query;
-  const { role } = req.user;
-
-  // Check authorization
-  if (!["admin", "manager"].includes(role)) {
-    // Check if user is inventory manager
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Access denied. Only inventory managers, admins, and managers can view all goods requests", 403));
-    }
-  }
 
   let query = {};
 
@@ -166,13 +153,9 @@ const getGoodsRequestById = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Goods request not found", 404));
   }
 
-  // Check authorization - user can view their own requests or if they're admin/manager/inventory manager
-  if (!["admin", "manager"].includes(role) && goodsRequest.requestedBy._id.toString() !== userId) {
-    // Check if user is inventory manager
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("You can only view your own goods requests", 403));
-    }
+  // Users can view their own requests; viewing others requires the goodsRequest.read permission
+  if (goodsRequest.requestedBy._id.toString() !== userId && !(await hasPermission(role, "goodsRequest.read", req.user))) {
+    return next(createCustomError("You can only view your own goods requests", 403));
   }
 
   res.status(StatusCodes.OK).json({
@@ -265,15 +248,7 @@ const deleteGoodsRequest = asyncWrapper(async (req, res, next) => {
 // Approve goods request (Inventory Manager, Admin, Manager)
 const approveGoodsRequest = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { userId, role } = req.user;
-
-  // Check authorization
-  if (!["admin", "manager"].includes(role)) {
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Only inventory managers, admins, and managers can approve goods requests", 403));
-    }
-  }
+  const { userId } = req.user;
 
   const goodsRequest = await GoodsRequest.findById(id)
     .populate([
@@ -317,20 +292,12 @@ const approveGoodsRequest = asyncWrapper(async (req, res, next) => {
 const rejectGoodsRequest = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
   const { rejectionReason } = req.body;
-  const { userId, role } = req.user;
+  const { userId } = req.user;
 
   if (!rejectionReason) {
     return next(createCustomError("Rejection reason is required", 400));
   }
 
-  // Check authorization
-  if (!["admin", "manager"].includes(role)) {
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Only inventory managers, admins, and managers can reject goods requests", 403));
-    }
-  }
-
   const goodsRequest = await GoodsRequest.findById(id)
     .populate([
       { path: "job", select: "jobId description" },
@@ -365,15 +332,6 @@ const rejectGoodsRequest = asyncWrapper(async (req, res, next) => {
 // Release goods (Inventory Manager - mark as released and update inventory)
 const releaseGoods = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { userId, role } = req.user;
-
-  // Check authorization - only inventory managers
-  if (!["admin", "manager"].includes(role)) {
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Only inventory managers, admins, and managers can release goods", 403));
-    }
-  }
 
   const goodsRequest = await GoodsRequest.findById(id)
     .populate("items.item", "itemId name currentStock");
@@ -403,15 +361,6 @@ const releaseGoods = asyncWrapper(async (req, res, next) => {
 // Get goods request statistics (Admin, Manager, Inventory Manager)
 const getGoodsRequestStats = asyncWrapper(async (req, res, next) => {
   const { startDate, endDate } = req.query;
-  const { role, userId } = req.user;
-
-  // Check authorization
-  if (!["admin", "manager"].includes(role)) {
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Access denied", 403));
-    }
-  }
 
   let dateFilter = {};
   if (startDate || endDate) {
@@ -494,17 +443,8 @@ const getGoodsRequestStats = asyncWrapper(async (req, res, next) => {
 
 // Get pending goods requests for approval (Inventory Manager)
 const getPendingGoodsRequests = asyncWrapper(async (req, res, next) => {
-  const { userId, role } = req.user;
   const { page = 1, limit = 10 } = req.query;
 
-  // Check authorization
-  if (!["admin", "manager"].includes(role)) {
-    const user = await User.findById(userId);
-    if (!user || !user.employeeDetails || user.employeeDetails.department !== "management") {
-      return next(createCustomError("Access denied", 403));
-    }
-  }
-
   const skip = (page - 1) * limit;
 
   const pendingRequests = await GoodsRequest.find({ status: "pending" })
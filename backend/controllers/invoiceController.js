@@ -3,8 +3,12 @@ import { Booking } from "../models/Booking.js";
 import User from "../models/User.js";
 import asyncWrapper from "../middleware/async.js";
 import { createCustomError } from "../errors/custom-error.js";
+import { sendTemplatedEmail, frontendLink } from "../services/email/index.js";
+import { hasPermission } from "../services/permissionService.js";
+import { buildInvoiceItems } from "../services/estimateService.js";
 
-// Create a new invoice
+// Create a new invoice. Without items the lines come from the approved estimate,
+// or from the booking's jobs (menu prices, labour and parts).
 const createInvoice = asyncWrapper(async (req, res, next) => {
   const {
     booking,
@@ -18,8 +22,8 @@ const createInvoice = asyncWrapper(async (req, res, next) => {
   } = req.body;
 
   // Validate required fields
-  if (!booking || !customer || !items || items.length === 0) {
-    return next(createCustomError("Please provide booking, customer, and at least one item", 400));
+  if (!booking || !customer) {
+    return next(createCustomError("Please provide booking and customer", 400));
   }
 
   // Verify booking exists and is completed
@@ -52,9 +56,14 @@ const createInvoice = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Customer must match the booking customer", 400));
   }
 
+  const lines = items && items.length > 0 ? items : await buildInvoiceItems(bookingDoc._id);
+  if (lines.length === 0) {
+    return next(createCustomError("Please provide at least one item", 400));
+  }
+
   // Calculate totals
   let subtotal = 0;
-  const processedItems = items.map(item => {
+  const processedItems = lines.map(item => {
     if (!item.description || !item.quantity || !item.unitPrice) {
       throw new Error("Each item must have description, quantity, and unit price");
     }
@@ -130,6 +139,7 @@ const getAllInvoices = asyncWrapper(async (req, res) => {
   const {
     customer,
     booking,
+    type,
     status,
     paymentMethod,
     dateFrom,
@@ -156,6 +166,11 @@ const getAllInvoices = asyncWrapper(async (req, res) => {
     query.booking = booking;
   }
 
+  // Filter by type (service or cancellation fee)
+  if (type) {
+    query.type = type;
+  }
+
   // Filter by status
   if (status) {
     query.status = status;
@@ -472,8 +487,11 @@ const updateInvoiceStatus = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Cannot change status of a cancelled invoice", 400));
   }
 
-  // If marking as paid, require payment method
+  // If marking as paid, require permission and payment method
   if (status === "paid") {
+    if (!(await hasPermission(req.user.role, "invoice.markPaid", req.user))) {
+      return next(createCustomError("Access denied, insufficient permissions to mark invoices as paid", 403));
+    }
     if (!paymentMethod) {
       return next(createCustomError("Payment method is required when marking invoice as paid", 400));
     }
@@ -481,13 +499,14 @@ const updateInvoiceStatus = asyncWrapper(async (req, res, next) => {
     invoice.paidAt = paidAt || new Date();
   }
 
+  const previousStatus = invoice.status;
   invoice.status = status;
   await invoice.save();
 
   await invoice.populate([
     {
       path: 'customer',
-      select: 'userId profile.firstName profile.lastName'
+      select: 'userId profile.firstName profile.lastName email preferences'
     },
     {
       path: 'booking',
@@ -495,6 +514,16 @@ const updateInvoiceStatus = asyncWrapper(async (req, res, next) => {
     }
   ]);
 
+  // Notify the customer when a draft invoice is issued
+  if (previousStatus === "draft" && status === "pending") {
+    await sendTemplatedEmail(invoice.customer, "invoiceIssued", {
+      invoiceId: invoice.invoiceId,
+      bookingId: invoice.booking?.bookingId,
+      total: invoice.total.toFixed(2),
+      link: frontendLink(`/invoices/${invoice._id}`),
+    });
+  }
+
   res.status(200).json({
     success: true,
     message: "Invoice status updated successfully",
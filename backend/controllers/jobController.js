@@ -1,18 +1,31 @@
+import mongoose from "mongoose";
 import Job from "../models/Job.js";
 import User from "../models/User.js";
 import { Booking } from "../models/Booking.js";
 import { createCustomError } from "../errors/custom-error.js";
 import asyncWrapper from "../middleware/async.js";
+import { BayReservation } from "../models/BayReservation.js";
+import { reserveBay, autoReserveBay, activateJobBay, releaseJobBays } from "../services/bayService.js";
+import { checkWorkApproval } from "../services/estimateService.js";
+import { findActiveTemplate, jobFieldsFromTemplate } from "../services/serviceCatalogService.js";
+import { priceWorkPeriod } from "../services/labourRateService.js";
+import {
+  findOpenTimer,
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  stopJobTimers,
+  getActiveTimers,
+} from "../services/jobTimerService.js";
+import { hasPermission } from "../services/permissionService.js";
+import { getTechnicianCapacity, checkAssignmentCapacity } from "../services/technicianCapacityService.js";
+import { changeJobStatus, getAllowedTransitions, getTimeInStatusStats } from "../services/jobStatusService.js";
 
 // Create a new job (Inspector only)
 const createJob = asyncWrapper(async (req, res, next) => {
   const { bookingId } = req.params;
-  const { userId, role } = req.user;
-
-  // Check if user is inspector or manager
-  if (!["service_advisor", "manager", "admin"].includes(role)) {
-    return next(createCustomError("Only inspectors can create jobs", 403));
-  }
+  const { userId } = req.user;
 
   // Verify booking exists and is in correct status
   const booking = await Booking.findById(bookingId);
@@ -24,23 +37,74 @@ const createJob = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("Booking must be in 'inspecting' status to create jobs", 400));
   }
 
+  // Optional explicit bay reservation, otherwise a free bay is picked automatically
+  const { bay, bayStart, bayEnd, template: templateId, ...fields } = req.body;
+
+  // Check the bay details before the job is saved, so a bad request does not leave a job behind
+  if (bay && !mongoose.isValidObjectId(bay)) {
+    return next(createCustomError("Invalid service bay id", 400));
+  }
+  const requestedStart = bayStart ? new Date(bayStart) : null;
+  const requestedEnd = bayEnd ? new Date(bayEnd) : null;
+  if ((requestedStart && isNaN(requestedStart.getTime())) || (requestedEnd && isNaN(requestedEnd.getTime()))) {
+    return next(createCustomError("Bay start and end must be valid times", 400));
+  }
+  if (requestedEnd && requestedEnd <= (requestedStart || new Date())) {
+    return next(createCustomError("Bay end must be after the start", 400));
+  }
+
+  // Defaults from a catalog template, anything sent explicitly wins
+  let templateFields = {};
+  if (templateId) {
+    const { template, error } = await findActiveTemplate(templateId);
+    if (error) {
+      return next(error);
+    }
+    templateFields = jobFieldsFromTemplate(template);
+  }
+
   // Create job with inspector as creator
   const jobData = {
-    ...req.body,
+    ...templateFields,
+    ...fields,
     booking: bookingId,
     createdBy: userId,
+    // Every job starts pending, later moves go through the state machine
+    status: "pending",
+    statusHistory: [],
   };
 
   const job = await Job.create(jobData);
+
+  let bayReservation = null;
+  let bayWarning;
+  if (bay) {
+    const start = requestedStart || new Date();
+    const end = requestedEnd || new Date(start.getTime() + Math.max(job.estimatedHours, 0.5) * 60 * 60 * 1000);
+    const result = await reserveBay(job, { bayId: bay, start, end, userId });
+    bayReservation = result.reservation || null;
+    bayWarning = result.error?.message;
+  } else {
+    bayReservation = await autoReserveBay(job, booking, userId);
+    if (!bayReservation) {
+      bayWarning = "No service bay was free for this job, reserve one manually";
+    }
+  }
+
   await job.populate([
     { path: "booking", select: "bookingId customer vehicle serviceType" },
     { path: "createdBy", select: "userId profile.firstName profile.lastName" },
   ]);
+  if (bayReservation) {
+    await bayReservation.populate("bay", "bayId name type");
+  }
 
   res.status(201).json({
     success: true,
     message: "Job created successfully",
     job,
+    bayReservation,
+    bayWarning,
   });
 });
 
@@ -142,6 +206,7 @@ const getJobById = asyncWrapper(async (req, res, next) => {
       select: "userId profile.firstName profile.lastName employeeDetails.specializations employeeDetails.department"
     },
     { path: "workLog.labourer", select: "userId profile.firstName profile.lastName" },
+    { path: "statusHistory.changedBy", select: "userId profile.firstName profile.lastName" },
   ]);
 
   if (!job) {
@@ -161,13 +226,15 @@ const getJobById = asyncWrapper(async (req, res, next) => {
   res.status(200).json({
     success: true,
     job,
+    // Statuses the caller can move the job to next
+    allowedTransitions: getAllowedTransitions(job.status, role),
   });
 });
 
 // Update job status (Labourers and Inspectors)
 const updateJobStatus = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { status, notes } = req.body;
+  const { status, reason, notes } = req.body;
   const { userId, role } = req.user;
 
   const job = await Job.findById(id);
@@ -184,24 +251,46 @@ const updateJobStatus = asyncWrapper(async (req, res, next) => {
     if (!isAssigned) {
       return next(createCustomError("Access denied. Job not assigned to you", 403));
     }
+  }
 
-    // Technicians can only change status from pending to working, or working to completed
-    const allowedTransitions = {
-      "pending": ["working"],
-      "working": ["completed", "on_hold"],
-      "on_hold": ["working"]
-    };
+  // The state machine decides which roles can make the move, and records it
+  const previousStatus = job.status;
+  const statusError = changeJobStatus(job, { status, reason, userId, role });
+  if (statusError) {
+    return next(statusError);
+  }
 
-    if (!allowedTransitions[job.status]?.includes(status)) {
-      return next(createCustomError(`Invalid status transition from ${job.status} to ${status}`, 400));
+  // No work on jobs the customer has not approved
+  if (status === "working") {
+    const approvalError = await checkWorkApproval(job.booking, job._id);
+    if (approvalError) {
+      return next(approvalError);
     }
   }
 
-  // Update job
-  job.status = status;
   if (notes) job.notes = notes;
 
   await job.save();
+
+  // Hold the bay while work is in progress and free it when the job is finished
+  if (status === "working") {
+    const activated = await activateJobBay(job._id);
+    if (!activated) {
+      const booking = await Booking.findById(job.booking);
+      const reservation = await autoReserveBay(job, booking, userId);
+      if (reservation) await activateJobBay(job._id);
+    }
+  } else if (status === "completed") {
+    await releaseJobBays(job._id, "released");
+  } else if (status === "cancelled") {
+    await releaseJobBays(job._id, "cancelled");
+  }
+
+  // Clocks stop with the work, each writing its work log entry
+  if (previousStatus === "working") {
+    await stopJobTimers(job, { description: `Clock stopped: job ${status}`, stoppedBy: userId });
+  }
+
   await job.populate([
     { path: "booking", select: "bookingId" },
     { path: "assignedLabourers.labourer", select: "userId profile.firstName profile.lastName" },
@@ -217,13 +306,7 @@ const updateJobStatus = asyncWrapper(async (req, res, next) => {
 // Assign labourers to job (Inspector only)
 const assignLabourers = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { labourerIds } = req.body;
-  const { role } = req.user;
-
-  // Check if user is inspector or manager
-  if (!["service_advisor", "manager", "admin"].includes(role)) {
-    return next(createCustomError("Only inspectors can assign labourers", 403));
-  }
+  const { labourerIds, allowOverbooking } = req.body;
 
   const job = await Job.findById(id);
   if (!job) {
@@ -259,6 +342,23 @@ const assignLabourers = asyncWrapper(async (req, res, next) => {
     }
   }
 
+  // Technicians on leave cannot take the job; overbooked ones only when the overbooking is confirmed
+  const booking = await Booking.findById(job.booking).select("scheduledDate");
+  const capacity = await checkAssignmentCapacity(job, labourerIds, booking?.scheduledDate);
+
+  const onLeave = capacity.blocking.filter(item => item.issue === "on_leave");
+  if (onLeave.length > 0) {
+    return next(createCustomError(onLeave.map(item => item.message).join("; "), 400));
+  }
+
+  const overbooked = capacity.blocking.filter(item => item.issue === "overbooked");
+  if (overbooked.length > 0 && !allowOverbooking) {
+    return next(createCustomError(
+      `${overbooked.map(item => item.message).join("; ")}. Send allowOverbooking to assign anyway`,
+      409
+    ));
+  }
+
   // Assign labourers
   job.assignedLabourers = labourerIds.map(labourerId => ({
     labourer: labourerId,
@@ -276,6 +376,7 @@ const assignLabourers = asyncWrapper(async (req, res, next) => {
     success: true,
     message: "Labourers assigned successfully",
     job,
+    warnings: [...overbooked, ...capacity.warnings],
   });
 });
 
@@ -283,11 +384,7 @@ const assignLabourers = asyncWrapper(async (req, res, next) => {
 const addWorkLog = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
   const { startTime, endTime, description } = req.body;
-  const { userId, role } = req.user;
-
-  if (role !== "technician") {
-    return next(createCustomError("Only technicians can add work logs", 403));
-  }
+  const { userId } = req.user;
 
   const job = await Job.findById(id);
   if (!job) {
@@ -309,8 +406,9 @@ const addWorkLog = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("End time must be after start time", 400));
   }
 
-  // Add work log entry
-  job.addWorkLog(userId, start, end, description);
+  // Add work log entry, priced with the rates in force now
+  const pricing = await priceWorkPeriod({ labourer: userId, category: job.category, start, end });
+  job.addWorkLog(userId, start, end, description, pricing);
   await job.save();
 
   await job.populate([
@@ -328,12 +426,7 @@ const addWorkLog = asyncWrapper(async (req, res, next) => {
 const addInspectionReport = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
   const { type, condition, issues, photos, qualityRating, approved } = req.body;
-  const { userId, role } = req.user;
-
-  // Check if user is inspector or manager
-  if (!["service_advisor", "manager", "admin"].includes(role)) {
-    return next(createCustomError("Only inspectors can add inspection reports", 403));
-  }
+  const { userId } = req.user;
 
   const job = await Job.findById(id);
   if (!job) {
@@ -451,15 +544,11 @@ const getMyJobs = asyncWrapper(async (req, res) => {
 // Update job details (Inspector only)
 const updateJob = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { role } = req.user;
-
-  // Check if user is inspector or manager
-  if (!["service_advisor", "manager", "admin"].includes(role)) {
-    return next(createCustomError("Only inspectors can update job details", 403));
-  }
 
   // Prevent updating sensitive fields
-  const restrictedFields = ["jobId", "booking", "createdBy", "workLog", "inspectionReport"];
+  // Status changes go through the status endpoint and its state machine,
+  // technicians through the assignment endpoint and its leave and capacity checks
+  const restrictedFields = ["jobId", "booking", "createdBy", "workLog", "inspectionReport", "status", "statusHistory", "assignedLabourers"];
   restrictedFields.forEach(field => delete req.body[field]);
 
   const job = await Job.findByIdAndUpdate(id, req.body, {
@@ -484,11 +573,6 @@ const updateJob = asyncWrapper(async (req, res, next) => {
 // Delete job (Admin/Manager only)
 const deleteJob = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { role } = req.user;
-
-  if (!["admin", "manager"].includes(role)) {
-    return next(createCustomError("Only admin or manager can delete jobs", 403));
-  }
 
   const job = await Job.findById(id);
   if (!job) {
@@ -501,6 +585,7 @@ const deleteJob = asyncWrapper(async (req, res, next) => {
   }
 
   await Job.findByIdAndDelete(id);
+  await releaseJobBays(job._id, "cancelled");
 
   res.status(200).json({
     success: true,
@@ -513,14 +598,91 @@ const deleteJob = asyncWrapper(async (req, res, next) => {
   });
 });
 
-// Get job statistics (Manager/Admin only)
-const getJobStats = asyncWrapper(async (req, res) => {
-  const { role } = req.user;
+// Reserve a service bay for a job
+const reserveJobBay = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { bay, start, end } = req.body;
+
+  if (!bay || !start || !end) {
+    return next(createCustomError("Bay, start and end are required", 400));
+  }
+
+  const windowStart = new Date(start);
+  const windowEnd = new Date(end);
+  if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd <= windowStart) {
+    return next(createCustomError("End must be a valid time after start", 400));
+  }
+
+  const job = await Job.findById(id);
+  if (!job) {
+    return next(createCustomError("Job not found", 404));
+  }
+
+  if (["completed", "cancelled"].includes(job.status)) {
+    return next(createCustomError(`Cannot reserve a bay for a ${job.status} job`, 400));
+  }
+
+  const { reservation, error } = await reserveBay(job, {
+    bayId: bay,
+    start: windowStart,
+    end: windowEnd,
+    userId: req.user.userId,
+  });
+  if (error) {
+    return next(error);
+  }
+
+  if (job.status === "working") {
+    await activateJobBay(job._id);
+  }
+
+  await reservation.populate("bay", "bayId name type");
+
+  res.status(201).json({
+    success: true,
+    message: "Service bay reserved successfully",
+    reservation,
+  });
+});
+
+// Release the service bay held by a job
+const releaseJobBay = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const job = await Job.findById(id);
+  if (!job) {
+    return next(createCustomError("Job not found", 404));
+  }
 
-  if (!["admin", "manager", "service_advisor"].includes(role)) {
-    return next(createCustomError("Access denied", 403));
+  const released = await releaseJobBays(job._id, "cancelled");
+  if (released === 0) {
+    return next(createCustomError("Job has no service bay reserved", 400));
   }
 
+  res.status(200).json({
+    success: true,
+    message: "Service bay released successfully",
+  });
+});
+
+// Get bay reservations of a job
+const getJobBayReservations = asyncWrapper(async (req, res) => {
+  const { id } = req.params;
+
+  const reservations = await BayReservation.find({ job: id })
+    .populate("bay", "bayId name type")
+    .populate("reservedBy", "userId profile.firstName profile.lastName")
+    .sort({ start: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: reservations.length,
+    reservations,
+  });
+});
+
+// Get job statistics (Manager/Admin only)
+const getJobStats = asyncWrapper(async (req, res) => {
   const statusStats = await Job.aggregate([
     {
       $group: {
@@ -582,6 +744,8 @@ const getJobStats = asyncWrapper(async (req, res) => {
 
   const totalJobs = await Job.countDocuments();
 
+  const timeInStatus = await getTimeInStatusStats();
+
   res.status(200).json({
     success: true,
     stats: {
@@ -591,10 +755,185 @@ const getJobStats = asyncWrapper(async (req, res) => {
       categoryBreakdown: categoryStats,
       priorityBreakdown: priorityStats,
       completion: completionStats[0] || {},
+      timeInStatus,
     },
   });
 });
 
+// Technician capacity planner: working hours less leave against remaining open work
+const getJobCapacity = asyncWrapper(async (req, res) => {
+  const { from, to, technician } = req.query;
+
+  const capacity = await getTechnicianCapacity({
+    from,
+    to,
+    technicianIds: technician ? technician.split(",") : undefined,
+  });
+  const technicians = capacity.technicians.sort((a, b) => b.freeHours - a.freeHours);
+
+  res.status(200).json({
+    success: true,
+    from: capacity.from,
+    to: capacity.to,
+    count: technicians.length,
+    overbooked: technicians.filter(entry => entry.overbooked).length,
+    technicians,
+  });
+});
+
+// Load a job and check the technician is assigned to it. Returns { job } or { error }.
+const findAssignedJob = async (jobId, userId) => {
+  const job = await Job.findById(jobId);
+  if (!job) {
+    return { error: createCustomError("Job not found", 404) };
+  }
+
+  const isAssigned = job.assignedLabourers.some(
+    assignment => assignment.labourer.toString() === userId
+  );
+  if (!isAssigned) {
+    return { error: createCustomError("Access denied. Job not assigned to you", 403) };
+  }
+
+  return { job };
+};
+
+// Start the job clock (Technician only)
+const startJobTimer = asyncWrapper(async (req, res, next) => {
+  const { userId } = req.user;
+
+  const { job, error } = await findAssignedJob(req.params.id, userId);
+  if (error) {
+    return next(error);
+  }
+
+  const result = await startTimer(job, userId);
+  if (result.error) {
+    return next(result.error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Job clock started",
+    timer: result.timer,
+  });
+});
+
+// Pause the job clock, e.g. while waiting for parts (Technician only)
+const pauseJobTimer = asyncWrapper(async (req, res, next) => {
+  const { reason, note } = req.body;
+  const { userId } = req.user;
+
+  if (!reason) {
+    return next(createCustomError("A reason for the pause is required", 400));
+  }
+
+  const timer = await findOpenTimer(req.params.id, userId);
+  if (!timer) {
+    return next(createCustomError("You are not clocked on this job", 404));
+  }
+
+  const pauseError = await pauseTimer(timer, { reason, note });
+  if (pauseError) {
+    return next(pauseError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job clock paused",
+    timer,
+  });
+});
+
+// Resume a paused job clock (Technician only)
+const resumeJobTimer = asyncWrapper(async (req, res, next) => {
+  const { userId } = req.user;
+
+  const { job, error } = await findAssignedJob(req.params.id, userId);
+  if (error) {
+    return next(error);
+  }
+
+  const timer = await findOpenTimer(job._id, userId);
+  if (!timer) {
+    return next(createCustomError("You are not clocked on this job", 404));
+  }
+
+  const resumeError = await resumeTimer(timer, job);
+  if (resumeError) {
+    return next(resumeError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Job clock resumed",
+    timer,
+  });
+});
+
+// Stop the job clock and log the work. Managers can stop a timer a technician left running.
+const stopJobTimer = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { description, technician } = req.body;
+  const { userId, role } = req.user;
+
+  const technicianId = technician || userId;
+  const permission = technicianId === userId ? "job.logWork" : "job.manageTimers";
+  if (!(await hasPermission(role, permission, req.user))) {
+    return next(createCustomError("Access denied, insufficient permissions", 403));
+  }
+
+  const job = await Job.findById(id);
+  if (!job) {
+    return next(createCustomError("Job not found", 404));
+  }
+
+  const timer = await findOpenTimer(job._id, technicianId);
+  if (!timer) {
+    return next(createCustomError("No job clock is running on this job", 404));
+  }
+
+  const stopError = await stopTimer(timer, job, { description, stoppedBy: userId });
+  if (stopError) {
+    return next(stopError);
+  }
+
+  await job.populate([
+    { path: "workLog.labourer", select: "userId profile.firstName profile.lastName" },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: "Job clock stopped and work logged",
+    timer,
+    job,
+  });
+});
+
+// Who is clocked on what right now (optionally one technician)
+const getActiveJobTimers = asyncWrapper(async (req, res) => {
+  const timers = await getActiveTimers({ technician: req.query.technician });
+
+  res.status(200).json({
+    success: true,
+    count: timers.length,
+    running: timers.filter(timer => timer.status === "running").length,
+    paused: timers.filter(timer => timer.status === "paused").length,
+    timers,
+  });
+});
+
+// The technician's own running and paused timers
+const getMyJobTimers = asyncWrapper(async (req, res) => {
+  const timers = await getActiveTimers({ technician: req.user.userId });
+
+  res.status(200).json({
+    success: true,
+    count: timers.length,
+    timers,
+  });
+});
+
 export {
   createJob,
   getAllJobs,
@@ -608,4 +947,14 @@ export {
   updateJob,
   deleteJob,
   getJobStats,
+  reserveJobBay,
+  releaseJobBay,
+  getJobBayReservations,
+  startJobTimer,
+  pauseJobTimer,
+  resumeJobTimer,
+  stopJobTimer,
+  getActiveJobTimers,
+  getMyJobTimers,
+  getJobCapacity,
 };
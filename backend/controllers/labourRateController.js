@@ -0,0 +1,73 @@
+import { LabourRateTable } from "../models/LabourRateTable.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getLabourRateTable, priceWorkPeriod } from "../services/labourRateService.js";
+
+// Get the hourly rates, regular hours and overtime/weekend/holiday multipliers
+const getLabourRates = asyncWrapper(async (req, res) => {
+  const table = await getLabourRateTable();
+  await table.populate("rates.technician", "userId profile.firstName profile.lastName");
+
+  res.status(200).json({
+    success: true,
+    labourRates: table,
+  });
+});
+
+// Update the rate table. Work already logged keeps the rates it was priced with.
+const updateLabourRates = asyncWrapper(async (req, res) => {
+  const { defaultRate, rates, regularHours, weekendDays, multipliers } = req.body;
+
+  const update = { updatedBy: req.user.userId };
+  if (defaultRate !== undefined) update.defaultRate = defaultRate;
+  if (rates !== undefined) update.rates = rates;
+  if (weekendDays !== undefined) update.weekendDays = weekendDays;
+
+  // Only the given settings change
+  for (const key of ["start", "end"]) {
+    if (regularHours?.[key] !== undefined) update[`regularHours.${key}`] = regularHours[key];
+  }
+  for (const key of ["overtime", "weekend", "holiday"]) {
+    if (multipliers?.[key] !== undefined) update[`multipliers.${key}`] = multipliers[key];
+  }
+
+  const table = await LabourRateTable.findOneAndUpdate(
+    { key: "default" },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Labour rates updated successfully",
+    labourRates: table,
+  });
+});
+
+// Preview what a technician's work period would cost with the current rates
+const previewLabourCost = asyncWrapper(async (req, res, next) => {
+  const { technician, category, start, end } = req.query;
+
+  if (!technician) {
+    return next(createCustomError("Technician is required", 400));
+  }
+
+  const startTime = new Date(start);
+  const endTime = new Date(end);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || startTime >= endTime) {
+    return next(createCustomError("Valid start and end times are required, with end after start", 400));
+  }
+
+  const pricing = await priceWorkPeriod({ labourer: technician, category, start: startTime, end: endTime });
+
+  res.status(200).json({
+    success: true,
+    pricing,
+  });
+});
+
+export {
+  getLabourRates,
+  updateLabourRates,
+  previewLabourCost,
+};
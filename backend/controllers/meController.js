@@ -0,0 +1,502 @@
+import { Vehicle } from "../models/Vehicle.js";
+import { Booking } from "../models/Booking.js";
+import { Invoice } from "../models/Invoice.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { renderInvoiceHtml } from "../utils/invoiceDocument.js";
+import { createBookingInSlot } from "../services/bookingAvailabilityService.js";
+import { rescheduleBooking } from "../services/bookingRescheduleService.js";
+import { getUpcomingServices } from "../services/serviceReminderService.js";
+import { getDepositRequirement } from "../services/noShowService.js";
+import { WaitlistEntry } from "../models/WaitlistEntry.js";
+import { declineOffer, convertToBooking } from "../services/waitlistService.js";
+import { Estimate } from "../models/Estimate.js";
+import { respondToEstimate, toCustomerView } from "../services/estimateService.js";
+
+// Customer self-service. Every query is scoped to the authenticated customer.
+
+// Booking fields a customer may see (staff notes are internal)
+const BOOKING_FIELDS = "bookingId vehicle serviceType scheduledDate timeSlot description status priority estimatedCost actualCost completedAt deposit cancellation checkIn checkOut createdAt updatedAt";
+
+// Job fields a customer may see (internal notes and work logs are for staff only)
+const JOB_FIELDS = "jobId booking title description category status priority estimatedHours actualHours startedAt completedAt customerNotes createdAt updatedAt";
+
+// Draft invoices are not visible to customers until issued
+const visibleInvoiceQuery = (userId) => ({ customer: userId, status: { $ne: "draft" } });
+
+// Get my vehicles
+const getMyVehicles = asyncWrapper(async (req, res) => {
+  const { userId } = req.user;
+  const { status } = req.query;
+
+  const query = { owner: userId };
+  if (status) {
+    query.status = status;
+  }
+
+  const vehicles = await Vehicle.find(query).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: vehicles.length,
+    vehicles,
+  });
+});
+
+// Get one of my vehicles
+const getMyVehicleById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const vehicle = await Vehicle.findOne({ _id: id, owner: req.user.userId });
+
+  if (!vehicle) {
+    return next(createCustomError(`No vehicle found with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    vehicle,
+  });
+});
+
+// Upcoming services of one of my vehicles
+const getMyVehicleUpcomingServices = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const vehicle = await Vehicle.findOne({ _id: id, owner: req.user.userId });
+  if (!vehicle) {
+    return next(createCustomError(`No vehicle found with id: ${id}`, 404));
+  }
+
+  const upcomingServices = await getUpcomingServices(vehicle);
+
+  res.status(200).json({
+    success: true,
+    upcomingServices,
+  });
+});
+
+// Get my bookings
+const getMyBookings = asyncWrapper(async (req, res) => {
+  const { userId } = req.user;
+  const { status, vehicle, page = 1, limit = 10 } = req.query;
+
+  const query = { customer: userId };
+  if (status) query.status = status;
+  if (vehicle) query.vehicle = vehicle;
+
+  const skip = (page - 1) * limit;
+  const bookings = await Booking.find(query)
+    .select(BOOKING_FIELDS)
+    .populate("vehicle", "vehicleId registrationNumber make model year")
+    .limit(limit * 1)
+    .skip(skip)
+    .sort({ scheduledDate: -1 });
+
+  const total = await Booking.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: bookings.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    bookings,
+  });
+});
+
+// Get one of my bookings with the progress of its jobs
+const getMyBookingById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const booking = await Booking.findOne({ _id: id, customer: req.user.userId })
+    .select(BOOKING_FIELDS)
+    .populate("vehicle", "vehicleId registrationNumber make model year")
+    .populate("assignedInspector", "profile.firstName profile.lastName");
+
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${id}`, 404));
+  }
+
+  const jobs = await Job.find({ booking: booking._id })
+    .select(JOB_FIELDS)
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    booking,
+    jobs,
+  });
+});
+
+// Request a booking for one of my vehicles
+const requestBooking = asyncWrapper(async (req, res, next) => {
+  const { userId } = req.user;
+  const { vehicle, serviceType, scheduledDate, timeSlot, description } = req.body;
+
+  if (!vehicle || !serviceType || !scheduledDate || !timeSlot) {
+    return next(createCustomError("Missing required booking fields", 400));
+  }
+
+  const ownVehicle = await Vehicle.findOne({ _id: vehicle, owner: userId });
+  if (!ownVehicle) {
+    return next(createCustomError("Vehicle not found", 404));
+  }
+  if (ownVehicle.status !== "active") {
+    return next(createCustomError("Bookings can only be requested for active vehicles", 400));
+  }
+
+  const customer = await User.findById(userId).select("customerDetails");
+  const deposit = await getDepositRequirement(customer);
+
+  // Takes the place atomically; past dates, closed days and full slots are rejected
+  const { booking, error } = await createBookingInSlot({
+    customer: userId,
+    vehicle: ownVehicle._id,
+    serviceType,
+    scheduledDate,
+    timeSlot,
+    description,
+    deposit: deposit.required ? { required: true, amount: deposit.amount } : undefined,
+    createdBy: userId,
+    notes: [{
+      note: "Booking requested by customer",
+      createdBy: userId,
+      createdAt: new Date()
+    }]
+  });
+  if (error) {
+    return next(error);
+  }
+
+  const createdBooking = await Booking.findById(booking._id)
+    .select(BOOKING_FIELDS)
+    .populate("vehicle", "vehicleId registrationNumber make model year");
+
+  res.status(201).json({
+    success: true,
+    message: deposit.required
+      ? `Booking requested. A deposit of LKR ${deposit.amount} is required at the front desk before your vehicle is inspected`
+      : "Booking requested successfully",
+    booking: createdBooking,
+  });
+});
+
+// Reschedule one of my bookings
+const rescheduleMyBooking = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { scheduledDate, timeSlot, reason } = req.body;
+
+  const booking = await Booking.findOne({ _id: id, customer: req.user.userId });
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${id}`, 404));
+  }
+
+  const rescheduleError = await rescheduleBooking(booking, {
+    scheduledDate,
+    timeSlot,
+    reason,
+    requestedBy: "customer",
+    userId: req.user.userId,
+  });
+  if (rescheduleError) {
+    return next(rescheduleError);
+  }
+
+  const updatedBooking = await Booking.findById(booking._id)
+    .select(BOOKING_FIELDS)
+    .populate("vehicle", "vehicleId registrationNumber make model year");
+
+  res.status(200).json({
+    success: true,
+    message: "Booking rescheduled successfully",
+    booking: updatedBooking,
+  });
+});
+
+// Confirm the condition recorded when my vehicle was checked in or out
+const acknowledgeMyVehicleCondition = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { stage } = req.body;
+
+  if (!["checkIn", "checkOut"].includes(stage)) {
+    return next(createCustomError("Stage must be checkIn or checkOut", 400));
+  }
+
+  const booking = await Booking.findOne({ _id: id, customer: req.user.userId })
+    .populate("customer", "profile.firstName profile.lastName");
+  if (!booking) {
+    return next(createCustomError(`No booking with id: ${id}`, 404));
+  }
+
+  const record = booking[stage];
+  if (!record?.recordedAt) {
+    return next(createCustomError(`Your vehicle has no ${stage === "checkIn" ? "check-in" : "check-out"} record yet`, 400));
+  }
+  if (record.acknowledgement?.acknowledgedAt) {
+    return next(createCustomError("You have already acknowledged this record", 400));
+  }
+
+  record.acknowledgement = {
+    name: `${booking.customer.profile.firstName} ${booking.customer.profile.lastName}`,
+    method: "app",
+    acknowledgedAt: new Date(),
+  };
+  await booking.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Thank you for confirming your vehicle's condition",
+    acknowledgement: record.acknowledgement,
+  });
+});
+
+// Get the estimates sent to me (drafts are not visible)
+const getMyEstimates = asyncWrapper(async (req, res) => {
+  const { booking, status } = req.query;
+
+  const query = { customer: req.user.userId, status: { $nin: ["draft", "superseded"] } };
+  if (booking) query.booking = booking;
+  if (status && !["draft", "superseded"].includes(status)) query.status = status;
+
+  const estimates = await Estimate.find(query)
+    .populate("booking", "bookingId serviceType scheduledDate")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: estimates.length,
+    estimates: estimates.map(estimate => ({ ...toCustomerView(estimate), booking: estimate.booking })),
+  });
+});
+
+// Approve or decline an estimate sent to me, fully or per line
+const respondToMyEstimate = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { decision, items, comment } = req.body;
+
+  const estimate = await Estimate.findOne({ _id: id, customer: req.user.userId, status: { $ne: "draft" } });
+  if (!estimate) {
+    return next(createCustomError(`No estimate with id: ${id}`, 404));
+  }
+
+  const responseError = await respondToEstimate(estimate, {
+    decision,
+    items,
+    comment,
+    via: "app",
+    userId: req.user.userId,
+  });
+  if (responseError) {
+    return next(responseError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Thank you, your response has been recorded",
+    estimate: toCustomerView(estimate),
+  });
+});
+
+// Get my waitlist entries with any slot currently offered to me
+const getMyWaitlist = asyncWrapper(async (req, res) => {
+  const { status } = req.query;
+
+  const query = { customer: req.user.userId };
+  if (status) {
+    query.status = status;
+  }
+
+  const entries = await WaitlistEntry.find(query)
+    .select("-notes -createdBy")
+    .populate("vehicle", "vehicleId registrationNumber make model")
+    .populate("booking", "bookingId scheduledDate timeSlot status")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    entries,
+  });
+});
+
+// Take the slot offered to me
+const acceptMyWaitlistOffer = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const entry = await WaitlistEntry.findOne({ _id: id, customer: req.user.userId });
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+  if (entry.status !== "offered") {
+    return next(createCustomError("There is no open offer on this waitlist entry", 400));
+  }
+
+  const { booking, error } = await convertToBooking(entry, { userId: req.user.userId });
+  if (error) {
+    return next(error);
+  }
+
+  const createdBooking = await Booking.findById(booking._id)
+    .select(BOOKING_FIELDS)
+    .populate("vehicle", "vehicleId registrationNumber make model year");
+
+  res.status(201).json({
+    success: true,
+    message: "Booking confirmed",
+    booking: createdBooking,
+  });
+});
+
+// Turn down the slot offered to me, I stay on the waitlist
+const declineMyWaitlistOffer = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const entry = await WaitlistEntry.findOne({ _id: id, customer: req.user.userId });
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+
+  const declineError = await declineOffer(entry, { reason: req.body.reason, userId: req.user.userId });
+  if (declineError) {
+    return next(declineError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Offer declined",
+  });
+});
+
+// Get progress of jobs on my bookings
+const getMyJobs = asyncWrapper(async (req, res) => {
+  const { userId } = req.user;
+  const { status, booking } = req.query;
+
+  const bookingQuery = { customer: userId };
+  if (booking) {
+    bookingQuery._id = booking;
+  }
+  const bookingIds = await Booking.find(bookingQuery).distinct("_id");
+
+  const query = { booking: { $in: bookingIds } };
+  if (status) {
+    query.status = status;
+  }
+
+  const jobs = await Job.find(query)
+    .select(JOB_FIELDS)
+    .populate("booking", "bookingId serviceType scheduledDate status")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    jobs,
+  });
+});
+
+// Get my invoices
+const getMyInvoices = asyncWrapper(async (req, res) => {
+  const { userId } = req.user;
+  const { status, page = 1, limit = 10 } = req.query;
+
+  const query = visibleInvoiceQuery(userId);
+  if (status && status !== "draft") {
+    query.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+  const invoices = await Invoice.find(query)
+    .select("-createdBy")
+    .populate({
+      path: "booking",
+      select: "bookingId serviceType scheduledDate",
+      populate: { path: "vehicle", select: "vehicleId registrationNumber make model" },
+    })
+    .limit(limit * 1)
+    .skip(skip)
+    .sort({ createdAt: -1 });
+
+  const total = await Invoice.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: invoices.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    invoices,
+  });
+});
+
+const findMyInvoice = (id, userId) => {
+  return Invoice.findOne({ _id: id, ...visibleInvoiceQuery(userId) })
+    .select("-createdBy")
+    .populate([
+      {
+        path: "booking",
+        select: "bookingId serviceType scheduledDate status",
+        populate: { path: "vehicle", select: "vehicleId registrationNumber make model year" },
+      },
+      {
+        path: "customer",
+        select: "userId profile.firstName profile.lastName email",
+      },
+    ]);
+};
+
+// Get one of my invoices
+const getMyInvoiceById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const invoice = await findMyInvoice(id, req.user.userId);
+
+  if (!invoice) {
+    return next(createCustomError(`No invoice found with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    invoice,
+  });
+});
+
+// Download one of my invoices as a printable document
+const downloadMyInvoice = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const invoice = await findMyInvoice(id, req.user.userId);
+
+  if (!invoice) {
+    return next(createCustomError(`No invoice found with id: ${id}`, 404));
+  }
+
+  res.set({
+    "Content-Type": "text/html; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${invoice.invoiceId}.html"`,
+  });
+  res.status(200).send(renderInvoiceHtml(invoice));
+});
+
+export {
+  getMyVehicles,
+  getMyVehicleById,
+  getMyVehicleUpcomingServices,
+  getMyBookings,
+  getMyBookingById,
+  requestBooking,
+  rescheduleMyBooking,
+  acknowledgeMyVehicleCondition,
+  getMyEstimates,
+  respondToMyEstimate,
+  getMyWaitlist,
+  acceptMyWaitlistOffer,
+  declineMyWaitlistOffer,
+  getMyJobs,
+  getMyInvoices,
+  getMyInvoiceById,
+  downloadMyInvoice,
+};
@@ -0,0 +1,149 @@
+import { RolePermission } from "../models/RolePermission.js";
+import User from "../models/User.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEPARTMENT_PERMISSIONS,
+  getRolePermissions,
+  getUserPermissions,
+  clearPermissionCache,
+} from "../services/permissionService.js";
+
+const getRoles = () => User.schema.path("role").enumValues;
+
+// Get the permission catalog
+const getPermissionCatalog = asyncWrapper(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    count: Object.keys(PERMISSIONS).length,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+    departments: DEPARTMENT_PERMISSIONS, // Held by staff of the department whatever their role
+  });
+});
+
+// Get the effective permissions of every role
+const getAllRolePermissions = asyncWrapper(async (req, res) => {
+  const overrides = await RolePermission.find()
+    .populate("updatedBy", "userId profile.firstName profile.lastName");
+
+  const roles = await Promise.all(getRoles().map(async (role) => {
+    const override = overrides.find(item => item.role === role);
+    const permissions = await getRolePermissions(role);
+
+    return {
+      role,
+      permissions: [...permissions].sort(),
+      customized: !!override && role !== "admin",
+      updatedBy: override?.updatedBy,
+      updatedAt: override?.updatedAt,
+    };
+  }));
+
+  res.status(200).json({
+    success: true,
+    roles,
+  });
+});
+
+// Get the effective permissions of one role
+const getRolePermissionsByRole = asyncWrapper(async (req, res, next) => {
+  const { role } = req.params;
+
+  if (!getRoles().includes(role)) {
+    return next(createCustomError(`Unknown role: ${role}`, 404));
+  }
+
+  const override = await RolePermission.findOne({ role });
+  const permissions = await getRolePermissions(role);
+
+  res.status(200).json({
+    success: true,
+    role,
+    permissions: [...permissions].sort(),
+    defaults: [...(DEFAULT_ROLE_PERMISSIONS[role] || [])].sort(),
+    // Defaults the customised role does not have, e.g. ones added before the override recorded the catalog
+    missingDefaults: (DEFAULT_ROLE_PERMISSIONS[role] || []).filter(permission => !permissions.has(permission)).sort(),
+    customized: !!override && role !== "admin",
+  });
+});
+
+// Replace the permissions of a role. The override covers the current catalog only,
+// default permissions added to the catalog later are still granted to the role
+const updateRolePermissions = asyncWrapper(async (req, res, next) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+
+  if (!getRoles().includes(role)) {
+    return next(createCustomError(`Unknown role: ${role}`, 404));
+  }
+
+  if (role === "admin") {
+    return next(createCustomError("Admin permissions cannot be changed", 400));
+  }
+
+  if (!Array.isArray(permissions)) {
+    return next(createCustomError("Please provide a permissions array", 400));
+  }
+
+  const unknownPermissions = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknownPermissions.length > 0) {
+    return next(createCustomError(`Unknown permissions: ${unknownPermissions.join(", ")}`, 400));
+  }
+
+  const rolePermission = await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], knownPermissions: Object.keys(PERMISSIONS), updatedBy: req.user.userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  clearPermissionCache(role);
+
+  res.status(200).json({
+    success: true,
+    message: "Role permissions updated successfully",
+    role,
+    permissions: rolePermission.permissions,
+  });
+});
+
+// Reset a role to its default permissions
+const resetRolePermissions = asyncWrapper(async (req, res, next) => {
+  const { role } = req.params;
+
+  if (!getRoles().includes(role)) {
+    return next(createCustomError(`Unknown role: ${role}`, 404));
+  }
+
+  await RolePermission.findOneAndDelete({ role });
+  clearPermissionCache(role);
+
+  res.status(200).json({
+    success: true,
+    message: "Role permissions reset to defaults",
+    role,
+    permissions: DEFAULT_ROLE_PERMISSIONS[role] || [],
+  });
+});
+
+// Get the permissions of the logged-in user (for showing/hiding UI actions)
+const getMyPermissions = asyncWrapper(async (req, res) => {
+  const permissions = await getUserPermissions(req.user);
+
+  res.status(200).json({
+    success: true,
+    role: req.user.role,
+    department: req.user.department,
+    permissions: [...permissions].sort(),
+  });
+});
+
+export {
+  getPermissionCatalog,
+  getAllRolePermissions,
+  getRolePermissionsByRole,
+  updateRolePermissions,
+  resetRolePermissions,
+  getMyPermissions,
+};
@@ -0,0 +1,155 @@
+import { ServiceBay } from "../models/ServiceBay.js";
+import { BayReservation } from "../models/BayReservation.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getBayBoard } from "../services/bayService.js";
+
+// Create service bay
+const createServiceBay = asyncWrapper(async (req, res) => {
+  const { name, type, categories, status, notes } = req.body;
+
+  const serviceBay = await ServiceBay.create({ name, type, categories, status, notes });
+
+  res.status(201).json({
+    success: true,
+    message: "Service bay created successfully",
+    serviceBay,
+  });
+});
+
+// Get all service bays
+const getAllServiceBays = asyncWrapper(async (req, res) => {
+  const { status, type, category } = req.query;
+
+  let query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (category) query.categories = category;
+
+  const serviceBays = await ServiceBay.find(query).sort({ bayId: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: serviceBays.length,
+    serviceBays,
+  });
+});
+
+// Get service bay by ID
+const getServiceBayById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const serviceBay = await ServiceBay.findById(id);
+  if (!serviceBay) {
+    return next(createCustomError(`No service bay with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    serviceBay,
+  });
+});
+
+// Update service bay
+const updateServiceBay = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  delete req.body.bayId;
+
+  const serviceBay = await ServiceBay.findByIdAndUpdate(id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!serviceBay) {
+    return next(createCustomError(`No service bay with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Service bay updated successfully",
+    serviceBay,
+  });
+});
+
+// Retire service bay (kept for reservation history)
+const deleteServiceBay = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const serviceBay = await ServiceBay.findById(id);
+  if (!serviceBay) {
+    return next(createCustomError(`No service bay with id: ${id}`, 404));
+  }
+
+  const upcomingReservations = await BayReservation.countDocuments({
+    bay: serviceBay._id,
+    status: { $in: ["reserved", "active"] },
+    end: { $gt: new Date() },
+  });
+  if (upcomingReservations > 0) {
+    return next(createCustomError(`Service bay has ${upcomingReservations} open reservation(s), move them first`, 400));
+  }
+
+  serviceBay.status = "inactive";
+  await serviceBay.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Service bay deactivated successfully",
+    serviceBay,
+  });
+});
+
+// Get reservations of a service bay
+const getServiceBayReservations = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { from, to, status } = req.query;
+
+  const serviceBay = await ServiceBay.findById(id);
+  if (!serviceBay) {
+    return next(createCustomError(`No service bay with id: ${id}`, 404));
+  }
+
+  let query = { bay: serviceBay._id };
+  if (status) query.status = { $in: status.split(",") };
+  if (from) query.end = { $gt: new Date(from) };
+  if (to) query.start = { $lt: new Date(to) };
+
+  const reservations = await BayReservation.find(query)
+    .populate("job", "jobId title category status")
+    .populate("reservedBy", "userId profile.firstName profile.lastName")
+    .sort({ start: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: reservations.length,
+    serviceBay,
+    reservations,
+  });
+});
+
+// Daily board of bay occupancy
+const getServiceBayBoard = asyncWrapper(async (req, res, next) => {
+  const { date } = req.query;
+
+  if (date && isNaN(new Date(date).getTime())) {
+    return next(createCustomError("Invalid date", 400));
+  }
+
+  const board = await getBayBoard(date);
+
+  res.status(200).json({
+    success: true,
+    ...board,
+  });
+});
+
+export {
+  createServiceBay,
+  getAllServiceBays,
+  getServiceBayById,
+  updateServiceBay,
+  deleteServiceBay,
+  getServiceBayReservations,
+  getServiceBayBoard,
+};
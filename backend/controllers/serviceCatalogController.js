@@ -0,0 +1,143 @@
+import { ServiceCatalogItem } from "../models/ServiceCatalogItem.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { populateTemplate, validatePartsKit, priceTemplate } from "../services/serviceCatalogService.js";
+import { getLabourRateTable, resolveHourlyRate } from "../services/labourRateService.js";
+
+const withPricing = (template, rateTable) => ({
+  ...template.toObject(),
+  pricing: priceTemplate(template, resolveHourlyRate(rateTable, { category: template.category }).hourlyRate),
+});
+
+// Create a catalog template
+const createServiceCatalogItem = asyncWrapper(async (req, res, next) => {
+  const { name, description, category, serviceTypes, estimatedHours, skills, tools, partsKit, menuPrice } = req.body;
+
+  const kitError = await validatePartsKit(partsKit);
+  if (kitError) {
+    return next(kitError);
+  }
+
+  const template = await ServiceCatalogItem.create({
+    name,
+    description,
+    category,
+    serviceTypes,
+    estimatedHours,
+    skills,
+    tools,
+    partsKit,
+    menuPrice,
+    createdBy: req.user.userId,
+  });
+
+  await populateTemplate(template);
+
+  res.status(201).json({
+    success: true,
+    message: "Service catalog item created successfully",
+    template: withPricing(template, await getLabourRateTable()),
+  });
+});
+
+// Get catalog templates (active ones unless ?active=false or ?active=all)
+const getAllServiceCatalogItems = asyncWrapper(async (req, res) => {
+  const { active = "true", category, serviceType, search } = req.query;
+
+  const query = {};
+  if (active !== "all") query.active = active === "true";
+  if (category) query.category = category;
+  if (serviceType) query.$or = [{ serviceTypes: serviceType }, { serviceTypes: { $size: 0 } }];
+  if (search) {
+    query.$and = [{
+      $or: [
+        { code: { $regex: search, $options: "i" } },
+        { name: { $regex: search, $options: "i" } },
+        { description: { $regex: search, $options: "i" } },
+      ],
+    }];
+  }
+
+  const templates = await populateTemplate(ServiceCatalogItem.find(query)).sort({ name: 1 });
+  const rateTable = await getLabourRateTable();
+
+  res.status(200).json({
+    success: true,
+    count: templates.length,
+    templates: templates.map(template => withPricing(template, rateTable)),
+  });
+});
+
+// Get catalog template by ID
+const getServiceCatalogItemById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const template = await populateTemplate(ServiceCatalogItem.findById(id));
+  if (!template) {
+    return next(createCustomError(`No service catalog item with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    template: withPricing(template, await getLabourRateTable()),
+  });
+});
+
+// Update catalog template. Jobs already created from it keep their copy.
+const updateServiceCatalogItem = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  delete req.body.code;
+  delete req.body.createdBy;
+
+  if (req.body.partsKit) {
+    const kitError = await validatePartsKit(req.body.partsKit);
+    if (kitError) {
+      return next(kitError);
+    }
+  }
+
+  const template = await populateTemplate(ServiceCatalogItem.findByIdAndUpdate(
+    id,
+    { ...req.body, updatedBy: req.user.userId },
+    { new: true, runValidators: true }
+  ));
+
+  if (!template) {
+    return next(createCustomError(`No service catalog item with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Service catalog item updated successfully",
+    template: withPricing(template, await getLabourRateTable()),
+  });
+});
+
+// Retire catalog template (kept for the jobs created from it)
+const deleteServiceCatalogItem = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const template = await ServiceCatalogItem.findById(id);
+  if (!template) {
+    return next(createCustomError(`No service catalog item with id: ${id}`, 404));
+  }
+
+  template.active = false;
+  template.updatedBy = req.user.userId;
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Service catalog item deactivated successfully",
+    template,
+  });
+});
+
+export {
+  createServiceCatalogItem,
+  getAllServiceCatalogItems,
+  getServiceCatalogItemById,
+  updateServiceCatalogItem,
+  deleteServiceCatalogItem,
+};
@@ -0,0 +1,108 @@
+import { ServiceReminderRule } from "../models/ServiceReminderRule.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import {
+  getReminderRules,
+  getDueReminders,
+  queueServiceReminders,
+  DEFAULT_RULES,
+} from "../services/serviceReminderService.js";
+import { SERVICE_TYPES } from "../services/bookingAvailabilityService.js";
+
+// Vehicles due or overdue for a service, for the front desk to call
+const getDueServiceReminders = asyncWrapper(async (req, res, next) => {
+  const { serviceType, status } = req.query;
+
+  if (status && !["overdue", "due_soon"].includes(status)) {
+    return next(createCustomError("Status must be overdue or due_soon", 400));
+  }
+
+  const reminders = await getDueReminders({ serviceType, status });
+
+  res.status(200).json({
+    success: true,
+    count: reminders.length,
+    reminders: reminders.map(reminder => ({
+      ...reminder,
+      vehicle: {
+        _id: reminder.vehicle._id,
+        vehicleId: reminder.vehicle.vehicleId,
+        registrationNumber: reminder.vehicle.registrationNumber,
+        make: reminder.vehicle.make,
+        model: reminder.vehicle.model,
+        mileage: reminder.vehicle.mileage,
+      },
+      customer: {
+        _id: reminder.customer._id,
+        userId: reminder.customer.userId,
+        name: `${reminder.customer.profile.firstName} ${reminder.customer.profile.lastName}`,
+        phoneNumber: reminder.customer.profile.phoneNumber,
+        email: reminder.customer.email,
+      },
+    })),
+  });
+});
+
+// Queue reminders for every due service now instead of waiting for the daily run
+const sendServiceReminders = asyncWrapper(async (req, res) => {
+  const result = await queueServiceReminders();
+
+  res.status(200).json({
+    success: true,
+    message: `${result.queued} reminder(s) queued for ${result.due} due service(s)`,
+    ...result,
+  });
+});
+
+// Get the effective reminder rules
+const getServiceReminderRules = asyncWrapper(async (req, res) => {
+  const rules = await getReminderRules();
+
+  res.status(200).json({
+    success: true,
+    rules: Object.values(rules),
+  });
+});
+
+// Create or update the rule of a service type
+const updateServiceReminderRule = asyncWrapper(async (req, res, next) => {
+  const { serviceType } = req.params;
+  const { intervalKm, intervalMonths, leadDays, leadKm, active } = req.body;
+
+  if (!SERVICE_TYPES.includes(serviceType)) {
+    return next(createCustomError(`Invalid service type: ${serviceType}`, 400));
+  }
+
+  // Undefined fields are left out of the update, so a partial body keeps the other settings
+  const update = { updatedBy: req.user.userId };
+  for (const [field, value] of Object.entries({ intervalKm, intervalMonths, leadDays, leadKm, active })) {
+    if (value !== undefined) update[field] = value;
+  }
+
+  // The first edit of a default rule starts from the default's settings
+  const defaults = {};
+  for (const [field, value] of Object.entries(DEFAULT_RULES[serviceType] || {})) {
+    if (update[field] === undefined) defaults[field] = value;
+  }
+
+  const rule = await ServiceReminderRule.findOneAndUpdate(
+    { serviceType },
+    { $set: update, $setOnInsert: defaults },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: rule.active && !rule.intervalKm && !rule.intervalMonths
+      ? "Reminder rule saved, but it has no interval so no reminders will be sent"
+      : "Reminder rule saved successfully",
+    rule,
+  });
+});
+
+export {
+  getDueServiceReminders,
+  sendServiceReminders,
+  getServiceReminderRules,
+  updateServiceReminderRule,
+};
@@ -1,23 +1,109 @@
+import mongoose from "mongoose";
 import User from "../models/User.js";
+import { Session } from "../models/Session.js";
 import asyncWrapper from "../middleware/async.js";
 import { createCustomError } from "../errors/custom-error.js";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
-// Import email service when available
-// import { sendEmail } from "../utils/email.js";
+import {
+  generateSecret,
+  findCodeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from "../utils/totp.js";
+import { sendTemplatedEmail, frontendLink } from "../services/email/index.js";
+import { sendTemplatedSms } from "../services/sms/index.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+import { requiresTwoFactorSetup } from "../middleware/auth.js";
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+  });
+};
+
+// Generate short-lived challenge token issued after the password step when 2FA is enabled
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: "2fa_pending" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  });
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+// Generate short-lived token that only allows 2FA enrollment, for accounts that have to use 2FA
+const generateTwoFactorSetupToken = (userId) => {
+  return jwt.sign({ userId, purpose: "2fa_setup" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_SETUP_EXPIRES_IN || "15m",
   });
 };
 
+// Check a TOTP code or consume a recovery code (user must be loaded with the 2FA fields selected)
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    return user.useTwoFactorCode(code);
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashRecoveryCode(recoveryCode);
+    const entry = user.twoFactorRecoveryCodes.find(
+      recovery => recovery.codeHash === codeHash && !recovery.usedAt
+    );
+
+    if (entry) {
+      entry.usedAt = new Date();
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Count a failed password or verification code; 5 in a row lock the account for 30 minutes (not saved)
+const recordFailedAttempt = (user) => {
+  user.loginAttempts += 1;
+
+  if (user.loginAttempts >= 5) {
+    user.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
+  }
+};
+
 // Generate random token for password reset/email verification
 const generateRandomToken = () => {
   return crypto.randomBytes(32).toString('hex');
 };
 
+// Refresh tokens are stored hashed
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create a session for the signing-in device and issue an access + refresh token pair
+const createSession = async (user, req) => {
+  const refreshDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  const refreshSecret = generateRandomToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshSecret),
+    deviceName: req.body.deviceName,
+    userAgent: req.headers["user-agent"],
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken: `${session._id}.${refreshSecret}`,
+  };
+};
+
+// Sign a user out everywhere: revoke all sessions and reject access tokens issued until now
+const revokeAllSessions = async (userId, reason) => {
+  await Session.revokeAllForUser(userId, reason);
+  await User.findByIdAndUpdate(userId, { tokensValidAfter: new Date() });
+};
+
 // Register user
 const registerUser = asyncWrapper(async (req, res, next) => {
   const { email, password, role } = req.body;
@@ -58,8 +144,10 @@ const registerUser = asyncWrapper(async (req, res, next) => {
 
   const user = await User.create(userData);
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start a session for the new account, or only allow 2FA enrollment when its role has to use 2FA
+  const tokens = requiresTwoFactorSetup(user)
+    ? { twoFactorSetupRequired: true, setupToken: generateTwoFactorSetupToken(user._id) }
+    : await createSession(user, req);
 
   // Remove sensitive data from response
   const userResponse = user.toObject();
@@ -67,18 +155,16 @@ const registerUser = asyncWrapper(async (req, res, next) => {
   delete userResponse.emailVerificationToken;
   delete userResponse.passwordResetToken;
 
-  // TODO: Send verification email
-  // await sendEmail({
-  //   to: user.email,
-  //   subject: "Verify your email - PitStop",
-  //   text: `Please verify your email by clicking: ${process.env.FRONTEND_URL}/verify-email?token=${user.emailVerificationToken}`
-  // });
+  // Send verification email
+  await sendTemplatedEmail(user, "emailVerification", {
+    link: frontendLink(`/verify-email?token=${user.emailVerificationToken}`),
+  });
 
   res.status(201).json({
     success: true,
     message: "User registered successfully. Please check your email for verification.",
     user: userResponse,
-    token,
+    ...tokens,
   });
 });
 
@@ -111,18 +197,21 @@ const loginUser = asyncWrapper(async (req, res, next) => {
   const isPasswordValid = await user.comparePassword(password);
   
   if (!isPasswordValid) {
-    // Increment login attempts
-    user.loginAttempts += 1;
-    
-    // Lock account after 5 failed attempts for 30 minutes
-    if (user.loginAttempts >= 5) {
-      user.lockUntil = Date.now() + 30 * 60 * 1000; // 30 minutes
-    }
-    
+    recordFailedAttempt(user);
     await user.save();
     return next(createCustomError("Invalid email or password", 401));
   }
 
+  // Password is correct but a second factor is still required
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user._id),
+    });
+  }
+
   // Reset login attempts and lock on successful login
   if (user.loginAttempts > 0) {
     user.loginAttempts = 0;
@@ -133,8 +222,18 @@ const loginUser = asyncWrapper(async (req, res, next) => {
   user.lastLogin = new Date();
   await user.save();
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Accounts that have to use 2FA can only enroll until they have set it up
+  if (requiresTwoFactorSetup(user)) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication setup required",
+      twoFactorSetupRequired: true,
+      setupToken: generateTwoFactorSetupToken(user._id),
+    });
+  }
+
+  // Start a session for this device
+  const { token, refreshToken } = await createSession(user, req);
 
   // Remove sensitive data from response
   const userResponse = user.toObject();
@@ -147,6 +246,382 @@ const loginUser = asyncWrapper(async (req, res, next) => {
     message: "Login successful",
     user: userResponse,
     token,
+    refreshToken,
+  });
+});
+
+// Complete login with a TOTP code or recovery code
+const verifyTwoFactorLogin = asyncWrapper(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(createCustomError("Challenge token and a verification code or recovery code are required", 400));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return next(createCustomError("Invalid or expired challenge, please login again", 401));
+  }
+
+  if (decoded.purpose !== "2fa_pending") {
+    return next(createCustomError("Invalid challenge token", 401));
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select("+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes");
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(createCustomError("Invalid challenge token", 401));
+  }
+
+  if (user.isLocked) {
+    return next(createCustomError("Account is temporarily locked due to too many failed attempts", 423));
+  }
+
+  if (user.status !== "active") {
+    return next(createCustomError("Account is not active. Please contact support.", 403));
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    recordFailedAttempt(user);
+    await user.save();
+    return next(createCustomError("Invalid verification code", 401));
+  }
+
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  const userResponse = user.toObject();
+  delete userResponse.twoFactorSecret;
+  delete userResponse.twoFactorLastStep;
+  delete userResponse.twoFactorRecoveryCodes;
+  delete userResponse.emailVerificationToken;
+  delete userResponse.passwordResetToken;
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    user: userResponse,
+    token,
+    refreshToken,
+    recoveryCodesRemaining: user.twoFactorRecoveryCodes.filter(recovery => !recovery.usedAt).length,
+  });
+});
+
+// Start 2FA enrollment - generate a secret and otpauth URI
+const setupTwoFactor = asyncWrapper(async (req, res, next) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return next(createCustomError("User not found", 404));
+  }
+
+  if (user.twoFactorEnabled) {
+    return next(createCustomError("Two-factor authentication is already enabled", 400));
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Scan the QR code with your authenticator app and confirm with a code",
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email),
+  });
+});
+
+// Confirm 2FA enrollment with the first code and issue recovery codes
+const enableTwoFactor = asyncWrapper(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(createCustomError("Verification code is required", 400));
+  }
+
+  const user = await User.findById(req.user.userId).select("+twoFactorPendingSecret");
+
+  if (!user) {
+    return next(createCustomError("User not found", 404));
+  }
+
+  if (user.twoFactorEnabled) {
+    return next(createCustomError("Two-factor authentication is already enabled", 400));
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return next(createCustomError("Please start two-factor setup first", 400));
+  }
+
+  const step = findCodeStep(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    return next(createCustomError("Invalid verification code", 400));
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastStep = step; // The enrollment code cannot be used again to sign in
+  user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => ({
+    codeHash: hashRecoveryCode(recoveryCode),
+  }));
+  user.twoFactorEnabled = true;
+  await user.save();
+
+  // Enrolling with a setup-only token completes the login
+  const session = req.user.twoFactorSetupOnly ? await createSession(user, req) : {};
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+    recoveryCodes,
+    ...session,
+  });
+});
+
+// Disable 2FA (requires password and a current code or recovery code)
+const disableTwoFactor = asyncWrapper(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(createCustomError("Password and a verification code or recovery code are required", 400));
+  }
+
+  const user = await User.findById(req.user.userId)
+    .select("+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes");
+
+  if (!user) {
+    return next(createCustomError("User not found", 404));
+  }
+
+  if (!user.twoFactorEnabled) {
+    return next(createCustomError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (user.isLocked) {
+    return next(createCustomError("Account is temporarily locked due to too many failed attempts", 423));
+  }
+
+  // Wrong passwords and codes count towards the login lockout
+  const isPasswordValid = await user.comparePassword(password);
+  if (!isPasswordValid) {
+    recordFailedAttempt(user);
+    await user.save();
+    return next(createCustomError("Password is incorrect", 400));
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    recordFailedAttempt(user);
+    await user.save();
+    return next(createCustomError("Invalid verification code", 400));
+  }
+
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastStep = undefined;
+  user.twoFactorRecoveryCodes = [];
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
+
+// Regenerate recovery codes (invalidates the old set)
+const regenerateRecoveryCodes = asyncWrapper(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(createCustomError("Verification code is required", 400));
+  }
+
+  const user = await User.findById(req.user.userId)
+    .select("+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes");
+
+  if (!user) {
+    return next(createCustomError("User not found", 404));
+  }
+
+  if (!user.twoFactorEnabled) {
+    return next(createCustomError("Two-factor authentication is not enabled", 400));
+  }
+
+  if (!user.useTwoFactorCode(code)) {
+    return next(createCustomError("Invalid verification code", 400));
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => ({
+    codeHash: hashRecoveryCode(recoveryCode),
+  }));
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Recovery codes regenerated",
+    recoveryCodes,
+  });
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+const refreshAccessToken = asyncWrapper(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(createCustomError("Refresh token is required", 400));
+  }
+
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return next(createCustomError("Invalid refresh token", 401));
+  }
+
+  const session = await Session.findById(sessionId).select("+refreshTokenHash +previousTokenHash");
+
+  if (!session || session.revokedAt || session.expiresAt <= Date.now()) {
+    return next(createCustomError("Session expired or revoked, please login again", 401));
+  }
+
+  const tokenHash = hashToken(secret);
+  if (tokenHash !== session.refreshTokenHash) {
+    // A rotated token being replayed means it was copied - end the session
+    if (tokenHash === session.previousTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = "token_reuse";
+      await session.save();
+    }
+    return next(createCustomError("Invalid refresh token", 401));
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    return next(createCustomError("User not found, invalid token", 401));
+  }
+
+  if (user.status !== "active") {
+    return next(createCustomError("Account is not active", 403));
+  }
+
+  if (user.isLocked) {
+    return next(createCustomError("Account is temporarily locked", 423));
+  }
+
+  if (user.tokensValidAfter && session.createdAt < user.tokensValidAfter) {
+    return next(createCustomError("Session expired or revoked, please login again", 401));
+  }
+
+  if (requiresTwoFactorSetup(user)) {
+    return next(createCustomError("Two-factor authentication setup required, please login again", 403));
+  }
+
+  // Rotate the refresh token
+  const newSecret = generateRandomToken();
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(newSecret);
+  session.lastUsedAt = new Date();
+  session.ipAddress = req.ip;
+  await session.save();
+
+  res.status(200).json({
+    success: true,
+    token: generateToken(user._id, session._id),
+    refreshToken: `${session._id}.${newSecret}`,
+  });
+});
+
+// Logout from the current device
+const logoutUser = asyncWrapper(async (req, res) => {
+  const { sessionId } = req.user;
+
+  if (sessionId) {
+    await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: "logout" }
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+// Logout from all devices
+const logoutAllDevices = asyncWrapper(async (req, res) => {
+  await revokeAllSessions(req.user.userId, "logout_all");
+
+  res.status(200).json({
+    success: true,
+    message: "Logged out from all devices",
+  });
+});
+
+// List active sessions of the current user
+const getMySessions = asyncWrapper(async (req, res) => {
+  const { userId, sessionId } = req.user;
+
+  const sessions = await Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      ...session.toObject(),
+      current: sessionId?.toString() === session._id.toString(),
+    })),
+  });
+});
+
+// Revoke one of the current user's sessions (e.g. a lost phone)
+const revokeMySession = asyncWrapper(async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user.userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: "logout" },
+    { new: true }
+  );
+
+  if (!session) {
+    return next(createCustomError(`No active session with id: ${sessionId}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
+
+// Force sign-out of a user on all devices (admin/manager only)
+const revokeUserSessions = asyncWrapper(async (req, res, next) => {
+  const { id: userId } = req.params;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(createCustomError(`No user with id: ${userId}`, 404));
+  }
+
+  await revokeAllSessions(user._id, "forced");
+
+  res.status(200).json({
+    success: true,
+    message: "User signed out from all devices",
   });
 });
 
@@ -178,6 +653,161 @@ const verifyEmail = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// Resend the email verification link
+const resendVerificationEmail = asyncWrapper(async (req, res, next) => {
+  const user = await User.findById(req.user.userId);
+
+  if (!user) {
+    return next(createCustomError("User not found", 404));
+  }
+
+  if (user.emailVerified) {
+    return next(createCustomError("Email is already verified", 400));
+  }
+
+  user.emailVerificationToken = generateRandomToken();
+  user.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  await user.save();
+
+  await sendTemplatedEmail(user, "emailVerification", {
+    link: frontendLink(`/verify-email?token=${user.emailVerificationToken}`),
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
+
+// Phone verification limits
+const PHONE_OTP_EXPIRY_MINUTES = 10;
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+const PHONE_OTP_RESEND_SECONDS = 60;
+const PHONE_OTP_MAX_SENDS_PER_HOUR = 5;
+
+const hashPhoneOtp = (userId, code) => {
+  return crypto.createHash("sha256").update(`${userId}:${code}`).digest("hex");
+};
+
+// Send a 6-digit OTP to the user's phone (own account, or a customer at the front desk via /:id)
+const sendPhoneOtp = asyncWrapper(async (req, res, next) => {
+  const targetUserId = req.params.id || req.user.userId;
+
+  const user = await User.findById(targetUserId);
+  if (!user) {
+    return next(createCustomError(`No user with id: ${targetUserId}`, 404));
+  }
+
+  if (!user.profile?.phoneNumber) {
+    return next(createCustomError("No phone number on this account", 400));
+  }
+
+  if (user.phoneVerified) {
+    return next(createCustomError("Phone number is already verified", 400));
+  }
+
+  const now = Date.now();
+  const verification = user.phoneVerification || {};
+
+  // Resend throttling
+  if (verification.lastSentAt && now - verification.lastSentAt.getTime() < PHONE_OTP_RESEND_SECONDS * 1000) {
+    const waitSeconds = Math.ceil((PHONE_OTP_RESEND_SECONDS * 1000 - (now - verification.lastSentAt.getTime())) / 1000);
+    return next(createCustomError(`Please wait ${waitSeconds} seconds before requesting another code`, 429));
+  }
+
+  let sendCount = verification.sendCount || 0;
+  let windowStartedAt = verification.windowStartedAt;
+  if (!windowStartedAt || now - windowStartedAt.getTime() >= 60 * 60 * 1000) {
+    sendCount = 0;
+    windowStartedAt = new Date(now);
+  }
+
+  if (sendCount >= PHONE_OTP_MAX_SENDS_PER_HOUR) {
+    return next(createCustomError("Too many verification codes requested, please try again later", 429));
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+  const result = await sendTemplatedSms(user, "phoneVerification", { code });
+  if (!result.sent) {
+    return next(createCustomError("Failed to send verification code, please try again", 502));
+  }
+
+  user.phoneVerification = {
+    codeHash: hashPhoneOtp(user._id, code),
+    phoneNumber: user.profile.phoneNumber,
+    expiresAt: new Date(now + PHONE_OTP_EXPIRY_MINUTES * 60 * 1000),
+    attempts: 0,
+    lastSentAt: new Date(now),
+    sendCount: sendCount + 1,
+    windowStartedAt,
+  };
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Verification code sent to ${user.profile.phoneNumber.replace(/\d(?=\d{3})/g, "*")}`,
+    expiresInSeconds: PHONE_OTP_EXPIRY_MINUTES * 60,
+    resendAfterSeconds: PHONE_OTP_RESEND_SECONDS,
+  });
+});
+
+// Confirm the OTP and mark the phone number as verified
+const verifyPhoneOtp = asyncWrapper(async (req, res, next) => {
+  const targetUserId = req.params.id || req.user.userId;
+  const { code } = req.body;
+
+  if (!code) {
+    return next(createCustomError("Verification code is required", 400));
+  }
+
+  const user = await User.findById(targetUserId).select("+phoneVerification.codeHash");
+  if (!user) {
+    return next(createCustomError(`No user with id: ${targetUserId}`, 404));
+  }
+
+  if (user.phoneVerified) {
+    return next(createCustomError("Phone number is already verified", 400));
+  }
+
+  const verification = user.phoneVerification;
+  if (!verification?.codeHash) {
+    return next(createCustomError("Please request a verification code first", 400));
+  }
+
+  if (verification.expiresAt < Date.now() || verification.phoneNumber !== user.profile.phoneNumber) {
+    return next(createCustomError("Verification code has expired, please request a new one", 400));
+  }
+
+  if (verification.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+    return next(createCustomError("Too many incorrect attempts, please request a new code", 429));
+  }
+
+  const expectedHash = Buffer.from(verification.codeHash);
+  const providedHash = Buffer.from(hashPhoneOtp(user._id, code.toString().trim()));
+
+  if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+    verification.attempts += 1;
+    await user.save();
+
+    return next(createCustomError(
+      `Invalid verification code. ${PHONE_OTP_MAX_ATTEMPTS - verification.attempts} attempts remaining`,
+      400
+    ));
+  }
+
+  user.phoneVerified = true;
+  user.phoneVerification.codeHash = undefined;
+  user.phoneVerification.expiresAt = undefined;
+  user.phoneVerification.attempts = 0;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Phone number verified successfully",
+  });
+});
+
 // Request password reset
 const forgotPassword = asyncWrapper(async (req, res, next) => {
   const { email } = req.body;
@@ -197,12 +827,10 @@ const forgotPassword = asyncWrapper(async (req, res, next) => {
   user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
   await user.save();
 
-  // TODO: Send reset email
-  // await sendEmail({
-  //   to: user.email,
-  //   subject: "Password Reset - PitStop",
-  //   text: `Reset your password by clicking: ${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`
-  // });
+  // Send reset email
+  await sendTemplatedEmail(user, "passwordReset", {
+    link: frontendLink(`/reset-password?token=${resetToken}`),
+  });
 
   res.status(200).json({
     success: true,
@@ -235,6 +863,9 @@ const resetPassword = asyncWrapper(async (req, res, next) => {
   user.lockUntil = undefined;
   await user.save();
 
+  // Sign out every device using the old password
+  await Session.revokeAllForUser(user._id, "password_reset");
+
   res.status(200).json({
     success: true,
     message: "Password reset successfully",
@@ -249,9 +880,18 @@ const getProfile = asyncWrapper(async (req, res, next) => {
     return next(createCustomError("User not found", 404));
   }
 
+  const sessions = await Session.find({
+    user: user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("deviceName userAgent ipAddress lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 });
+
   res.status(200).json({
     success: true,
     user,
+    sessions,
   });
 });
 
@@ -260,9 +900,19 @@ const updateProfile = asyncWrapper(async (req, res, next) => {
   const { userId } = req.user;
   
   // Prevent updating sensitive fields
-  const restrictedFields = ["userId", "role", "password", "loginAttempts", "lockUntil", "emailVerificationToken", "passwordResetToken"];
+  const restrictedFields = ["userId", "role", "password", "loginAttempts", "lockUntil", "emailVerificationToken", "passwordResetToken", "twoFactorEnabled", "twoFactorSecret", "twoFactorPendingSecret", "twoFactorLastStep", "twoFactorRecoveryCodes", "phoneVerified", "phoneVerification"];
   restrictedFields.forEach(field => delete req.body[field]);
 
+  // Booking attendance is tracked by the system
+  if (req.body.customerDetails) {
+    ["noShowCount", "lastNoShowAt", "reliabilityScore"].forEach(field => delete req.body.customerDetails[field]);
+  }
+
+  // The skill level sets the labour rate, so only user managers change it
+  if (req.body.employeeDetails) {
+    delete req.body.employeeDetails.skillLevel;
+  }
+
   // Handle nested profile updates properly
   const updateData = {};
   
@@ -275,6 +925,14 @@ const updateProfile = asyncWrapper(async (req, res, next) => {
     
     // Merge existing profile with new profile data
     updateData.profile = { ...currentUser.profile.toObject(), ...req.body.profile };
+
+    // A changed phone number has to be verified again
+    if (req.body.profile.phoneNumber) {
+      updateData.profile.phoneNumber = normalizePhoneNumber(req.body.profile.phoneNumber);
+      if (updateData.profile.phoneNumber !== currentUser.profile.phoneNumber) {
+        updateData.phoneVerified = false;
+      }
+    }
   }
   
   // Handle other nested objects
@@ -342,9 +1000,15 @@ const changePassword = asyncWrapper(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out all devices, then start a fresh session for this one
+  await Session.revokeAllForUser(user._id, "password_changed");
+  const { token, refreshToken } = await createSession(user, req);
+
   res.status(200).json({
     success: true,
     message: "Password changed successfully",
+    token,
+    refreshToken,
   });
 });
 
@@ -466,6 +1130,17 @@ const updateUser = asyncWrapper(async (req, res, next) => {
     });
   }
 
+  // A changed phone number has to be verified again (unless staff set phoneVerified explicitly)
+  if (req.body.profile?.phoneNumber) {
+    const phoneNumber = normalizePhoneNumber(req.body.profile.phoneNumber);
+    updateData["profile.phoneNumber"] = phoneNumber;
+
+    const currentUser = await User.findById(userId).select("profile.phoneNumber");
+    if (currentUser && currentUser.profile.phoneNumber !== phoneNumber && req.body.phoneVerified === undefined) {
+      updateData.phoneVerified = false;
+    }
+  }
+
   // Handle customerDetails nested updates
   if (req.body.customerDetails) {
     Object.keys(req.body.customerDetails).forEach(key => {
@@ -500,17 +1175,35 @@ const updateUser = asyncWrapper(async (req, res, next) => {
   }
 
   // Handle top-level fields
-  const topLevelFields = ['email', 'role', 'status', 'emailVerified', 'phoneVerified', 'twoFactorEnabled'];
+  const topLevelFields = ['email', 'role', 'status', 'emailVerified', 'phoneVerified'];
   topLevelFields.forEach(field => {
     if (req.body[field] !== undefined) {
       updateData[field] = req.body[field];
     }
   });
 
+  // Staff can reset 2FA for a user who lost their device, but only the user can enroll
+  const unsetData = {};
+  if (req.body.twoFactorEnabled === true) {
+    return next(createCustomError("Two-factor authentication must be enabled by the user", 400));
+  }
+  if (req.body.twoFactorEnabled === false) {
+    updateData.twoFactorEnabled = false;
+    unsetData.twoFactorSecret = "";
+    unsetData.twoFactorPendingSecret = "";
+    unsetData.twoFactorLastStep = "";
+    unsetData.twoFactorRecoveryCodes = "";
+  }
+
+  const update = { $set: updateData };
+  if (Object.keys(unsetData).length > 0) {
+    update.$unset = unsetData;
+  }
+
   // Use $set operator to update only specified fields
   const user = await User.findByIdAndUpdate(
     userId,
-    { $set: updateData },
+    update,
     {
       new: true,
       runValidators: false, // Disable full document validation to allow partial updates
@@ -557,6 +1250,8 @@ const adminResetPassword = asyncWrapper(async (req, res, next) => {
   user.passwordResetExpires = undefined;
   await user.save();
 
+  await Session.revokeAllForUser(user._id, "password_reset");
+
   res.status(200).json({
     success: true,
     message: "Password reset successfully",
@@ -572,6 +1267,8 @@ const deleteUser = asyncWrapper(async (req, res, next) => {
     return next(createCustomError(`No user with id: ${userId}`, 404));
   }
 
+  await Session.deleteMany({ user: user._id });
+
   res.status(200).json({
     success: true,
     message: "User deleted successfully",
@@ -602,6 +1299,11 @@ const updateUserStatus = asyncWrapper(async (req, res, next) => {
     return next(createCustomError(`No user with id: ${userId}`, 404));
   }
 
+  // Suspended, inactive or terminated users are signed out everywhere
+  if (status !== "active") {
+    await revokeAllSessions(user._id, "status_changed");
+  }
+
   res.status(200).json({
     success: true,
     message: "User status updated successfully",
@@ -782,7 +1484,21 @@ const updateCertifications = asyncWrapper(async (req, res, next) => {
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  getMySessions,
+  revokeMySession,
+  revokeUserSessions,
   verifyEmail,
+  resendVerificationEmail,
+  sendPhoneOtp,
+  verifyPhoneOtp,
   forgotPassword,
   resetPassword,
   getProfile,
@@ -2,6 +2,8 @@ import { Vehicle } from "../models/Vehicle.js";
 import User from "../models/User.js";
 import asyncWrapper from "../middleware/async.js";
 import { createCustomError } from "../errors/custom-error.js";
+import { getUpcomingServices } from "../services/serviceReminderService.js";
+import { recordMileage } from "../services/vehicleMileageService.js";
 
 // Create a new vehicle
 const createVehicle = asyncWrapper(async (req, res, next) => {
@@ -178,6 +180,29 @@ const getVehicleById = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// Next due date/mileage of each periodic service
+const getVehicleUpcomingServices = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const vehicle = await Vehicle.findById(id);
+  if (!vehicle) {
+    return next(createCustomError(`No vehicle found with id: ${id}`, 404));
+  }
+
+  const upcomingServices = await getUpcomingServices(vehicle);
+
+  res.status(200).json({
+    success: true,
+    vehicle: {
+      _id: vehicle._id,
+      vehicleId: vehicle.vehicleId,
+      registrationNumber: vehicle.registrationNumber,
+      mileage: vehicle.mileage,
+    },
+    upcomingServices,
+  });
+});
+
 // Get vehicle by registration number
 const getVehicleByRegistration = asyncWrapper(async (req, res, next) => {
   const { registrationNumber } = req.params;
@@ -287,23 +312,11 @@ const updateVehicleMileage = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
   const { mileage } = req.body;
 
-  if (!mileage || mileage < 0) {
-    return next(createCustomError("Please provide a valid mileage value", 400));
+  const { vehicle, error } = await recordMileage(id, mileage);
+  if (error) {
+    return next(error);
   }
 
-  const vehicle = await Vehicle.findById(id);
-  if (!vehicle) {
-    return next(createCustomError(`No vehicle found with id: ${id}`, 404));
-  }
-
-  // Ensure new mileage is not less than current mileage
-  if (mileage < vehicle.mileage) {
-    return next(createCustomError("New mileage cannot be less than current mileage", 400));
-  }
-
-  vehicle.mileage = mileage;
-  await vehicle.save();
-
   res.status(200).json({
     success: true,
     message: "Vehicle mileage updated successfully",
@@ -576,6 +589,7 @@ export {
   createVehicle,
   getAllVehicles,
   getVehicleById,
+  getVehicleUpcomingServices,
   getVehicleByRegistration,
   getVehiclesByOwner,
   updateVehicle,
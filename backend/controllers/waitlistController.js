@@ -0,0 +1,288 @@
+import { WaitlistEntry } from "../models/WaitlistEntry.js";
+import { Vehicle } from "../models/Vehicle.js";
+import User from "../models/User.js";
+import asyncWrapper from "../middleware/async.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { TIME_SLOTS, SERVICE_TYPES, toDateKey } from "../services/bookingAvailabilityService.js";
+import { toStoredDate, declineOffer, convertToBooking, PRIORITY_ORDER } from "../services/waitlistService.js";
+
+const populateEntry = (query) => {
+  return query
+    .populate("customer", "userId profile.firstName profile.lastName profile.phoneNumber email")
+    .populate("vehicle", "vehicleId registrationNumber make model")
+    .populate("booking", "bookingId scheduledDate timeSlot status");
+};
+
+// Normalise preferred dates/slots from the request. Returns { preferredDates, preferredTimeSlots } or { error }.
+const parsePreferences = ({ preferredDates, preferredTimeSlots = [] }) => {
+  const dates = [].concat(preferredDates || []);
+  const timeSlots = [].concat(preferredTimeSlots);
+
+  if (dates.length === 0) {
+    return { error: createCustomError("At least one preferred date is required", 400) };
+  }
+  if (dates.some(date => isNaN(new Date(date).getTime()))) {
+    return { error: createCustomError("Invalid preferred date", 400) };
+  }
+
+  const today = toDateKey(new Date());
+  if (dates.some(date => toDateKey(date) < today)) {
+    return { error: createCustomError("Preferred dates cannot be in the past", 400) };
+  }
+  if (timeSlots.some(timeSlot => !TIME_SLOTS.includes(timeSlot))) {
+    return { error: createCustomError("Invalid preferred time slot", 400) };
+  }
+
+  return {
+    preferredDates: [...new Set(dates.map(date => toDateKey(date)))].sort().map(dateKey => toStoredDate(dateKey)),
+    preferredTimeSlots: [...new Set(timeSlots)],
+  };
+};
+
+// Add a customer to the waitlist
+const createWaitlistEntry = asyncWrapper(async (req, res, next) => {
+  const { customer, vehicle, serviceType, description, priority } = req.body;
+
+  if (!customer || !vehicle || !serviceType) {
+    return next(createCustomError("Customer, vehicle and service type are required", 400));
+  }
+  if (!SERVICE_TYPES.includes(serviceType)) {
+    return next(createCustomError("Invalid service type", 400));
+  }
+
+  const customerUser = await User.findById(customer);
+  if (!customerUser || customerUser.role !== "customer") {
+    return next(createCustomError("Customer not found", 404));
+  }
+
+  const customerVehicle = await Vehicle.findOne({ _id: vehicle, owner: customer });
+  if (!customerVehicle) {
+    return next(createCustomError("Vehicle not found for this customer", 404));
+  }
+
+  const preferences = parsePreferences(req.body);
+  if (preferences.error) {
+    return next(preferences.error);
+  }
+
+  const entry = await WaitlistEntry.create({
+    customer,
+    vehicle,
+    serviceType,
+    preferredDates: preferences.preferredDates,
+    preferredTimeSlots: preferences.preferredTimeSlots,
+    description,
+    priority,
+    createdBy: req.user.userId,
+    notes: [{
+      note: "Added to waitlist",
+      createdBy: req.user.userId,
+      createdAt: new Date()
+    }]
+  });
+
+  const createdEntry = await populateEntry(WaitlistEntry.findById(entry._id));
+
+  res.status(201).json({
+    success: true,
+    message: "Customer added to the waitlist",
+    entry: createdEntry,
+  });
+});
+
+// Get waitlist entries (open entries by default), in offer order
+const getAllWaitlistEntries = asyncWrapper(async (req, res) => {
+  const { status, serviceType, customer, date, timeSlot, page = 1, limit = 20 } = req.query;
+
+  const query = {
+    status: status || { $in: ["waiting", "offered"] },
+  };
+  if (serviceType) query.serviceType = serviceType;
+  if (customer) query.customer = customer;
+  if (date) query.preferredDates = toStoredDate(date);
+  if (timeSlot) query.$or = [{ preferredTimeSlots: { $size: 0 } }, { preferredTimeSlots: timeSlot }];
+
+  // Highest priority first, then first come first served
+  const skip = (page - 1) * limit;
+  const ordered = await WaitlistEntry.aggregate([
+    // Aggregations skip schema casting, so cast the filter the way find() would
+    { $match: WaitlistEntry.find(query).cast() },
+    {
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: Object.entries(PRIORITY_ORDER).map(([priority, rank]) => ({
+              case: { $eq: ["$priority", priority] },
+              then: rank,
+            })),
+            default: Object.keys(PRIORITY_ORDER).length,
+          },
+        },
+      },
+    },
+    { $sort: { priorityRank: 1, createdAt: 1 } },
+    { $skip: skip },
+    { $limit: limit * 1 },
+    { $project: { _id: 1 } },
+  ]);
+
+  const ids = ordered.map(entry => entry._id.toString());
+  const entries = (await populateEntry(WaitlistEntry.find({ _id: { $in: ids } })))
+    .sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+
+  const total = await WaitlistEntry.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page * 1,
+    entries,
+  });
+});
+
+// Get waitlist entry by ID
+const getWaitlistEntryById = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  const entry = await populateEntry(WaitlistEntry.findById(id))
+    .populate("notes.createdBy", "profile.firstName profile.lastName");
+
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    entry,
+  });
+});
+
+// Update preferences or priority of an open entry
+const updateWaitlistEntry = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { preferredDates, preferredTimeSlots, description, priority } = req.body;
+
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+  if (!["waiting", "offered"].includes(entry.status)) {
+    return next(createCustomError(`Cannot update a waitlist entry that is ${entry.status}`, 400));
+  }
+
+  if (preferredDates !== undefined || preferredTimeSlots !== undefined) {
+    const preferences = parsePreferences({
+      preferredDates: preferredDates ?? entry.preferredDates,
+      preferredTimeSlots: preferredTimeSlots ?? entry.preferredTimeSlots,
+    });
+    if (preferences.error) {
+      return next(preferences.error);
+    }
+    entry.preferredDates = preferences.preferredDates;
+    entry.preferredTimeSlots = preferences.preferredTimeSlots;
+  }
+  if (description !== undefined) entry.description = description;
+  if (priority !== undefined) entry.priority = priority;
+
+  await entry.save();
+  const updatedEntry = await populateEntry(WaitlistEntry.findById(entry._id));
+
+  res.status(200).json({
+    success: true,
+    message: "Waitlist entry updated successfully",
+    entry: updatedEntry,
+  });
+});
+
+// Take a customer off the waitlist
+const cancelWaitlistEntry = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+
+  // An open offer is declined first so the slot moves on to the next customer
+  if (entry.status === "offered") {
+    const declineError = await declineOffer(entry, { reason, userId: req.user.userId });
+    if (declineError) {
+      return next(declineError);
+    }
+  }
+  if (!["waiting", "expired"].includes(entry.status)) {
+    return next(createCustomError(`Cannot cancel a waitlist entry that is ${entry.status}`, 400));
+  }
+
+  entry.status = "cancelled";
+  entry.notes.push({
+    note: reason || "Removed from waitlist",
+    createdBy: req.user.userId,
+    createdAt: new Date()
+  });
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Waitlist entry cancelled successfully",
+    entry,
+  });
+});
+
+// Customer turned the offered slot down
+const declineWaitlistOffer = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+
+  const declineError = await declineOffer(entry, { reason, userId: req.user.userId });
+  if (declineError) {
+    return next(declineError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Offer declined, the slot was passed on",
+    entry,
+  });
+});
+
+// Turn a waitlist entry into a booking, in the offered slot unless another one is given
+const convertWaitlistEntry = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { scheduledDate, timeSlot } = req.body;
+
+  const entry = await WaitlistEntry.findById(id);
+  if (!entry) {
+    return next(createCustomError(`No waitlist entry with id: ${id}`, 404));
+  }
+
+  const { booking, error } = await convertToBooking(entry, { scheduledDate, timeSlot, userId: req.user.userId });
+  if (error) {
+    return next(error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Waitlist entry booked successfully",
+    entry,
+    booking,
+  });
+});
+
+export {
+  createWaitlistEntry,
+  getAllWaitlistEntries,
+  getWaitlistEntryById,
+  updateWaitlistEntry,
+  cancelWaitlistEntry,
+  declineWaitlistOffer,
+  convertWaitlistEntry,
+};
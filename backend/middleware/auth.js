@@ -1,10 +1,27 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { Session } from "../models/Session.js";
 import { createCustomError } from "../errors/custom-error.js";
 import asyncWrapper from "./async.js";
+import { hasPermission } from "../services/permissionService.js";
+import { setRequestActor } from "./requestContext.js";
+
+// Roles that must enroll in two-factor authentication
+export const twoFactorRequiredRoles = () => {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || "admin,manager")
+    .split(",")
+    .map(role => role.trim())
+    .filter(Boolean);
+};
+
+// Whether the user has to enroll in 2FA before getting a full access token
+export const requiresTwoFactorSetup = (user) => {
+  return !user.twoFactorEnabled && twoFactorRequiredRoles().includes(user.role);
+};
 
-// Verify JWT token and authenticate user
-export const authenticate = asyncWrapper(async (req, res, next) => {
+// Verify JWT token and authenticate user. With twoFactorSetup, the setup-only tokens issued to
+// accounts that still have to enroll in 2FA are accepted as well.
+const verifyAccessToken = ({ twoFactorSetup = false } = {}) => asyncWrapper(async (req, res, next) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -15,6 +32,15 @@ export const authenticate = asyncWrapper(async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Challenge tokens from the password step cannot be used as access tokens
+    if (decoded.purpose === "2fa_pending") {
+      return next(createCustomError("Two-factor authentication required", 401));
+    }
+    if (decoded.purpose === "2fa_setup" && !twoFactorSetup) {
+      return next(createCustomError("Two-factor authentication setup required", 403));
+    }
+
     const user = await User.findById(decoded.userId)
       .select("-password -emailVerificationToken -passwordResetToken");
 
@@ -31,16 +57,38 @@ export const authenticate = asyncWrapper(async (req, res, next) => {
       return next(createCustomError("Account is temporarily locked", 423));
     }
 
+    // Reject tokens issued before the last password change or forced sign-out
+    if (user.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+      return next(createCustomError("Session has been revoked, please login again", 401));
+    }
+
+    // Accounts that have to use 2FA get no further until they enroll, including older sessions
+    if (!twoFactorSetup && requiresTwoFactorSetup(user)) {
+      return next(createCustomError("Two-factor authentication setup required", 403));
+    }
+
+    // Reject tokens whose session was logged out
+    if (decoded.sessionId) {
+      const session = await Session.findById(decoded.sessionId).select("revokedAt");
+      if (!session || session.revokedAt) {
+        return next(createCustomError("Session has been revoked, please login again", 401));
+      }
+    }
+
     // Add user info to request object
     req.user = {
       userId: user._id,
       email: user.email,
       role: user.role,
+      sessionId: decoded.sessionId,
       status: user.status,
       emailVerified: user.emailVerified,
       phoneVerified: user.phoneVerified,
       profile: user.profile,
+      department: user.employeeDetails?.department,
+      twoFactorSetupOnly: decoded.purpose === "2fa_setup",
     };
+    setRequestActor(req.user);
 
     next();
   } catch (error) {
@@ -54,6 +102,11 @@ export const authenticate = asyncWrapper(async (req, res, next) => {
   }
 });
 
+export const authenticate = verifyAccessToken();
+
+// For the 2FA enrollment routes
+export const authenticateTwoFactorSetup = verifyAccessToken({ twoFactorSetup: true });
+
 // Authorize based on user roles
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -69,6 +122,23 @@ export const authorize = (...roles) => {
   };
 };
 
+// Authorize based on the role → permission policy (passes if the user holds any of the permissions)
+export const authorizePermission = (...permissions) => {
+  return asyncWrapper(async (req, res, next) => {
+    if (!req.user) {
+      return next(createCustomError("Access denied, authentication required", 401));
+    }
+
+    for (const permission of permissions) {
+      if (await hasPermission(req.user.role, permission, req.user)) {
+        return next();
+      }
+    }
+
+    return next(createCustomError("Access denied, insufficient permissions", 403));
+  });
+};
+
 // Check if user owns the resource or has admin/manager privileges
 export const authorizeOwnerOrAdmin = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
@@ -97,10 +167,9 @@ export const authorizeOwnerOrRole = (...allowedRoles) => {
       return next();
     }
     
-    // For customers, they should only access their own resources
-    if (role === "customer") {
-      // This middleware assumes the resource belongs to the authenticated user
-      // Individual route handlers should implement specific ownership checks
+    // Customers may only access resources addressed by their own user ID
+    const ownerId = req.params.customerId || req.params.ownerId || req.params.userId;
+    if (role === "customer" && ownerId && ownerId === userId.toString()) {
       return next();
     }
     
@@ -194,13 +263,13 @@ export const loginRateLimit = (req, res, next) => {
   next();
 };
 
-// Optional: Two-factor authentication middleware
+// Step-up two-factor authentication for sensitive operations (TOTP code in x-2fa-token header)
 export const requireTwoFactor = asyncWrapper(async (req, res, next) => {
   if (!req.user) {
     return next(createCustomError("Authentication required", 401));
   }
 
-  const user = await User.findById(req.user.userId);
+  const user = await User.findById(req.user.userId).select("+twoFactorSecret +twoFactorLastStep");
   
   if (user.twoFactorEnabled) {
     // Check if 2FA token is provided and valid
@@ -210,10 +279,10 @@ export const requireTwoFactor = asyncWrapper(async (req, res, next) => {
       return next(createCustomError("Two-factor authentication token required", 403));
     }
     
-    // TODO: Implement 2FA token verification logic
-    // This would typically involve verifying TOTP codes or similar
-    
-    // For now, just pass through
+    if (!user.useTwoFactorCode(twoFactorToken)) {
+      return next(createCustomError("Invalid two-factor authentication token", 403));
+    }
+    await user.save();
   }
 
   next();
@@ -286,8 +355,12 @@ export const requireRoleOrOwnership = (allowedRoles, ownershipField = 'customerI
 };
 
 export default {
+  twoFactorRequiredRoles,
+  requiresTwoFactorSetup,
   authenticate,
+  authenticateTwoFactorSetup,
   authorize,
+  authorizePermission,
   authorizeOwnerOrAdmin,
   authorizeOwnerOrRole,
   requireVerification,
@@ -24,6 +24,11 @@ const errorHandlerMiddleware = (err, req, res, next) => {
     customError.statusCode = 400;
   }
 
+  // Upload limits (file size, number of files)
+  if (err.name === "MulterError") {
+    customError.statusCode = 400;
+  }
+
   if (err.name === "CastError") {
     customError.msg = `No item found with id: ${err.value}`;
     customError.statusCode = 404;
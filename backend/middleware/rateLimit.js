@@ -0,0 +1,42 @@
+import { createCustomError } from "../errors/custom-error.js";
+
+// In-memory fixed window rate limiter, keyed by client IP by default.
+// Counts are per process, which is enough for the single API instance.
+// Behind a proxy, set TRUST_PROXY so req.ip is the client and not the proxy.
+const rateLimit = ({ windowMs, max, message = "Too many requests, please try again later", keyGenerator } = {}) => {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator ? keyGenerator(req) : req.ip;
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+    res.set("RateLimit-Reset", String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return next(createCustomError(message, 429));
+    }
+
+    next();
+  };
+};
+
+export default rateLimit;
@@ -0,0 +1,25 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+// Per-request context (actor, IP) available to code that has no access to req, such as model hooks
+const storage = new AsyncLocalStorage();
+
+export const requestContext = (req, res, next) => {
+  storage.run({
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+    method: req.method,
+    path: req.originalUrl,
+  }, next);
+};
+
+export const getRequestContext = () => storage.getStore();
+
+// Record the authenticated user for the rest of the request
+export const setRequestActor = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.actor = { userId: user.userId, role: user.role };
+  }
+};
+
+export default requestContext;
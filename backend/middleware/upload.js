@@ -1,6 +1,7 @@
 import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
+import { createCustomError } from '../errors/custom-error.js';
 
 // Configure multer for memory storage (Azure upload)
 const storage = multer.memoryStorage();
@@ -21,7 +22,7 @@ const fileFilter = (req, file, cb) => {
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error(`File type ${file.mimetype} not supported`), false);
+    cb(createCustomError(`File type ${file.mimetype} not supported`, 400), false);
   }
 };
 
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// 10. AUDIT LOG MODEL (written automatically by the audit plugin, never edited)
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorRole: String, // Missing for system and unauthenticated changes
+  action: {
+    type: String,
+    enum: ["create", "update", "delete"],
+    required: true,
+  },
+  entityType: {
+    type: String,
+    required: true,
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  ipAddress: String,
+  userAgent: String,
+  method: String,
+  path: String,
+}, {
+  timestamps: { createdAt: "timestamp", updatedAt: false },
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+AuditLogSchema.index({ actor: 1, timestamp: -1 });
+AuditLogSchema.index({ timestamp: -1 });
+
+export const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
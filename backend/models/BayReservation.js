@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+
+// 14. BAY RESERVATION MODEL (a job holding a service bay for a time window)
+const BayReservationSchema = new mongoose.Schema({
+  bay: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ServiceBay",
+    required: [true, "Service bay is required"],
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    required: [true, "Job is required"],
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  start: {
+    type: Date,
+    required: [true, "Reservation start is required"],
+  },
+  end: {
+    type: Date,
+    required: [true, "Reservation end is required"],
+  },
+  // reserved → active (job working) → released (job done), or cancelled
+  status: {
+    type: String,
+    enum: ["reserved", "active", "released", "cancelled"],
+    default: "reserved",
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  releasedAt: Date,
+}, {
+  timestamps: true,
+});
+
+BayReservationSchema.pre("validate", function (next) {
+  if (this.start && this.end && this.end <= this.start) {
+    this.invalidate("end", "Reservation end must be after its start");
+  }
+  next();
+});
+
+BayReservationSchema.index({ bay: 1, start: 1, end: 1 });
+BayReservationSchema.index({ job: 1 });
+BayReservationSchema.index({ status: 1 });
+
+BayReservationSchema.plugin(auditPlugin);
+
+export const BayReservation = mongoose.model("BayReservation", BayReservationSchema);
@@ -1,4 +1,76 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+
+// Vehicle condition recorded at check-in and again at check-out
+const VehicleConditionSchema = new mongoose.Schema({
+  odometer: {
+    type: Number,
+    min: 0,
+    required: [true, "Odometer reading is required"],
+  },
+  fuelLevel: {
+    type: String,
+    enum: ["empty", "quarter", "half", "three_quarters", "full"],
+    required: [true, "Fuel level is required"],
+  },
+  // Scratches, dents and other existing damage
+  damage: [{
+    location: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["scratch", "dent", "crack", "chip", "missing_part", "other"],
+      default: "other",
+    },
+    description: String,
+  }],
+  // Valuables the customer left inside the vehicle
+  valuables: [{
+    type: String,
+    trim: true,
+  }],
+  // Spare wheel, jack, documents and other checklist items
+  items: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    present: {
+      type: Boolean,
+      default: true,
+    },
+    notes: String,
+  }],
+  photos: [{
+    url: String,
+    blobName: String,
+    caption: String,
+  }],
+  notes: {
+    type: String,
+    maxlength: [1000, "Notes cannot exceed 1000 characters"],
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  recordedAt: Date,
+  // The customer confirming the recorded condition
+  acknowledgement: {
+    acknowledgedAt: Date,
+    name: String, // Name signed by the customer
+    signature: String, // Signature image URL when captured on a tablet
+    method: {
+      type: String,
+      enum: ["in_person", "app"],
+    },
+  },
+}, { _id: false });
 
 // 2. BOOKING MODEL
 const BookingSchema = new mongoose.Schema({
@@ -39,9 +111,68 @@ const BookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "inspecting", "working", "completed", "cancelled"],
+    enum: ["pending", "inspecting", "working", "completed", "cancelled", "no_show"],
     default: "pending",
   },
+  noShowAt: Date,
+  cancellation: {
+    reasonCode: {
+      type: String,
+      enum: [
+        "customer_request",
+        "schedule_conflict",
+        "found_elsewhere",
+        "price",
+        "vehicle_sold",
+        "vehicle_unavailable",
+        "duplicate_booking",
+        "parts_unavailable",
+        "shop_unavailable",
+        "other"
+      ],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Cancellation reason cannot exceed 500 characters"],
+    },
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Notice given, negative when cancelled after the slot started
+    hoursBeforeSlot: Number,
+    fee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    feeWaived: {
+      type: Boolean,
+      default: false,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+  },
+  // Deposit asked from customers with a history of no-shows
+  deposit: {
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    amount: {
+      type: Number,
+      min: 0,
+    },
+    paidAt: Date,
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
   priority: {
     type: String,
     enum: ["low", "medium", "high", "urgent"],
@@ -51,6 +182,19 @@ const BookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  // How the inspector was picked, with the reason for automatic picks
+  inspectorAssignment: {
+    method: {
+      type: String,
+      enum: ["manual", "auto"],
+    },
+    reason: String,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    assignedAt: Date,
+  },
   estimatedCost: {
     type: Number,
     min: 0,
@@ -66,6 +210,36 @@ const BookingSchema = new mongoose.Schema({
     required: [true, "Created by is required"],
   },
   completedAt: Date,
+  mileageAtService: {
+    type: Number,
+    min: 0, // Vehicle mileage when the booking was completed
+  },
+  checkIn: VehicleConditionSchema,
+  checkOut: VehicleConditionSchema,
+  rescheduleHistory: [{
+    fromDate: Date,
+    fromTimeSlot: String,
+    toDate: Date,
+    toTimeSlot: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    requestedBy: {
+      type: String,
+      enum: ["customer", "shop"], // Who asked for the change
+      default: "customer",
+    },
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   notes: [{
     note: String,
     createdBy: {
@@ -84,20 +258,7 @@ const BookingSchema = new mongoose.Schema({
 // Auto-generate bookingId
 BookingSchema.pre("save", async function (next) {
   if (this.isNew && !this.bookingId) {
-    const lastBooking = await this.constructor
-      .findOne({ bookingId: /^BK/ })
-      .sort({ bookingId: -1 })
-      .select("bookingId");
-
-    let nextNumber = 1;
-    if (lastBooking?.bookingId) {
-      const match = lastBooking.bookingId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.bookingId = `BK${nextNumber.toString().padStart(5, "0")}`;
+    this.bookingId = await generateId("booking");
   }
   next();
 });
@@ -106,5 +267,8 @@ BookingSchema.index({ customer: 1 });
 BookingSchema.index({ vehicle: 1 });
 BookingSchema.index({ status: 1 });
 BookingSchema.index({ scheduledDate: 1 });
+BookingSchema.index({ "cancellation.reasonCode": 1 });
+
+BookingSchema.plugin(auditPlugin);
 
 export const Booking = mongoose.model("Booking", BookingSchema);
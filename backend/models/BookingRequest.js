@@ -0,0 +1,153 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+import { Booking } from "./Booking.js";
+
+// 20. BOOKING REQUEST MODEL (submitted through the public form, booked by staff once confirmed)
+const BookingRequestSchema = new mongoose.Schema({
+  requestId: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    // Auto-generated: BR00001
+  },
+  contact: {
+    firstName: {
+      type: String,
+      required: [true, "First name is required"],
+      trim: true,
+      maxlength: [50, "First name cannot exceed 50 characters"],
+    },
+    lastName: {
+      type: String,
+      required: [true, "Last name is required"],
+      trim: true,
+      maxlength: [50, "Last name cannot exceed 50 characters"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Please enter a valid email"],
+    },
+    phoneNumber: {
+      type: String,
+      required: [true, "Phone number is required"],
+      trim: true,
+      match: [
+        /^(\+94|0)[0-9]{9}$/,
+        "Please enter a valid Sri Lankan phone number",
+      ],
+    },
+    nic: {
+      type: String,
+      trim: true,
+      match: [
+        /^([0-9]{9}[vVxX]|[0-9]{12})$/,
+        "Please enter a valid NIC number (9 digits + V/X or 12 digits)",
+      ],
+    },
+    language: {
+      type: String,
+      enum: ["en", "si", "ta"],
+      default: "en",
+    },
+  },
+  vehicle: {
+    registrationNumber: {
+      type: String,
+      required: [true, "Registration number is required"],
+      uppercase: true,
+      trim: true,
+    },
+    make: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    year: Number,
+  },
+  serviceType: {
+    type: String,
+    enum: Booking.schema.path("serviceType").enumValues,
+    required: [true, "Service type is required"],
+  },
+  preferredDate: {
+    type: Date,
+    required: [true, "Preferred date is required"],
+  },
+  timeSlot: {
+    type: String,
+    enum: Booking.schema.path("timeSlot").enumValues,
+    required: [true, "Time slot is required"],
+  },
+  description: {
+    type: String,
+    maxlength: [500, "Description cannot exceed 500 characters"],
+  },
+  // unconfirmed → confirmed (staff queue) → booked or rejected; unconfirmed requests expire.
+  // processing while staff book it, so it cannot be booked twice
+  status: {
+    type: String,
+    enum: ["unconfirmed", "confirmed", "processing", "booked", "rejected", "expired"],
+    default: "unconfirmed",
+  },
+  confirmation: {
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+    },
+    expiresAt: Date,
+    confirmedAt: Date,
+  },
+  // Records the request was matched to or converted into
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  matchedVehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  processedAt: Date,
+  rejectionReason: String,
+  ipAddress: String,
+}, {
+  timestamps: true,
+});
+
+BookingRequestSchema.pre("save", async function (next) {
+  if (this.isNew && !this.requestId) {
+    this.requestId = await generateId("bookingRequest");
+  }
+
+  // Stored like user phone numbers so the two can be matched
+  if (this.contact?.phoneNumber) {
+    this.contact.phoneNumber = normalizePhoneNumber(this.contact.phoneNumber);
+  }
+  next();
+});
+
+BookingRequestSchema.index({ status: 1, createdAt: 1 });
+BookingRequestSchema.index({ "confirmation.tokenHash": 1 });
+BookingRequestSchema.index({ "contact.phoneNumber": 1 });
+
+BookingRequestSchema.plugin(auditPlugin);
+
+export const BookingRequest = mongoose.model("BookingRequest", BookingRequestSchema);
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { Booking } from "./Booking.js";
+
+// 12. BOOKING SCHEDULE MODEL (single document holding slot capacity, closed days and holidays)
+const BookingScheduleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "default",
+    unique: true,
+  },
+  // Bookings allowed per slot and service type when no specific capacity is set
+  defaultCapacity: {
+    type: Number,
+    min: 0,
+    default: 2,
+  },
+  capacities: [{
+    serviceType: {
+      type: String,
+      enum: Booking.schema.path("serviceType").enumValues,
+      required: [true, "Service type is required"],
+    },
+    timeSlot: {
+      type: String,
+      enum: Booking.schema.path("timeSlot").enumValues, // Leave empty to apply to every slot
+    },
+    capacity: {
+      type: Number,
+      min: 0,
+      required: [true, "Capacity is required"],
+    },
+  }],
+  // Days of the week the shop is closed (0 = Sunday ... 6 = Saturday)
+  closedWeekdays: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6,
+    }],
+    default: [0],
+  },
+  holidays: [{
+    date: {
+      type: Date,
+      required: [true, "Holiday date is required"],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Holiday name cannot exceed 100 characters"],
+    },
+  }],
+  // How many times a customer may ask to reschedule a booking (moves by the shop do not count)
+  maxReschedules: {
+    type: Number,
+    min: 0,
+    default: 2,
+  },
+  noShowPolicy: {
+    // Pending bookings are marked as no-shows this long after their slot ends
+    autoMark: {
+      type: Boolean,
+      default: true,
+    },
+    graceMinutes: {
+      type: Number,
+      min: 0,
+      default: 30,
+    },
+    // Customers with this many no-shows pay a deposit to book (0 turns deposits off)
+    depositAfterNoShows: {
+      type: Number,
+      min: 0,
+      default: 2,
+    },
+    depositAmount: {
+      type: Number,
+      min: 0,
+      default: 2000,
+    },
+  },
+  cancellationPolicy: {
+    // Cancelling at least this many hours before the slot is free
+    freeUntilHours: {
+      type: Number,
+      min: 0,
+      default: 24,
+    },
+    // Late cancellation fee for service types without their own fee
+    defaultFee: {
+      type: Number,
+      min: 0,
+      default: 1000,
+    },
+    fees: [{
+      serviceType: {
+        type: String,
+        enum: Booking.schema.path("serviceType").enumValues,
+        required: [true, "Service type is required"],
+      },
+      fee: {
+        type: Number,
+        min: 0,
+        required: [true, "Fee is required"],
+      },
+    }],
+    // Reasons on the shop's side never carry a fee
+    exemptReasons: {
+      type: [String],
+      enum: Booking.schema.path("cancellation.reasonCode").enumValues,
+      default: ["duplicate_booking", "parts_unavailable", "shop_unavailable"],
+    },
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+}, {
+  timestamps: true,
+});
+
+BookingScheduleSchema.plugin(auditPlugin);
+
+export const BookingSchedule = mongoose.model("BookingSchedule", BookingScheduleSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// 24. BOOKING SLOT COUNTER MODEL (places taken in one day, time slot and service type).
+// Bookings take a place with a guarded $inc, so two requests cannot both get the last one.
+const BookingSlotCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Slot key is required"],
+    unique: true,
+    // "2026-03-14|09:00-11:00|repair"
+  },
+  date: {
+    type: String,
+    required: true,
+    // Shop-local day, YYYY-MM-DD
+  },
+  timeSlot: {
+    type: String,
+    required: true,
+  },
+  serviceType: {
+    type: String,
+    required: true,
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+BookingSlotCounterSchema.index({ date: 1 });
+
+export const BookingSlotCounter = mongoose.model("BookingSlotCounter", BookingSlotCounterSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+
+// 18. CALENDAR FEED MODEL (secret .ics subscription URL of a user)
+const CalendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  // assignments: inspector/technician work, bookings: a customer's own bookings, shop: every booking
+  scope: {
+    type: String,
+    enum: ["assignments", "bookings", "shop"],
+    required: [true, "Feed scope is required"],
+  },
+  // Only the hash of the URL token is stored, the token itself is shown once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  lastAccessedAt: Date,
+  revokedAt: Date,
+}, {
+  timestamps: true,
+});
+
+CalendarFeedSchema.index({ user: 1, scope: 1 });
+CalendarFeedSchema.plugin(auditPlugin, { ignore: ["lastAccessedAt"] });
+
+export const CalendarFeed = mongoose.model("CalendarFeed", CalendarFeedSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// 11. COUNTER MODEL (atomic sequences behind the human-readable IDs)
+const CounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Counter name is required"],
+    unique: true,
+    trim: true,
+    // e.g. "booking", "invoice.2026", "user.customer", "employee.mechanical"
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+export const Counter = mongoose.model("Counter", CounterSchema);
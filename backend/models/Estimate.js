@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+
+// 19. ESTIMATE MODEL (price the customer agrees to before work starts)
+const EstimateSchema = new mongoose.Schema({
+  estimateId: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    // Auto-generated: EST00001
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: [true, "Booking is required"],
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Customer is required"],
+  },
+  items: [{
+    // The job the line belongs to, declined lines keep their job from starting
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+    },
+    type: {
+      type: String,
+      enum: ["labour", "parts", "other"],
+      default: "other",
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    approval: {
+      type: String,
+      enum: ["pending", "approved", "declined"],
+      default: "pending",
+    },
+  }],
+  // Issues found during the inspection, shown to the customer with the prices
+  findings: [String],
+  subtotal: {
+    type: Number,
+    required: [true, "Subtotal is required"],
+    min: 0,
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  total: {
+    type: Number,
+    required: [true, "Total is required"],
+    min: 0,
+  },
+  // Total of the approved lines (tax and discount applied proportionally)
+  approvedTotal: {
+    type: Number,
+    min: 0,
+  },
+  // draft → sent → approved / partially_approved / declined; expired when not answered in time,
+  // superseded when a new estimate replaces it
+  status: {
+    type: String,
+    enum: ["draft", "sent", "approved", "partially_approved", "declined", "expired", "superseded"],
+    default: "draft",
+  },
+  validUntil: Date,
+  // Hash of the approve/decline link token, cleared once the customer responds
+  responseTokenHash: {
+    type: String,
+    select: false,
+  },
+  sentAt: Date,
+  respondedAt: Date,
+  // How the response came in: the emailed link, the customer app or recorded by staff
+  respondedVia: {
+    type: String,
+    enum: ["link", "app", "staff"],
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  customerComment: {
+    type: String,
+    maxlength: [1000, "Comment cannot exceed 1000 characters"],
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Created by is required"],
+  },
+}, {
+  timestamps: true,
+});
+
+// Auto-generate estimateId
+EstimateSchema.pre("save", async function (next) {
+  if (this.isNew && !this.estimateId) {
+    this.estimateId = await generateId("estimate");
+  }
+  next();
+});
+
+EstimateSchema.index({ booking: 1, createdAt: -1 });
+EstimateSchema.index({ customer: 1 });
+EstimateSchema.index({ status: 1 });
+EstimateSchema.index({ responseTokenHash: 1 }, { sparse: true });
+
+EstimateSchema.plugin(auditPlugin);
+
+export const Estimate = mongoose.model("Estimate", EstimateSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 5. GOODS REQUEST MODEL
 const GoodsRequestSchema = new mongoose.Schema({
@@ -53,20 +55,7 @@ const GoodsRequestSchema = new mongoose.Schema({
 // Auto-generate requestId
 GoodsRequestSchema.pre("save", async function (next) {
   if (this.isNew && !this.requestId) {
-    const lastRequest = await this.constructor
-      .findOne({ requestId: /^GR/ })
-      .sort({ requestId: -1 })
-      .select("requestId");
-
-    let nextNumber = 1;
-    if (lastRequest?.requestId) {
-      const match = lastRequest.requestId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.requestId = `GR${nextNumber.toString().padStart(5, "0")}`;
+    this.requestId = await generateId("goodsRequest");
   }
   next();
 });
@@ -75,4 +64,6 @@ GoodsRequestSchema.index({ job: 1 });
 GoodsRequestSchema.index({ status: 1 });
 GoodsRequestSchema.index({ requestedBy: 1 });
 
+GoodsRequestSchema.plugin(auditPlugin);
+
 export const GoodsRequest = mongoose.model("GoodsRequest", GoodsRequestSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 4. INVENTORY ITEM MODEL
 const InventoryItemSchema = new mongoose.Schema({
@@ -72,20 +74,7 @@ const InventoryItemSchema = new mongoose.Schema({
 // Auto-generate itemId
 InventoryItemSchema.pre("save", async function (next) {
   if (this.isNew && !this.itemId) {
-    const lastItem = await this.constructor
-      .findOne({ itemId: /^ITM/ })
-      .sort({ itemId: -1 })
-      .select("itemId");
-
-    let nextNumber = 1;
-    if (lastItem?.itemId) {
-      const match = lastItem.itemId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.itemId = `ITM${nextNumber.toString().padStart(5, "0")}`;
+    this.itemId = await generateId("inventoryItem");
   }
   next();
 });
@@ -93,4 +82,6 @@ InventoryItemSchema.pre("save", async function (next) {
 InventoryItemSchema.index({ category: 1 });
 InventoryItemSchema.index({ status: 1 });
 
+InventoryItemSchema.plugin(auditPlugin);
+
 export const InventoryItem = mongoose.model("InventoryItem", InventoryItemSchema);
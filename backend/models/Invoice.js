@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 6. INVOICE MODEL
 const InvoiceSchema = new mongoose.Schema({
@@ -6,7 +8,7 @@ const InvoiceSchema = new mongoose.Schema({
     type: String,
     unique: true,
     uppercase: true,
-    // Auto-generated: INV00001
+    // Auto-generated: INV00001 (INV-2026-00001 with yearly reset)
   },
   booking: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,6 +20,11 @@ const InvoiceSchema = new mongoose.Schema({
     ref: "User",
     required: [true, "Customer is required"],
   },
+  type: {
+    type: String,
+    enum: ["service", "cancellation_fee"],
+    default: "service",
+  },
   items: [{
     description: {
       type: String,
@@ -87,20 +94,7 @@ const InvoiceSchema = new mongoose.Schema({
 // Auto-generate invoiceId
 InvoiceSchema.pre("save", async function (next) {
   if (this.isNew && !this.invoiceId) {
-    const lastInvoice = await this.constructor
-      .findOne({ invoiceId: /^INV/ })
-      .sort({ invoiceId: -1 })
-      .select("invoiceId");
-
-    let nextNumber = 1;
-    if (lastInvoice?.invoiceId) {
-      const match = lastInvoice.invoiceId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.invoiceId = `INV${nextNumber.toString().padStart(5, "0")}`;
+    this.invoiceId = await generateId("invoice");
   }
   next();
 });
@@ -108,5 +102,8 @@ InvoiceSchema.pre("save", async function (next) {
 InvoiceSchema.index({ booking: 1 });
 InvoiceSchema.index({ customer: 1 });
 InvoiceSchema.index({ status: 1 });
+InvoiceSchema.index({ type: 1 });
+
+InvoiceSchema.plugin(auditPlugin);
 
 export const Invoice = mongoose.model("Invoice", InvoiceSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 3. JOB MODEL
 const JobSchema = new mongoose.Schema({
@@ -45,6 +47,16 @@ const JobSchema = new mongoose.Schema({
     min: 0,
     required: [true, "Estimated hours is required"],
   },
+  // Catalog template the job was created from
+  serviceTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ServiceCatalogItem",
+  },
+  // Fixed price from the template, replaces time and materials pricing
+  menuPrice: {
+    type: Number,
+    min: 0,
+  },
   actualHours: {
     type: Number,
     min: 0,
@@ -101,6 +113,10 @@ const JobSchema = new mongoose.Schema({
       description: String,
     }],
     materials: [{
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InventoryItem",
+      },
       name: String,
       quantity: Number,
       unit: String,
@@ -131,6 +147,25 @@ const JobSchema = new mongoose.Schema({
     endTime: Date,
     description: String,
     hoursLogged: Number,
+    // Set when the entry came from a job clock timer
+    timer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobTimer",
+    },
+    pausedHours: Number,
+    // Rate in force when the work was logged, kept so later rate changes leave it alone
+    hourlyRate: Number,
+    rateSource: String,
+    costBreakdown: [{
+      _id: false,
+      reason: {
+        type: String,
+        enum: ["regular", "overtime", "weekend", "holiday"],
+      },
+      hours: Number,
+      multiplier: Number,
+    }],
+    cost: Number,
     timestamp: {
       type: Date,
       default: Date.now,
@@ -167,6 +202,28 @@ const JobSchema = new mongoose.Schema({
       },
     },
   },
+  // Every status change, oldest first, starting with the status the job was created in
+  statusHistory: [{
+    _id: false,
+    from: String,
+    status: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   startedAt: Date,
   completedAt: Date,
   approvedAt: Date,
@@ -177,23 +234,17 @@ const JobSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Flat rate of work logged before the rate table existed
+const LEGACY_HOURLY_RATE = 50;
+
 // Auto-generate jobId
 JobSchema.pre("save", async function (next) {
   if (this.isNew && !this.jobId) {
-    const lastJob = await this.constructor
-      .findOne({ jobId: /^JOB/ })
-      .sort({ jobId: -1 })
-      .select("jobId");
-
-    let nextNumber = 1;
-    if (lastJob?.jobId) {
-      const match = lastJob.jobId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
+    this.jobId = await generateId("job");
+  }
 
-    this.jobId = `JOB${nextNumber.toString().padStart(5, "0")}`;
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.createdBy });
   }
 
   // Auto-update status timestamps
@@ -214,11 +265,13 @@ JobSchema.pre("save", async function (next) {
     }, 0);
   }
 
-  // Calculate labour cost based on actual hours and assigned labourers
-  if (this.actualHours > 0 && this.assignedLabourers.length > 0) {
-    // This would typically use rates from user profiles or a rate table
-    const hourlyRate = 50; // Default rate - should be configurable
-    this.labourCost = this.actualHours * hourlyRate;
+  // Labour cost is the sum of the cost priced onto each work log entry
+  if (this.workLog && this.workLog.length > 0) {
+    const labourCost = this.workLog.reduce((total, log) => {
+      const cost = log.cost ?? (log.hoursLogged || 0) * LEGACY_HOURLY_RATE;
+      return total + cost;
+    }, 0);
+    this.labourCost = Math.round(labourCost * 100) / 100;
   }
 
   next();
@@ -248,15 +301,17 @@ JobSchema.virtual('isOverdue').get(function () {
   return now > estimatedCompletion;
 });
 
-// Method to add work log entry
-JobSchema.methods.addWorkLog = function (labourerId, startTime, endTime, description) {
-  const hoursLogged = Math.abs(endTime - startTime) / (1000 * 60 * 60); // Convert to hours
+// Method to add work log entry, with the pricing from the labour rate table.
+// Timed entries pass the hours worked, which leave out the pauses.
+JobSchema.methods.addWorkLog = function (labourerId, startTime, endTime, description, details = {}) {
+  const hoursLogged = details.hoursLogged ?? Math.abs(endTime - startTime) / (1000 * 60 * 60); // Convert to hours
 
   this.workLog.push({
     labourer: labourerId,
     startTime,
     endTime,
     description,
+    ...details,
     hoursLogged,
   });
 
@@ -268,6 +323,8 @@ JobSchema.methods.addWorkLog = function (labourerId, startTime, endTime, descrip
   if (labourerAssignment) {
     labourerAssignment.hoursWorked = (labourerAssignment.hoursWorked || 0) + hoursLogged;
   }
+
+  return this.workLog[this.workLog.length - 1];
 };
 
 // Method to assign labourer to job
@@ -308,5 +365,7 @@ JobSchema.index({ completedAt: 1 });
 JobSchema.set("toJSON", { virtuals: true });
 JobSchema.set("toObject", { virtuals: true });
 
+JobSchema.plugin(auditPlugin);
+
 const Job = mongoose.model("Job", JobSchema);
 export default Job;
\ No newline at end of file
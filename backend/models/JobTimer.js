@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+
+// 23. JOB TIMER MODEL (a technician clocked on a job; stopping it writes a work log entry)
+const JobTimerSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    required: [true, "Job is required"],
+  },
+  technician: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Technician is required"],
+  },
+  // running ⇄ paused → stopped
+  status: {
+    type: String,
+    enum: ["running", "paused", "stopped"],
+    default: "running",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  pauses: [{
+    reason: {
+      type: String,
+      enum: ["waiting_for_parts", "waiting_for_approval", "break", "other"],
+      required: [true, "Pause reason is required"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    pausedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    resumedAt: Date,
+  }],
+  stoppedAt: Date,
+  stoppedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Hours worked, without the pauses
+  hoursLogged: Number,
+  // Work log entry written on the job when the timer stopped
+  workLogEntry: mongoose.Schema.Types.ObjectId,
+}, {
+  timestamps: true,
+});
+
+// A technician can only have one timer running at a time
+JobTimerSchema.index(
+  { technician: 1 },
+  { unique: true, partialFilterExpression: { status: "running" } }
+);
+JobTimerSchema.index({ job: 1, status: 1 });
+JobTimerSchema.index({ status: 1 });
+
+JobTimerSchema.plugin(auditPlugin);
+
+export const JobTimer = mongoose.model("JobTimer", JobTimerSchema);
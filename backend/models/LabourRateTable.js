@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import Job from "./Job.js";
+import User from "./User.js";
+
+const TIME_PATTERN = [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, "Time must be in HH:MM format"];
+
+// 22. LABOUR RATE TABLE MODEL (single document holding hourly rates and overtime/weekend multipliers).
+// Rates are copied onto every work log entry, so changes only affect work logged afterwards.
+const LabourRateTableSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: "default",
+    unique: true,
+  },
+  // Hourly rate when no entry below matches
+  defaultRate: {
+    type: Number,
+    min: 0,
+    default: () => Number(process.env.LABOUR_RATE_PER_HOUR) || 2500,
+  },
+  // The most specific matching entry wins: technician, then skill level, then category alone
+  rates: [{
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    skillLevel: {
+      type: String,
+      enum: User.schema.path("employeeDetails.skillLevel").enumValues,
+    },
+    category: {
+      type: String,
+      enum: Job.schema.path("category").enumValues,
+    },
+    hourlyRate: {
+      type: Number,
+      min: 0,
+      required: [true, "Hourly rate is required"],
+    },
+  }],
+  // Shop-local working hours, work outside them is overtime
+  regularHours: {
+    start: {
+      type: String,
+      match: TIME_PATTERN,
+      default: "08:00",
+    },
+    end: {
+      type: String,
+      match: TIME_PATTERN,
+      default: "17:00",
+    },
+  },
+  // Days of the week paid at the weekend rate (0 = Sunday ... 6 = Saturday)
+  weekendDays: {
+    type: [{
+      type: Number,
+      min: 0,
+      max: 6,
+    }],
+    default: [0, 6],
+  },
+  // The highest applicable multiplier is used, they do not stack
+  multipliers: {
+    overtime: {
+      type: Number,
+      min: 1,
+      default: 1.5,
+    },
+    weekend: {
+      type: Number,
+      min: 1,
+      default: 1.5,
+    },
+    holiday: {
+      type: Number,
+      min: 1,
+      default: 2,
+    },
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+}, {
+  timestamps: true,
+});
+
+LabourRateTableSchema.plugin(auditPlugin);
+
+export const LabourRateTable = mongoose.model("LabourRateTable", LabourRateTableSchema);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 7. LEAVE REQUEST MODEL
 const LeaveRequestSchema = new mongoose.Schema({
@@ -54,20 +56,7 @@ const LeaveRequestSchema = new mongoose.Schema({
 // Auto-generate requestId and calculate total days
 LeaveRequestSchema.pre("save", async function (next) {
   if (this.isNew && !this.requestId) {
-    const lastRequest = await this.constructor
-      .findOne({ requestId: /^LR/ })
-      .sort({ requestId: -1 })
-      .select("requestId");
-
-    let nextNumber = 1;
-    if (lastRequest?.requestId) {
-      const match = lastRequest.requestId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.requestId = `LR${nextNumber.toString().padStart(5, "0")}`;
+    this.requestId = await generateId("leaveRequest");
   }
 
   // Calculate total days
@@ -83,4 +72,6 @@ LeaveRequestSchema.index({ employee: 1 });
 LeaveRequestSchema.index({ status: 1 });
 LeaveRequestSchema.index({ startDate: 1, endDate: 1 });
 
+LeaveRequestSchema.plugin(auditPlugin);
+
 export const LeaveRequest = mongoose.model("LeaveRequest", LeaveRequestSchema);
\ No newline at end of file
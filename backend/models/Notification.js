@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// 15. NOTIFICATION MODEL (outgoing email/SMS queue, sent by the scheduler)
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    required: [true, "Channel is required"],
+  },
+  template: {
+    type: String,
+    required: [true, "Template is required"],
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ["queued", "sent", "failed", "skipped"],
+    default: "queued",
+  },
+  sendAfter: {
+    type: Date,
+    default: Date.now,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: String,
+  sentAt: Date,
+  // Prevents queueing the same message twice (e.g. one reminder per service cycle)
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  relatedEntity: {
+    type: {
+      type: String, // Model name, e.g. "Vehicle"
+    },
+    id: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: true,
+});
+
+NotificationSchema.index({ status: 1, sendAfter: 1 });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+
+// 9. ROLE PERMISSION MODEL (overrides the default permissions of a role)
+const RolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, "Role is required"],
+    unique: true,
+    enum: {
+      values: ["customer", "technician", "service_advisor", "manager", "admin", "cashier"],
+      message: "Invalid user role",
+    },
+  },
+  permissions: [{
+    type: String,
+    trim: true,
+  }],
+  // The permission catalog when the override was saved, defaults added after it are granted on top
+  knownPermissions: [{
+    type: String,
+    trim: true,
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+}, {
+  timestamps: true,
+});
+
+RolePermissionSchema.plugin(auditPlugin);
+
+export const RolePermission = mongoose.model("RolePermission", RolePermissionSchema);
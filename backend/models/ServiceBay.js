@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+
+// 13. SERVICE BAY MODEL (lifts, paint booths, wash bays and other workshop resources)
+const ServiceBaySchema = new mongoose.Schema({
+  bayId: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    // Auto-generated: BAY001
+  },
+  name: {
+    type: String,
+    required: [true, "Bay name is required"],
+    trim: true,
+    maxlength: [50, "Bay name cannot exceed 50 characters"],
+  },
+  type: {
+    type: String,
+    enum: ["lift", "paint_booth", "wash_bay", "alignment", "diagnostic", "general"],
+    required: [true, "Bay type is required"],
+  },
+  // Job categories that can be worked on in this bay
+  categories: [{
+    type: String,
+    enum: ["mechanical", "electrical", "bodywork", "detailing", "inspection", "repair", "maintenance"],
+  }],
+  status: {
+    type: String,
+    enum: ["active", "maintenance", "inactive"],
+    default: "active",
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Notes cannot exceed 500 characters"],
+  },
+  // Set while a reservation is being made, so two overlapping ones cannot be made at the same time
+  reservationLockedUntil: {
+    type: Date,
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Auto-generate bayId
+ServiceBaySchema.pre("save", async function (next) {
+  if (this.isNew && !this.bayId) {
+    this.bayId = await generateId("serviceBay");
+  }
+  next();
+});
+
+ServiceBaySchema.index({ status: 1 });
+ServiceBaySchema.index({ categories: 1 });
+
+ServiceBaySchema.plugin(auditPlugin, { ignore: ["reservationLockedUntil"] });
+
+export const ServiceBay = mongoose.model("ServiceBay", ServiceBaySchema);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+import { Booking } from "./Booking.js";
+import Job from "./Job.js";
+
+// 21. SERVICE CATALOG ITEM MODEL (reusable job template with standard labour time, parts kit and menu price)
+const ServiceCatalogItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    // Auto-generated: SVC001
+  },
+  name: {
+    type: String,
+    required: [true, "Template name is required"],
+    unique: true,
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"],
+  },
+  description: {
+    type: String,
+    required: [true, "Description is required"],
+    trim: true,
+    maxlength: [1000, "Description cannot exceed 1000 characters"],
+  },
+  category: {
+    type: String,
+    enum: Job.schema.path("category").enumValues,
+    required: [true, "Job category is required"],
+  },
+  // Booking service types the template is offered for (empty means any)
+  serviceTypes: [{
+    type: String,
+    enum: Booking.schema.path("serviceType").enumValues,
+  }],
+  // Standard labour time
+  estimatedHours: {
+    type: Number,
+    min: 0,
+    required: [true, "Estimated hours is required"],
+  },
+  skills: [{
+    type: String,
+    enum: Job.schema.path("requirements.skills").caster.enumValues,
+  }],
+  tools: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: String,
+  }],
+  partsKit: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryItem",
+      required: [true, "Inventory item is required"],
+    },
+    quantity: {
+      type: Number,
+      min: 0,
+      required: [true, "Quantity is required"],
+    },
+  }],
+  // Fixed customer price covering labour and the parts kit.
+  // Without one the job is priced on time and materials.
+  menuPrice: {
+    type: Number,
+    min: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+}, {
+  timestamps: true,
+});
+
+ServiceCatalogItemSchema.pre("save", async function (next) {
+  if (this.isNew && !this.code) {
+    this.code = await generateId("serviceCatalog");
+  }
+  next();
+});
+
+ServiceCatalogItemSchema.index({ active: 1, category: 1 });
+ServiceCatalogItemSchema.index({ serviceTypes: 1 });
+
+ServiceCatalogItemSchema.plugin(auditPlugin);
+
+export const ServiceCatalogItem = mongoose.model("ServiceCatalogItem", ServiceCatalogItemSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { Booking } from "./Booking.js";
+
+// 16. SERVICE REMINDER RULE MODEL (how often a service type is due, overrides the defaults)
+const ServiceReminderRuleSchema = new mongoose.Schema({
+  serviceType: {
+    type: String,
+    enum: Booking.schema.path("serviceType").enumValues,
+    required: [true, "Service type is required"],
+    unique: true,
+  },
+  // Due every intervalKm kilometres or intervalMonths months, whichever comes first
+  intervalKm: {
+    type: Number,
+    min: 0,
+  },
+  intervalMonths: {
+    type: Number,
+    min: 0,
+  },
+  // Remind this many days / kilometres before the service is due
+  leadDays: {
+    type: Number,
+    min: 0,
+    default: 14,
+  },
+  leadKm: {
+    type: Number,
+    min: 0,
+    default: 500,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+}, {
+  timestamps: true,
+});
+
+ServiceReminderRuleSchema.plugin(auditPlugin);
+
+export const ServiceReminderRule = mongoose.model("ServiceReminderRule", ServiceReminderRuleSchema);
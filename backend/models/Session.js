@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// 8. SESSION MODEL (one per signed-in device, holds the rotating refresh token)
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "User is required"],
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  previousTokenHash: {
+    type: String,
+    select: false, // Used to detect reuse of an already rotated refresh token
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, "Device name cannot exceed 100 characters"],
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ["logout", "logout_all", "password_changed", "password_reset", "status_changed", "forced", "token_reuse"],
+  },
+}, {
+  timestamps: true,
+});
+
+// Virtual for active status
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+SessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed automatically
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.set("toJSON", { virtuals: true });
+SessionSchema.set("toObject", { virtuals: true });
+
+export const Session = mongoose.model("Session", SessionSchema);
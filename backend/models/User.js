@@ -1,8 +1,12 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
 import {
   hashPasswordMiddleware,
   comparePassword,
 } from "../middleware/password-middleware.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+import { findCodeStep } from "../utils/totp.js";
+import { generateId } from "../services/sequenceService.js";
 
 const UserSchema = new mongoose.Schema(
   {
@@ -136,6 +140,18 @@ const UserSchema = new mongoose.Schema(
           return this.role === "customer";
         },
       },
+      // Booking attendance, kept up to date when bookings are completed or missed
+      noShowCount: {
+        type: Number,
+        min: 0,
+      },
+      lastNoShowAt: Date,
+      // Share of past bookings attended (0-100)
+      reliabilityScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+      },
       emergencyContact: {
         name: {
           type: String,
@@ -247,6 +263,11 @@ const UserSchema = new mongoose.Schema(
         max: [100, "Commission rate cannot exceed 100%"],
         default: 0,
       },
+      // Used to pick the labour rate when there is no rate for the technician
+      skillLevel: {
+        type: String,
+        enum: ["apprentice", "junior", "senior", "master"],
+      },
     },
     // Preferences and settings
     preferences: {
@@ -292,13 +313,61 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // SMS one-time password state for phone verification
+    phoneVerification: {
+      codeHash: {
+        type: String,
+        select: false,
+      },
+      phoneNumber: String, // Number the current code was sent to
+      expiresAt: Date,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      lastSentAt: Date,
+      sendCount: {
+        type: Number,
+        default: 0,
+      },
+      windowStartedAt: Date, // Start of the current resend throttling window
+    },
     twoFactorEnabled: {
       type: Boolean,
       default: false,
     },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false, // Secret awaiting confirmation with a first code
+    },
+    twoFactorLastStep: {
+      type: Number,
+      select: false, // TOTP time step of the last accepted code, so a code cannot be used twice
+    },
+    twoFactorRecoveryCodes: {
+      type: [{
+        codeHash: {
+          type: String,
+          required: true,
+        },
+        usedAt: Date,
+      }],
+      select: false,
+    },
     lastLogin: {
       type: Date,
     },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Access tokens issued before this moment are rejected (password change or forced sign-out)
+    tokensValidAfter: {
+      type: Date,
+    },
     loginAttempts: {
       type: Number,
       default: 0,
@@ -336,42 +405,35 @@ UserSchema.index({ lastLogin: 1 });
 // Hash password before saving
 UserSchema.pre("save", hashPasswordMiddleware);
 
+// Invalidate previously issued tokens when the password changes
+UserSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("password")) {
+    this.passwordChangedAt = new Date();
+    this.tokensValidAfter = this.passwordChangedAt;
+  }
+  next();
+});
+
 // Password comparison method
 UserSchema.methods.comparePassword = comparePassword;
 
+// Accept a TOTP code once: codes from a time step that was already used are rejected.
+// Needs +twoFactorSecret +twoFactorLastStep selected; the caller saves the user.
+UserSchema.methods.useTwoFactorCode = function (code) {
+  const step = findCodeStep(this.twoFactorSecret, code);
+  if (step === null || (this.twoFactorLastStep != null && step <= this.twoFactorLastStep)) {
+    return false;
+  }
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
 // Auto-generate userId based on role
 UserSchema.pre("save", async function (next) {
   if (this.isNew && !this.userId) {
     try {
-      const rolePrefix = {
-        customer: "C",
-        technician: "T",
-        service_advisor: "SA",
-        manager: "M",
-        admin: "A",
-        cashier: "CS",
-      };
-
-      const prefix = rolePrefix[this.role];
-      if (!prefix) {
-        return next(new Error("Invalid role for userId generation"));
-      }
-
-      // Find the highest existing userId for this role
-      const lastUser = await this.constructor
-        .findOne({ userId: new RegExp(`^${prefix}`) })
-        .sort({ userId: -1 })
-        .select("userId");
-
-      let nextNumber = 1;
-      if (lastUser && lastUser.userId) {
-        const match = lastUser.userId.match(/(\d+)$/);
-        if (match) {
-          nextNumber = parseInt(match[1]) + 1;
-        }
-      }
-
-      this.userId = `${prefix}${nextNumber.toString().padStart(5, "0")}`;
+      this.userId = await generateId("user", this.role);
     } catch (error) {
       return next(error);
     }
@@ -379,46 +441,24 @@ UserSchema.pre("save", async function (next) {
 
   // Normalize phone numbers
   if (this.profile && this.profile.phoneNumber) {
-    let phone = this.profile.phoneNumber.replace(/\s+/g, "");
-    if (phone.startsWith("0")) {
-      phone = "+94" + phone.substring(1);
-    } else if (!phone.startsWith("+94")) {
-      phone = "+94" + phone;
-    }
-    this.profile.phoneNumber = phone;
+    this.profile.phoneNumber = normalizePhoneNumber(this.profile.phoneNumber);
+  }
+
+  // A changed phone number has to be verified again
+  if (!this.isNew && this.isModified("profile.phoneNumber")) {
+    this.phoneVerified = false;
   }
 
   // Normalize emergency contact phone
   if (this.customerDetails && this.customerDetails.emergencyContact && this.customerDetails.emergencyContact.phoneNumber) {
-    let phone = this.customerDetails.emergencyContact.phoneNumber.replace(/\s+/g, "");
-    if (phone.startsWith("0")) {
-      phone = "+94" + phone.substring(1);
-    } else if (!phone.startsWith("+94")) {
-      phone = "+94" + phone;
-    }
-    this.customerDetails.emergencyContact.phoneNumber = phone;
+    this.customerDetails.emergencyContact.phoneNumber = normalizePhoneNumber(this.customerDetails.emergencyContact.phoneNumber);
   }
 
   // Generate employee ID for staff members
   if (["technician", "service_advisor", "manager", "cashier"].includes(this.role) &&
     this.employeeDetails && !this.employeeDetails.employeeId) {
-    const deptPrefix = {
-      mechanical: "MEC",
-      electrical: "ELE",
-      bodywork: "BOD",
-      detailing: "DET",
-      customer_service: "CS",
-      management: "MGT",
-      front_desk: "FD"
-    };
-
-    const prefix = deptPrefix[this.employeeDetails.department];
-    if (prefix) {
-      const count = await this.constructor.countDocuments({
-        role: this.role,
-        "employeeDetails.department": this.employeeDetails.department
-      });
-      this.employeeDetails.employeeId = `${prefix}${(count + 1).toString().padStart(3, "0")}`;
+    if (this.employeeDetails.department) {
+      this.employeeDetails.employeeId = await generateId("employee", this.employeeDetails.department);
     }
   }
 
@@ -495,5 +535,8 @@ UserSchema.virtual("yearsOfService").get(function () {
 UserSchema.set("toJSON", { virtuals: true });
 UserSchema.set("toObject", { virtuals: true });
 
+// Record every change in the audit trail (login bookkeeping is too noisy to keep)
+UserSchema.plugin(auditPlugin, { ignore: ["lastLogin", "loginAttempts", "lockUntil", "phoneVerification"] });
+
 const User = mongoose.model("User", UserSchema);
 export default User;
\ No newline at end of file
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
 
 // 1. VEHICLE MODEL
 const VehicleSchema = new mongoose.Schema({
@@ -75,20 +77,7 @@ const VehicleSchema = new mongoose.Schema({
 // Auto-generate vehicleId
 VehicleSchema.pre("save", async function (next) {
   if (this.isNew && !this.vehicleId) {
-    const lastVehicle = await this.constructor
-      .findOne({ vehicleId: /^VEH/ })
-      .sort({ vehicleId: -1 })
-      .select("vehicleId");
-
-    let nextNumber = 1;
-    if (lastVehicle?.vehicleId) {
-      const match = lastVehicle.vehicleId.match(/(\d+)$/);
-      if (match) {
-        nextNumber = parseInt(match[1]) + 1;
-      }
-    }
-
-    this.vehicleId = `VEH${nextNumber.toString().padStart(5, "0")}`;
+    this.vehicleId = await generateId("vehicle");
   }
   next();
 });
@@ -97,4 +86,6 @@ VehicleSchema.index({ owner: 1 });
 //VehicleSchema.index({ registrationNumber: 1 });
 
 
+VehicleSchema.plugin(auditPlugin);
+
 export const Vehicle = mongoose.model("Vehicle", VehicleSchema);
\ No newline at end of file
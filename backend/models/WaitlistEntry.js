@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import auditPlugin from "./plugins/auditPlugin.js";
+import { generateId } from "../services/sequenceService.js";
+import { Booking } from "./Booking.js";
+
+// 17. WAITLIST ENTRY MODEL (a customer waiting for a slot on a fully booked day)
+const WaitlistEntrySchema = new mongoose.Schema({
+  waitlistId: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    // Auto-generated: WL00001
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Customer is required"],
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Vehicle",
+    required: [true, "Vehicle is required"],
+  },
+  serviceType: {
+    type: String,
+    enum: Booking.schema.path("serviceType").enumValues,
+    required: [true, "Service type is required"],
+  },
+  // Shop-local days the customer can come in (stored as the start of the day)
+  preferredDates: {
+    type: [Date],
+    validate: [dates => dates.length > 0, "At least one preferred date is required"],
+  },
+  // Empty means any time slot on the preferred dates
+  preferredTimeSlots: [{
+    type: String,
+    enum: Booking.schema.path("timeSlot").enumValues,
+  }],
+  description: {
+    type: String,
+    maxlength: [500, "Description cannot exceed 500 characters"],
+  },
+  priority: {
+    type: String,
+    enum: ["low", "medium", "high", "urgent"],
+    default: "medium",
+  },
+  // waiting → offered → booked, or back to waiting when an offer is declined/expires
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+    default: "waiting",
+  },
+  // The slot currently offered to the customer
+  offer: {
+    scheduledDate: Date,
+    timeSlot: String,
+    offeredAt: Date,
+    expiresAt: Date,
+  },
+  offerHistory: [{
+    scheduledDate: Date,
+    timeSlot: String,
+    offeredAt: Date,
+    outcome: {
+      type: String,
+      enum: ["accepted", "declined", "expired"],
+    },
+    closedAt: Date,
+  }],
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+  notes: [{
+    note: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+WaitlistEntrySchema.pre("save", async function (next) {
+  if (this.isNew && !this.waitlistId) {
+    this.waitlistId = await generateId("waitlist");
+  }
+  next();
+});
+
+WaitlistEntrySchema.index({ status: 1, serviceType: 1, preferredDates: 1 });
+WaitlistEntrySchema.index({ customer: 1 });
+WaitlistEntrySchema.index({ "offer.expiresAt": 1 });
+
+WaitlistEntrySchema.plugin(auditPlugin);
+
+export const WaitlistEntry = mongoose.model("WaitlistEntry", WaitlistEntrySchema);
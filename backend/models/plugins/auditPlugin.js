@@ -0,0 +1,203 @@
+import { AuditLog } from "../AuditLog.js";
+import { getRequestContext } from "../../middleware/requestContext.js";
+
+// Records an AuditLog entry for every create, update and delete of a model.
+// Covers document save/deleteOne and the findOneAndUpdate, updateOne, updateMany,
+// findOneAndDelete and deleteOne queries (findByIdAnd* use these as well).
+
+const ALWAYS_IGNORED = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Secrets are never copied into the audit trail, only the fact that they changed
+const SENSITIVE_FIELD = /(^|\.)password$|Token$|TokenHash$|Secret$|codeHash$|RecoveryCodes$/i;
+const REDACTED = "[REDACTED]";
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === "object" && value.constructor === Object;
+};
+
+// Flatten nested objects to dotted paths (arrays, dates and ids are compared as a whole)
+const flatten = (object, prefix = "", result = {}) => {
+  for (const [key, value] of Object.entries(object || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+
+  return result;
+};
+
+const snapshot = (doc) => {
+  return doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+};
+
+const diff = (before, after, ignore) => {
+  const beforeFields = flatten(before);
+  const afterFields = flatten(after);
+  const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+  const changes = [];
+
+  for (const field of fields) {
+    const rootField = field.split(".")[0];
+    if (ALWAYS_IGNORED.includes(rootField) || ignore.includes(field) || ignore.includes(rootField)) {
+      continue;
+    }
+
+    if (JSON.stringify(beforeFields[field]) === JSON.stringify(afterFields[field])) {
+      continue;
+    }
+
+    if (SENSITIVE_FIELD.test(field)) {
+      changes.push({ field, before: REDACTED, after: REDACTED });
+    } else {
+      changes.push({ field, before: beforeFields[field], after: afterFields[field] });
+    }
+  }
+
+  return changes;
+};
+
+// Audit failures are logged and never fail the change itself
+const writeAuditLog = async ({ action, entityType, entityId, before, after, ignore }) => {
+  const changes = diff(before, after, ignore);
+  if (action === "update" && changes.length === 0) {
+    return;
+  }
+
+  const context = getRequestContext() || {};
+
+  try {
+    await AuditLog.create({
+      actor: context.actor?.userId,
+      actorRole: context.actor?.role,
+      action,
+      entityType,
+      entityId,
+      changes,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+      method: context.method,
+      path: context.path,
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log for ${entityType} ${entityId}:`, error.message);
+  }
+};
+
+const auditPlugin = (schema, options = {}) => {
+  const ignore = options.ignore || [];
+
+  // Document saves
+  schema.pre("save", async function () {
+    this.$locals.auditIsNew = this.isNew;
+    if (!this.isNew) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).lean();
+    }
+  });
+
+  schema.post("save", async function (doc) {
+    // Re-read updates from the database, the saved document may have been loaded with a projection
+    const after = doc.$locals.auditIsNew
+      ? snapshot(doc)
+      : await doc.constructor.findById(doc._id).lean();
+
+    await writeAuditLog({
+      action: doc.$locals.auditIsNew ? "create" : "update",
+      entityType: doc.constructor.modelName,
+      entityId: doc._id,
+      before: doc.$locals.auditBefore || {},
+      after: after || {},
+      ignore,
+    });
+  });
+
+  // Query updates and deletes: read the current document first so it can be diffed
+  async function captureBefore() {
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  }
+
+  async function logQueryUpdate(result) {
+    const before = this._auditBefore;
+    const entityId = before?._id || result?._id || result?.upsertedId;
+    if (!entityId) return;
+
+    const after = await this.model.findById(entityId).lean();
+    if (!after) return;
+
+    await writeAuditLog({
+      action: before ? "update" : "create",
+      entityType: this.model.modelName,
+      entityId,
+      before: before || {},
+      after,
+      ignore,
+    });
+  }
+
+  // updateMany logs one entry per matched document
+  async function captureManyBefore() {
+    this._auditBefore = await this.model.find(this.getFilter()).lean();
+  }
+
+  async function logQueryUpdateMany() {
+    const before = this._auditBefore || [];
+    if (before.length === 0) return;
+
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+    for (const doc of before) {
+      await writeAuditLog({
+        action: "update",
+        entityType: this.model.modelName,
+        entityId: doc._id,
+        before: doc,
+        after: afterById.get(doc._id.toString()) || {},
+        ignore,
+      });
+    }
+  }
+
+  async function logQueryDelete() {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    await writeAuditLog({
+      action: "delete",
+      entityType: this.model.modelName,
+      entityId: before._id,
+      before,
+      after: {},
+      ignore,
+    });
+  }
+
+  schema.pre("findOneAndUpdate", captureBefore);
+  schema.post("findOneAndUpdate", logQueryUpdate);
+  schema.pre("updateOne", { document: false, query: true }, captureBefore);
+  schema.post("updateOne", { document: false, query: true }, logQueryUpdate);
+  schema.pre("updateMany", captureManyBefore);
+  schema.post("updateMany", logQueryUpdateMany);
+
+  schema.pre("findOneAndDelete", captureBefore);
+  schema.post("findOneAndDelete", logQueryDelete);
+  schema.pre("deleteOne", { document: false, query: true }, captureBefore);
+  schema.post("deleteOne", { document: false, query: true }, logQueryDelete);
+
+  // Document deletes
+  schema.post("deleteOne", { document: true, query: false }, async function (doc) {
+    await writeAuditLog({
+      action: "delete",
+      entityType: doc.constructor.modelName,
+      entityId: doc._id,
+      before: snapshot(doc),
+      after: {},
+      ignore,
+    });
+  });
+};
+
+export default auditPlugin;
@@ -0,0 +1,14 @@
+import express from "express";
+import {
+  getAuditLogs,
+  getAuditLogById,
+} from "../controllers/auditLogController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Audit trail (admin only by default)
+router.get("/", authenticate, authorizePermission("audit.read"), getAuditLogs);
+router.get("/:id", authenticate, authorizePermission("audit.read"), getAuditLogById);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  createBookingRequest,
+  confirmBookingRequestByToken,
+  getAllBookingRequests,
+  getBookingRequestById,
+  convertRequestToBooking,
+  rejectBookingRequest,
+} from "../controllers/bookingRequestController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const submitLimiter = rateLimit({
+  windowMs: HOUR_MS,
+  max: Number(process.env.BOOKING_REQUEST_RATE_LIMIT) || 5,
+  message: "Too many booking requests, please try again later",
+});
+const confirmLimiter = rateLimit({ windowMs: HOUR_MS, max: 20 });
+
+// Public routes - the booking form and the confirmation link
+router.post("/", submitLimiter, createBookingRequest);
+router.post("/confirm/:token", confirmLimiter, confirmBookingRequestByToken);
+
+// Staff queue
+router.get("/", authenticate, authorizePermission("bookingRequest.read"), getAllBookingRequests);
+router.get("/:id", authenticate, authorizePermission("bookingRequest.read"), getBookingRequestById);
+router.post("/:id/convert", authenticate, authorizePermission("bookingRequest.manage"), convertRequestToBooking);
+router.patch("/:id/reject", authenticate, authorizePermission("bookingRequest.manage"), rejectBookingRequest);
+
+export default router;
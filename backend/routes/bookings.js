@@ -4,37 +4,69 @@ import {
   getAllBookings,
   getBookingById,
   updateBooking,
+  rescheduleBooking,
   cancelBooking,
+  getCancellationQuote,
+  recordDeposit,
+  checkInVehicle,
+  checkOutVehicle,
+  acknowledgeVehicleCondition,
   assignInspector,
+  getInspectorSuggestions,
   updateBookingStatus,
   addBookingNote,
   getBookingStats,
   getAvailableInspectors,
+  getBookingAvailability,
 } from "../controllers/bookingController.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import {
+  getSchedule,
+  updateSchedule,
+  addHoliday,
+  removeHoliday,
+} from "../controllers/bookingScheduleController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+import upload from "../middleware/upload.js";
 
 const router = express.Router();
 
 // Public/Customer accessible routes (with authentication)
-router.get("/available-inspectors", authenticate, authorize("cashier", "admin", "manager"), getAvailableInspectors);
+router.get("/available-inspectors", authenticate, authorizePermission("booking.viewInspectors"), getAvailableInspectors);
+router.get("/availability", authenticate, getBookingAvailability); // Remaining slot capacity, no customer data
+
+// Slot capacity, closed days and holidays
+router.route("/schedule")
+  .get(authenticate, authorizePermission("booking.manageSchedule"), getSchedule)
+  .put(authenticate, authorizePermission("booking.manageSchedule"), updateSchedule);
+router.post("/schedule/holidays", authenticate, authorizePermission("booking.manageSchedule"), addHoliday);
+router.delete("/schedule/holidays/:holidayId", authenticate, authorizePermission("booking.manageSchedule"), removeHoliday);
 
 // Booking CRUD operations
 router.route("/")
-  .get(authenticate, authorize("cashier", "admin", "manager", "service_advisor"), getAllBookings)
-  .post(authenticate, authorize("cashier"), createBooking);
+  .get(authenticate, authorizePermission("booking.read"), getAllBookings)
+  .post(authenticate, authorizePermission("booking.create"), createBooking);
 
 // Booking management by ID
 router.route("/:id")
-  .get(authenticate, authorize("cashier", "admin", "manager", "service_advisor"), getBookingById)
-  .patch(authenticate, authorize("cashier", "admin", "manager"), updateBooking);
+  .get(authenticate, authorizePermission("booking.read"), getBookingById)
+  .patch(authenticate, authorizePermission("booking.update"), updateBooking);
 
 // Booking workflow operations
-router.patch("/:id/assign-inspector", authenticate, authorize("cashier"), assignInspector);
-router.patch("/:id/status", authenticate, authorize("service_advisor", "cashier"), updateBookingStatus);
-router.patch("/:id/cancel", authenticate, authorize("cashier", "admin", "manager"), cancelBooking);
-router.post("/:id/notes", authenticate, authorize("cashier", "service_advisor", "admin", "manager"), addBookingNote);
+router.patch("/:id/assign-inspector", authenticate, authorizePermission("booking.assignInspector"), assignInspector);
+router.get("/:id/inspector-suggestions", authenticate, authorizePermission("booking.assignInspector"), getInspectorSuggestions);
+router.patch("/:id/reschedule", authenticate, authorizePermission("booking.reschedule"), rescheduleBooking);
+router.patch("/:id/status", authenticate, authorizePermission("booking.updateStatus"), updateBookingStatus);
+router.patch("/:id/cancel", authenticate, authorizePermission("booking.cancel"), cancelBooking);
+router.get("/:id/cancellation-quote", authenticate, authorizePermission("booking.cancel"), getCancellationQuote);
+router.patch("/:id/deposit", authenticate, authorizePermission("booking.recordDeposit"), recordDeposit);
+router.post("/:id/notes", authenticate, authorizePermission("booking.addNote"), addBookingNote);
+
+// Vehicle condition at hand-over (photos uploaded as multipart "photos")
+router.post("/:id/check-in", authenticate, authorizePermission("booking.checkInOut"), upload.array("photos", 10), checkInVehicle);
+router.post("/:id/check-out", authenticate, authorizePermission("booking.checkInOut"), upload.array("photos", 10), checkOutVehicle);
+router.patch("/:id/condition-acknowledgement", authenticate, authorizePermission("booking.checkInOut"), acknowledgeVehicleCondition);
 
 // Administrative routes
-router.get("/stats/overview", authenticate, authorize("admin", "manager"), getBookingStats);
+router.get("/stats/overview", authenticate, authorizePermission("booking.viewStats"), getBookingStats);
 
 export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getMyCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed,
+} from "../controllers/calendarController.js";
+import { authenticate } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public route - calendar apps authenticate with the secret token in the URL
+router.get("/feeds/:token.ics", getCalendarFeed);
+
+// Manage my feed URLs
+router.route("/feeds")
+  .get(authenticate, getMyCalendarFeeds)
+  .post(authenticate, createCalendarFeed);
+router.delete("/feeds/:id", authenticate, revokeCalendarFeed);
+
+export default router;
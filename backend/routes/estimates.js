@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  createEstimate,
+  getAllEstimates,
+  getEstimateById,
+  updateEstimate,
+  sendEstimateToCustomer,
+  recordEstimateResponse,
+  getEstimateByToken,
+  respondByToken,
+} from "../controllers/estimateController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Public routes - the token from the emailed link identifies the estimate
+router.route("/respond/:token")
+  .get(getEstimateByToken)
+  .post(respondByToken);
+
+// Estimate CRUD operations
+router.route("/")
+  .get(authenticate, authorizePermission("estimate.read"), getAllEstimates)
+  .post(authenticate, authorizePermission("estimate.manage"), createEstimate);
+
+router.route("/:id")
+  .get(authenticate, authorizePermission("estimate.read"), getEstimateById)
+  .patch(authenticate, authorizePermission("estimate.manage"), updateEstimate);
+
+// Customer approval
+router.post("/:id/send", authenticate, authorizePermission("estimate.manage"), sendEstimateToCustomer);
+router.post("/:id/respond", authenticate, authorizePermission("estimate.manage"), recordEstimateResponse);
+
+export default router;
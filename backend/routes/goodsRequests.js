@@ -12,18 +12,18 @@ import {
   getGoodsRequestStats,
   getPendingGoodsRequests,
 } from "../controllers/goodsRequestController.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Inspector routes - service advisors (inspectors) can create and manage their requests
-router.post("/", authenticate, authorize("service_advisor", "manager", "admin"), createGoodsRequest);
+router.post("/", authenticate, authorizePermission("goodsRequest.create"), createGoodsRequest);
 router.get("/my-requests", authenticate, getMyGoodsRequests);
 
 // Inventory Manager routes for goods request management
-router.get("/", authenticate, authorize("admin", "manager"), getAllGoodsRequests);
-router.get("/pending", authenticate, authorize("admin", "manager"), getPendingGoodsRequests);
-router.get("/stats", authenticate, authorize("admin", "manager"), getGoodsRequestStats);
+router.get("/", authenticate, authorizePermission("goodsRequest.read"), getAllGoodsRequests);
+router.get("/pending", authenticate, authorizePermission("goodsRequest.read"), getPendingGoodsRequests);
+router.get("/stats", authenticate, authorizePermission("goodsRequest.viewStats"), getGoodsRequestStats);
 
 // Routes that require ID parameter
 router.route("/:id")
@@ -32,8 +32,8 @@ router.route("/:id")
   .delete(authenticate, deleteGoodsRequest); // Inspector can delete their own pending requests
 
 // Inventory Manager approval/rejection routes
-router.patch("/:id/approve", authenticate, authorize("admin", "manager"), approveGoodsRequest);
-router.patch("/:id/reject", authenticate, authorize("admin", "manager"), rejectGoodsRequest);
-router.patch("/:id/release", authenticate, authorize("admin", "manager"), releaseGoods);
+router.patch("/:id/approve", authenticate, authorizePermission("goodsRequest.approve"), approveGoodsRequest);
+router.patch("/:id/reject", authenticate, authorizePermission("goodsRequest.approve"), rejectGoodsRequest);
+router.patch("/:id/release", authenticate, authorizePermission("goodsRequest.release"), releaseGoods);
 
 export default router;
@@ -13,39 +13,39 @@ import {
   bulkUpdateStock,
   searchInventoryItems
 } from "../controllers/InventoryItemcon.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Search route (should be before other parameterized routes)
-router.get("/search", authenticate, authorize("admin", "manager", "service_advisor", "technician"), searchInventoryItems);
+router.get("/search", authenticate, authorizePermission("inventory.read"), searchInventoryItems);
 
 // Statistics and reports routes
-router.get("/stats", authenticate, authorize("admin", "manager"), getInventoryStats);
-router.get("/low-stock", authenticate, authorize("admin", "manager", "service_advisor"), getLowStockItems);
+router.get("/stats", authenticate, authorizePermission("inventory.viewStats"), getInventoryStats);
+router.get("/low-stock", authenticate, authorizePermission("inventory.viewLowStock"), getLowStockItems);
 
 // Category-based routes
-router.get("/category/:category", authenticate, authorize("admin", "manager", "service_advisor", "technician"), getItemsByCategory);
+router.get("/category/:category", authenticate, authorizePermission("inventory.read"), getItemsByCategory);
 
 // Main CRUD routes
 router.route("/")
-  .get(authenticate, authorize("admin", "manager", "service_advisor", "technician"), getAllInventoryItems)
-  .post(authenticate, authorize("admin", "manager"), createInventoryItem);
+  .get(authenticate, authorizePermission("inventory.read"), getAllInventoryItems)
+  .post(authenticate, authorizePermission("inventory.create"), createInventoryItem);
 
 // Bulk operations
-router.patch("/bulk-update-stock", authenticate, authorize("admin", "manager"), bulkUpdateStock);
+router.patch("/bulk-update-stock", authenticate, authorizePermission("inventory.updateStock"), bulkUpdateStock);
 
 // Item by itemId (custom ID like ITM00001)
 router.route("/item/:itemId")
-  .get(authenticate, authorize("admin", "manager", "service_advisor", "technician"), getInventoryItemByItemId);
+  .get(authenticate, authorizePermission("inventory.read"), getInventoryItemByItemId);
 
 // Item management by database ID
 router.route("/:id")
-  .get(authenticate, authorize("admin", "manager", "service_advisor", "technician"), getInventoryItemById)
-  .patch(authenticate, authorize("admin", "manager"), updateInventoryItem)
-  .delete(authenticate, authorize("admin"), deleteInventoryItem);
+  .get(authenticate, authorizePermission("inventory.read"), getInventoryItemById)
+  .patch(authenticate, authorizePermission("inventory.update"), updateInventoryItem)
+  .delete(authenticate, authorizePermission("inventory.delete"), deleteInventoryItem);
 
 // Stock management operations
-router.patch("/:id/stock", authenticate, authorize("admin", "manager"), updateStock);
+router.patch("/:id/stock", authenticate, authorizePermission("inventory.updateStock"), updateStock);
 
 export default router;
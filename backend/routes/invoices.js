@@ -12,44 +12,45 @@ import {
   searchInvoices,
   generateInvoicePDF,
 } from "../controllers/invoiceController.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Public routes (limited access)
-router.get("/search", authenticate, searchInvoices); // Quick search for invoices
+router.get("/search", authenticate, authorizePermission("invoice.read"), searchInvoices); // Quick search for invoices
 
 // Protected routes - require authentication
 // Invoice CRUD operations
 router.route("/")
-  .get(authenticate, getAllInvoices) // All staff can view invoices
-  .post(authenticate, authorize("admin", "manager", "service_advisor"), createInvoice); // Staff can create invoices
+  .get(authenticate, authorizePermission("invoice.read"), getAllInvoices) // All staff can view invoices
+  .post(authenticate, authorizePermission("invoice.create"), createInvoice); // Staff can create invoices
 
 // Invoice statistics (admin/manager only)
-router.get("/stats/overview", authenticate, authorize("admin", "manager"), getInvoiceStats);
+router.get("/stats/overview", authenticate, authorizePermission("invoice.viewStats"), getInvoiceStats);
 
 // Invoice by invoice ID (INV00001)
-router.get("/invoice-id/:invoiceId", authenticate, getInvoiceByInvoiceId);
+router.get("/invoice-id/:invoiceId", authenticate, authorizePermission("invoice.read"), getInvoiceByInvoiceId);
 
-// Invoices by customer (customers can see their own, staff can see all)
-router.get("/customer/:customerId", authenticate, getInvoicesByCustomer);
+// Invoices by customer (customers use /api/v1/me/invoices for their own)
+router.get("/customer/:customerId", authenticate, authorizePermission("invoice.read"), getInvoicesByCustomer);
 
 // Invoice management by ID
 router.route("/:id")
-  .get(authenticate, getInvoiceById) // All authenticated users can view invoice details
-  .patch(authenticate, authorize("admin", "manager", "service_advisor"), updateInvoice) // Staff can update invoices
-  .delete(authenticate, authorize("admin", "manager"), deleteInvoice); // Admin/Manager can delete invoices
+  .get(authenticate, authorizePermission("invoice.read"), getInvoiceById) // Staff can view invoice details
+  .patch(authenticate, authorizePermission("invoice.update"), updateInvoice) // Staff can update invoices
+  .delete(authenticate, authorizePermission("invoice.delete"), deleteInvoice); // Admin/Manager can delete invoices
 
 // Specialized invoice operations
 router.patch("/:id/status", 
   authenticate, 
-  authorize("admin", "manager", "service_advisor"), 
+  authorizePermission("invoice.updateStatus"), 
   updateInvoiceStatus
 ); // Staff can update invoice status (for payments)
 
 router.get("/:id/pdf", 
   authenticate, 
+  authorizePermission("invoice.read"), 
   generateInvoicePDF
-); // Generate PDF for any authenticated user
+); // Generate PDF data for staff
 
 export default router;
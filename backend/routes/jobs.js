@@ -12,8 +12,18 @@ import {
   updateJob,
   deleteJob,
   getJobStats,
+  reserveJobBay,
+  releaseJobBay,
+  getJobBayReservations,
+  startJobTimer,
+  pauseJobTimer,
+  resumeJobTimer,
+  stopJobTimer,
+  getActiveJobTimers,
+  getMyJobTimers,
+  getJobCapacity,
 } from "../controllers/jobController.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -22,13 +32,20 @@ const router = express.Router();
 // Protected routes - General job management
 router.route("/")
   .get(authenticate, getAllJobs) // All authenticated users can view jobs (with role-based filtering)
-  .post(authenticate, authorize("service_advisor", "manager", "admin"), createJob); // Only inspectors can create jobs
+  .post(authenticate, authorizePermission("job.create"), createJob); // Only inspectors can create jobs
 
 // Statistics route (for managers/admins)
-router.get("/stats", authenticate, authorize("service_advisor", "manager", "admin"), getJobStats);
+router.get("/stats", authenticate, authorizePermission("job.viewStats"), getJobStats);
+
+// Technician capacity planner
+router.get("/capacity", authenticate, authorizePermission("job.viewCapacity"), getJobCapacity);
 
 // My jobs route (for technicians to see their assigned jobs)
-router.get("/my-jobs", authenticate, authorize("technician"), getMyJobs);
+router.get("/my-jobs", authenticate, authorizePermission("job.viewAssigned"), getMyJobs);
+
+// Job clock - who is clocked on what right now, and the technician's own timers
+router.get("/timers/active", authenticate, authorizePermission("job.viewTimers"), getActiveJobTimers);
+router.get("/timers/mine", authenticate, authorizePermission("job.logWork"), getMyJobTimers);
 
 // Jobs by booking ID
 router.get("/booking/:bookingId", authenticate, getJobsByBooking);
@@ -36,22 +53,34 @@ router.get("/booking/:bookingId", authenticate, getJobsByBooking);
 // Job-specific routes
 router.route("/:id")
   .get(authenticate, getJobById) // All authenticated users can view individual jobs (with role-based access)
-  .patch(authenticate, authorize("service_advisor", "manager", "admin"), updateJob) // Only inspectors can update job details
-  .delete(authenticate, authorize("manager", "admin"), deleteJob); // Only managers/admins can delete jobs
+  .patch(authenticate, authorizePermission("job.update"), updateJob) // Only inspectors can update job details
+  .delete(authenticate, authorizePermission("job.delete"), deleteJob); // Only managers/admins can delete jobs
 
 // Job status management
 router.patch("/:id/status", authenticate, updateJobStatus); // Technicians and inspectors can update status
 
 // Labourer assignment (inspectors only)
-router.patch("/:id/assign-labourers", authenticate, authorize("service_advisor", "manager", "admin"), assignLabourers);
+router.patch("/:id/assign-labourers", authenticate, authorizePermission("job.assignLabourers"), assignLabourers);
 
 // Work log management (technicians only)
-router.post("/:id/work-log", authenticate, authorize("technician"), addWorkLog);
+router.post("/:id/work-log", authenticate, authorizePermission("job.logWork"), addWorkLog);
+
+// Job clock (technicians; managers can stop a forgotten timer)
+router.post("/:id/timer/start", authenticate, authorizePermission("job.logWork"), startJobTimer);
+router.post("/:id/timer/pause", authenticate, authorizePermission("job.logWork"), pauseJobTimer);
+router.post("/:id/timer/resume", authenticate, authorizePermission("job.logWork"), resumeJobTimer);
+router.post("/:id/timer/stop", authenticate, stopJobTimer); // Permission depends on whose timer is stopped
 
 // Inspection reports (inspectors only)
-router.post("/:id/inspection", authenticate, authorize("service_advisor", "manager", "admin"), addInspectionReport);
+router.post("/:id/inspection", authenticate, authorizePermission("job.addInspection"), addInspectionReport);
+
+// Service bay reservations
+router.route("/:id/bay")
+  .get(authenticate, authorizePermission("bay.read"), getJobBayReservations)
+  .post(authenticate, authorizePermission("bay.reserve"), reserveJobBay)
+  .delete(authenticate, authorizePermission("bay.reserve"), releaseJobBay);
 
 // Alternative route for creating jobs under a specific booking
-router.post("/booking/:bookingId", authenticate, authorize("service_advisor", "manager", "admin"), createJob);
+router.post("/booking/:bookingId", authenticate, authorizePermission("job.create"), createJob);
 
 export default router;
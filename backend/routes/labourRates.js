@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getLabourRates,
+  updateLabourRates,
+  previewLabourCost,
+} from "../controllers/labourRateController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Labour rate table
+router.route("/")
+  .get(authenticate, authorizePermission("labourRate.read"), getLabourRates)
+  .patch(authenticate, authorizePermission("labourRate.manage"), updateLabourRates);
+
+router.get("/preview", authenticate, authorizePermission("labourRate.read"), previewLabourCost);
+
+export default router;
@@ -11,7 +11,7 @@ import {
   getLeaveStats,
   getUpcomingLeaves,
 } from "../controllers/leaveRequestController.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -20,9 +20,9 @@ router.post("/", authenticate, createLeaveRequest);
 router.get("/my-requests", authenticate, getMyLeaveRequests);
 
 // Admin/Manager routes for leave management
-router.get("/", authenticate, authorize("admin", "manager"), getAllLeaveRequests);
-router.get("/stats", authenticate, authorize("admin", "manager"), getLeaveStats);
-router.get("/upcoming", authenticate, authorize("admin", "manager"), getUpcomingLeaves);
+router.get("/", authenticate, authorizePermission("leave.read"), getAllLeaveRequests);
+router.get("/stats", authenticate, authorizePermission("leave.viewStats"), getLeaveStats);
+router.get("/upcoming", authenticate, authorizePermission("leave.read"), getUpcomingLeaves);
 
 // Routes that require ID parameter
 router.route("/:id")
@@ -31,7 +31,7 @@ router.route("/:id")
   .delete(authenticate, deleteLeaveRequest); // Employee can delete their own pending requests
 
 // Admin/Manager approval routes
-router.patch("/:id/approve", authenticate, authorize("admin", "manager"), approveLeaveRequest);
-router.patch("/:id/reject", authenticate, authorize("admin", "manager"), rejectLeaveRequest);
+router.patch("/:id/approve", authenticate, authorizePermission("leave.approve"), approveLeaveRequest);
+router.patch("/:id/reject", authenticate, authorizePermission("leave.approve"), rejectLeaveRequest);
 
 export default router;
@@ -0,0 +1,58 @@
+import express from "express";
+import {
+  getMyVehicles,
+  getMyVehicleById,
+  getMyVehicleUpcomingServices,
+  getMyBookings,
+  getMyBookingById,
+  requestBooking,
+  rescheduleMyBooking,
+  acknowledgeMyVehicleCondition,
+  getMyEstimates,
+  respondToMyEstimate,
+  getMyWaitlist,
+  acceptMyWaitlistOffer,
+  declineMyWaitlistOffer,
+  getMyJobs,
+  getMyInvoices,
+  getMyInvoiceById,
+  downloadMyInvoice,
+} from "../controllers/meController.js";
+import { authenticate, requireCustomer } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Customer self-service routes - every handler is scoped to the logged in customer
+router.use(authenticate, requireCustomer);
+
+// Vehicles
+router.get("/vehicles", getMyVehicles);
+router.get("/vehicles/:id", getMyVehicleById);
+router.get("/vehicles/:id/upcoming-services", getMyVehicleUpcomingServices);
+
+// Bookings
+router.route("/bookings")
+  .get(getMyBookings)
+  .post(requestBooking);
+router.get("/bookings/:id", getMyBookingById);
+router.patch("/bookings/:id/reschedule", rescheduleMyBooking);
+router.post("/bookings/:id/acknowledge-condition", acknowledgeMyVehicleCondition);
+
+// Estimates waiting for my approval
+router.get("/estimates", getMyEstimates);
+router.post("/estimates/:id/respond", respondToMyEstimate);
+
+// Waitlist offers
+router.get("/waitlist", getMyWaitlist);
+router.post("/waitlist/:id/accept", acceptMyWaitlistOffer);
+router.post("/waitlist/:id/decline", declineMyWaitlistOffer);
+
+// Job progress
+router.get("/jobs", getMyJobs);
+
+// Invoices
+router.get("/invoices", getMyInvoices);
+router.get("/invoices/:id", getMyInvoiceById);
+router.get("/invoices/:id/download", downloadMyInvoice);
+
+export default router;
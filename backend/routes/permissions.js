@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getPermissionCatalog,
+  getAllRolePermissions,
+  getRolePermissionsByRole,
+  updateRolePermissions,
+  resetRolePermissions,
+  getMyPermissions,
+} from "../controllers/permissionController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Current user's permissions
+router.get("/me", authenticate, getMyPermissions);
+
+// Permission administration
+router.get("/", authenticate, authorizePermission("permission.manage"), getPermissionCatalog);
+router.get("/roles", authenticate, authorizePermission("permission.manage"), getAllRolePermissions);
+
+router.route("/roles/:role")
+  .get(authenticate, authorizePermission("permission.manage"), getRolePermissionsByRole)
+  .put(authenticate, authorizePermission("permission.manage"), updateRolePermissions);
+
+router.post("/roles/:role/reset", authenticate, authorizePermission("permission.manage"), resetRolePermissions);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  createServiceBay,
+  getAllServiceBays,
+  getServiceBayById,
+  updateServiceBay,
+  deleteServiceBay,
+  getServiceBayReservations,
+  getServiceBayBoard,
+} from "../controllers/serviceBayController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Daily occupancy board
+router.get("/board", authenticate, authorizePermission("bay.read"), getServiceBayBoard);
+
+// Service bay CRUD operations
+router.route("/")
+  .get(authenticate, authorizePermission("bay.read"), getAllServiceBays)
+  .post(authenticate, authorizePermission("bay.manage"), createServiceBay);
+
+router.route("/:id")
+  .get(authenticate, authorizePermission("bay.read"), getServiceBayById)
+  .patch(authenticate, authorizePermission("bay.manage"), updateServiceBay)
+  .delete(authenticate, authorizePermission("bay.manage"), deleteServiceBay);
+
+router.get("/:id/reservations", authenticate, authorizePermission("bay.read"), getServiceBayReservations);
+
+export default router;
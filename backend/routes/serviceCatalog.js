@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  createServiceCatalogItem,
+  getAllServiceCatalogItems,
+  getServiceCatalogItemById,
+  updateServiceCatalogItem,
+  deleteServiceCatalogItem,
+} from "../controllers/serviceCatalogController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Service catalog (job templates) CRUD operations
+router.route("/")
+  .get(authenticate, authorizePermission("serviceCatalog.read"), getAllServiceCatalogItems)
+  .post(authenticate, authorizePermission("serviceCatalog.manage"), createServiceCatalogItem);
+
+router.route("/:id")
+  .get(authenticate, authorizePermission("serviceCatalog.read"), getServiceCatalogItemById)
+  .patch(authenticate, authorizePermission("serviceCatalog.manage"), updateServiceCatalogItem)
+  .delete(authenticate, authorizePermission("serviceCatalog.manage"), deleteServiceCatalogItem);
+
+export default router;
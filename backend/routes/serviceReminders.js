@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getDueServiceReminders,
+  sendServiceReminders,
+  getServiceReminderRules,
+  updateServiceReminderRule,
+} from "../controllers/serviceReminderController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Front desk call list
+router.get("/due", authenticate, authorizePermission("reminder.read"), getDueServiceReminders);
+
+// Queue reminders now (they also go out daily)
+router.post("/queue", authenticate, authorizePermission("reminder.manage"), sendServiceReminders);
+
+// Reminder intervals per service type
+router.get("/rules", authenticate, authorizePermission("reminder.read"), getServiceReminderRules);
+router.put("/rules/:serviceType", authenticate, authorizePermission("reminder.manage"), updateServiceReminderRule);
+
+export default router;
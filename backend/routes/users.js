@@ -2,7 +2,21 @@ import express from "express";
 import {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  getMySessions,
+  revokeMySession,
+  revokeUserSessions,
   verifyEmail,
+  resendVerificationEmail,
+  sendPhoneOtp,
+  verifyPhoneOtp,
   forgotPassword,
   resetPassword,
   getProfile,
@@ -20,13 +34,15 @@ import {
   getTechniciansBySpecialization,
   updateCertifications,
 } from "../controllers/users.js";
-import { authenticate, authorize, authorizeOwnerOrRole } from "../middleware/auth.js";
+import { authenticate, authenticateTwoFactorSetup, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
 // Public authentication routes
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/login/2fa", verifyTwoFactorLogin);
+router.post("/refresh-token", refreshAccessToken);
 router.post("/verify-email", verifyEmail);
 router.post("/forgot-password", forgotPassword);
 router.post("/reset-password", resetPassword);
@@ -35,26 +51,46 @@ router.post("/reset-password", resetPassword);
 router.get("/profile", authenticate, getProfile);
 router.patch("/profile", authenticate, updateProfile);
 router.patch("/change-password", authenticate, changePassword);
+router.post("/resend-verification", authenticate, resendVerificationEmail);
+router.post("/phone/send-otp", authenticate, sendPhoneOtp);
+router.post("/phone/verify", authenticate, verifyPhoneOtp);
+
+// Session management
+router.post("/logout", authenticate, logoutUser);
+router.post("/logout-all", authenticate, logoutAllDevices);
+router.get("/sessions", authenticate, getMySessions);
+router.delete("/sessions/:sessionId", authenticate, revokeMySession);
+
+// Two-factor authentication enrollment
+router.post("/2fa/setup", authenticateTwoFactorSetup, setupTwoFactor);
+router.post("/2fa/enable", authenticateTwoFactorSetup, enableTwoFactor);
+router.post("/2fa/disable", authenticate, disableTwoFactor);
+router.post("/2fa/recovery-codes", authenticate, regenerateRecoveryCodes);
 
 // Admin and Manager management routes
 router.route("/")
-  .get(authenticate, authorize("admin", "manager"), getAllUsers)
-  .post(authenticate, authorize("admin", "manager"), createUser);
+  .get(authenticate, authorizePermission("user.list"), getAllUsers)
+  .post(authenticate, authorizePermission("user.create"), createUser);
 
 // User management by ID
 router.route("/:id")
-  .get(authenticate, authorize("admin", "manager", "service_advisor"), getUserById)
-  .patch(authenticate, authorize("admin", "manager"), updateUser)
-  .delete(authenticate, authorize("admin"), deleteUser);
+  .get(authenticate, authorizePermission("user.read"), getUserById)
+  .patch(authenticate, authorizePermission("user.update"), updateUser)
+  .delete(authenticate, authorizePermission("user.delete"), deleteUser);
 
 // Special management routes
-router.get("/stats/overview", authenticate, authorize("admin", "manager"), getUserStats);
-router.patch("/:id/status", authenticate, authorize("admin", "manager"), updateUserStatus);
-router.patch("/:id/reset-password", authenticate, authorize("admin", "manager"), adminResetPassword);
-router.patch("/:id/loyalty-points", authenticate, authorize("admin", "manager", "service_advisor"), addLoyaltyPoints);
-router.patch("/:id/certifications", authenticate, authorize("admin", "manager"), updateCertifications);
+router.get("/stats/overview", authenticate, authorizePermission("user.viewStats"), getUserStats);
+router.patch("/:id/status", authenticate, authorizePermission("user.updateStatus"), updateUserStatus);
+router.patch("/:id/reset-password", authenticate, authorizePermission("user.resetPassword"), adminResetPassword);
+router.patch("/:id/revoke-sessions", authenticate, authorizePermission("user.revokeSessions"), revokeUserSessions);
+router.patch("/:id/loyalty-points", authenticate, authorizePermission("user.addLoyaltyPoints"), addLoyaltyPoints);
+router.patch("/:id/certifications", authenticate, authorizePermission("user.updateCertifications"), updateCertifications);
+
+// Front desk phone verification for walk-in customers
+router.post("/:id/phone/send-otp", authenticate, authorizePermission("user.verifyPhone"), sendPhoneOtp);
+router.post("/:id/phone/verify", authenticate, authorizePermission("user.verifyPhone"), verifyPhoneOtp);
 
 // Specialized queries
-router.get("/technicians/by-specialization", authenticate, authorize("admin", "manager", "service_advisor"), getTechniciansBySpecialization);
+router.get("/technicians/by-specialization", authenticate, authorizePermission("user.viewTechnicians"), getTechniciansBySpecialization);
 
 export default router;
\ No newline at end of file
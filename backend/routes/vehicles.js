@@ -3,6 +3,7 @@ import {
   createVehicle,
   getAllVehicles,
   getVehicleById,
+  getVehicleUpcomingServices,
   getVehicleByRegistration,
   getVehiclesByOwner,
   updateVehicle,
@@ -13,7 +14,7 @@ import {
   searchVehicles,
   transferOwnership,
 } from "../controllers/vehicalContrller.js";
-import { authenticate, authorize } from "../middleware/auth.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
 
 const router = express.Router();
 
@@ -25,37 +26,40 @@ router.get("/registration/:registrationNumber", getVehicleByRegistration); // Lo
 // Protected routes - require authentication
 // Vehicle CRUD operations
 router.route("/")
-  .get(authenticate, getAllVehicles) // All roles can view vehicles
-  .post(authenticate, authorize("admin", "manager", "cashier"), createVehicle); // Only staff can create vehicles
+  .get(authenticate, authorizePermission("vehicle.read"), getAllVehicles) // Staff can view vehicles
+  .post(authenticate, authorizePermission("vehicle.create"), createVehicle); // Only staff can create vehicles
 
 // Vehicle statistics (admin/manager only)
-router.get("/stats/overview", authenticate, authorize("admin", "manager"), getVehicleStats);
+router.get("/stats/overview", authenticate, authorizePermission("vehicle.viewStats"), getVehicleStats);
 
-// Vehicle by owner (customers can see their own, staff can see all)
-router.get("/owner/:ownerId", authenticate, getVehiclesByOwner);
+// Vehicle by owner (customers use /api/v1/me/vehicles for their own)
+router.get("/owner/:ownerId", authenticate, authorizePermission("vehicle.read"), getVehiclesByOwner);
 
 // Vehicle management by ID
 router.route("/:id")
-  .get(authenticate, getVehicleById) // All authenticated users can view vehicle details
-  .patch(authenticate, authorize("admin", "manager", "cashier"), updateVehicle) // Staff can update vehicle info
-  .delete(authenticate, authorize("admin", "manager"), deleteVehicle); // Admin/Manager can delete vehicles
+  .get(authenticate, authorizePermission("vehicle.read"), getVehicleById) // Staff can view vehicle details
+  .patch(authenticate, authorizePermission("vehicle.update"), updateVehicle) // Staff can update vehicle info
+  .delete(authenticate, authorizePermission("vehicle.delete"), deleteVehicle); // Admin/Manager can delete vehicles
+
+// Service reminders
+router.get("/:id/upcoming-services", authenticate, authorizePermission("vehicle.read"), getVehicleUpcomingServices);
 
 // Specialized vehicle operations
 router.patch("/:id/mileage", 
   authenticate, 
-  authorize("admin", "manager", "service_advisor", "technician"), 
+  authorizePermission("vehicle.updateMileage"), 
   updateVehicleMileage
 ); // Staff can update mileage after service
 
 router.patch("/:id/status", 
   authenticate, 
-  authorize("admin", "manager", "service_advisor"), 
+  authorizePermission("vehicle.updateStatus"), 
   updateVehicleStatus
 ); // Staff can change vehicle status
 
 router.patch("/:id/transfer-ownership", 
   authenticate, 
-  authorize("admin", "manager"), 
+  authorizePermission("vehicle.transferOwnership"), 
   transferOwnership
 ); // Admin/Manager can transfer ownership
 
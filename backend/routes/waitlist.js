@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  createWaitlistEntry,
+  getAllWaitlistEntries,
+  getWaitlistEntryById,
+  updateWaitlistEntry,
+  cancelWaitlistEntry,
+  declineWaitlistOffer,
+  convertWaitlistEntry,
+} from "../controllers/waitlistController.js";
+import { authenticate, authorizePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Waitlist CRUD operations
+router.route("/")
+  .get(authenticate, authorizePermission("waitlist.read"), getAllWaitlistEntries)
+  .post(authenticate, authorizePermission("waitlist.manage"), createWaitlistEntry);
+
+router.route("/:id")
+  .get(authenticate, authorizePermission("waitlist.read"), getWaitlistEntryById)
+  .patch(authenticate, authorizePermission("waitlist.manage"), updateWaitlistEntry);
+
+// Offers and conversion
+router.patch("/:id/cancel", authenticate, authorizePermission("waitlist.manage"), cancelWaitlistEntry);
+router.post("/:id/decline", authenticate, authorizePermission("waitlist.manage"), declineWaitlistOffer);
+router.post("/:id/convert", authenticate, authorizePermission("waitlist.manage"), convertWaitlistEntry);
+
+export default router;
@@ -0,0 +1,95 @@
+// Migration: seed the ID counters from the highest IDs already in the database.
+// Safe to run more than once, counters are only ever moved forward.
+//   node scripts/seedCounters.js
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../db/connect.js";
+import { Booking } from "../models/Booking.js";
+import Job from "../models/Job.js";
+import { Invoice } from "../models/Invoice.js";
+import { InventoryItem } from "../models/InventoryItem.js";
+import { Vehicle } from "../models/Vehicle.js";
+import { GoodsRequest } from "../models/GoodsRequest.js";
+import { LeaveRequest } from "../models/LeaveRequest .js";
+import User from "../models/User.js";
+import { ServiceBay } from "../models/ServiceBay.js";
+import { WaitlistEntry } from "../models/WaitlistEntry.js";
+import { Estimate } from "../models/Estimate.js";
+import { BookingRequest } from "../models/BookingRequest.js";
+import { ServiceCatalogItem } from "../models/ServiceCatalogItem.js";
+import {
+  SEQUENCE_NAMES,
+  getSequenceFormat,
+  getSequenceVariants,
+  getCounterName,
+  seedCounter,
+} from "../services/sequenceService.js";
+
+const MODELS = {
+  booking: Booking,
+  job: Job,
+  invoice: Invoice,
+  inventoryItem: InventoryItem,
+  vehicle: Vehicle,
+  goodsRequest: GoodsRequest,
+  leaveRequest: LeaveRequest,
+  serviceBay: ServiceBay,
+  waitlist: WaitlistEntry,
+  estimate: Estimate,
+  bookingRequest: BookingRequest,
+  serviceCatalog: ServiceCatalogItem,
+  user: User,
+  employee: User,
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getField = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Highest number in use per counter name, matching both plain (INV00012) and yearly (INV-2026-00012) IDs
+const findHighestNumbers = async (sequence, variant) => {
+  const { field, prefix } = getSequenceFormat(sequence, variant);
+  const pattern = new RegExp(`^${escapeRegExp(prefix)}(?:-(\\d{4})-)?(\\d+)$`);
+
+  const docs = await MODELS[sequence]
+    .find({ [field]: { $regex: pattern } })
+    .select(field)
+    .lean();
+
+  const highest = {};
+  for (const doc of docs) {
+    const [, year, number] = getField(doc, field).match(pattern);
+    const counterName = getCounterName(sequence, variant, year ? parseInt(year) : undefined);
+    highest[counterName] = Math.max(highest[counterName] || 0, parseInt(number));
+  }
+
+  return highest;
+};
+
+const seedCounters = async () => {
+  for (const sequence of SEQUENCE_NAMES) {
+    for (const variant of getSequenceVariants(sequence)) {
+      const highest = await findHighestNumbers(sequence, variant);
+
+      for (const [counterName, value] of Object.entries(highest)) {
+        const seq = await seedCounter(counterName, value);
+        console.log(`${counterName}: highest existing ${value}, counter at ${seq}`);
+      }
+    }
+  }
+};
+
+const run = async () => {
+  try {
+    await connectDB(process.env.MONGO_URI);
+    await seedCounters();
+    console.log("Counters seeded");
+  } catch (error) {
+    console.log(error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
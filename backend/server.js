@@ -1,8 +1,10 @@
+// Load .env before any other module, services read their settings when they are imported
+import "dotenv/config";
 import express from "express";
-import dotenv from "dotenv";
 import connectDB from "./db/connect.js";
 import notFound from "./middleware/not-found.js";
 import errorHandlerMiddleware from "./middleware/error-handler.js";
+import requestContext from "./middleware/requestContext.js";
 
 import users from "./routes/users.js";
 import bookings from "./routes/bookings.js";
@@ -12,15 +14,38 @@ import invoices from "./routes/invoices.js";
 import leaveRequests from "./routes/leaveRequests.js";
 import goodsRequests from "./routes/goodsRequests.js";
 import jobs from "./routes/jobs.js";
-
-dotenv.config();
+import permissions from "./routes/permissions.js";
+import me from "./routes/me.js";
+import auditLogs from "./routes/auditLogs.js";
+import serviceBays from "./routes/serviceBays.js";
+import serviceReminders from "./routes/serviceReminders.js";
+import waitlist from "./routes/waitlist.js";
+import calendar from "./routes/calendar.js";
+import estimates from "./routes/estimates.js";
+import bookingRequests from "./routes/bookingRequests.js";
+import serviceCatalog from "./routes/serviceCatalog.js";
+import labourRates from "./routes/labourRates.js";
+import { startScheduler } from "./services/scheduler.js";
 
 const app = express();
 
+// Behind a reverse proxy req.ip (used by the rate limits and audit logs) is the proxy's address unless it is trusted.
+// TRUST_PROXY takes the number of proxy hops, true/false, or addresses such as "loopback"
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  const hops = Number(trustProxy);
+  if (trustProxy === "true" || trustProxy === "false") {
+    app.set("trust proxy", trustProxy === "true");
+  } else {
+    app.set("trust proxy", Number.isInteger(hops) ? hops : trustProxy);
+  }
+}
+
 //middleware
 app.use(express.static("./public"));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestContext);
 
 // CORS middleware (add this if you'll have a frontend later)
 // app.use((req, res, next) => {
@@ -40,6 +65,17 @@ app.use("/api/v1/invoices", invoices);
 app.use("/api/v1/leave-requests", leaveRequests);
 app.use("/api/v1/goods-requests", goodsRequests);
 app.use("/api/v1/jobs", jobs);
+app.use("/api/v1/permissions", permissions);
+app.use("/api/v1/me", me);
+app.use("/api/v1/audit-logs", auditLogs);
+app.use("/api/v1/service-bays", serviceBays);
+app.use("/api/v1/service-reminders", serviceReminders);
+app.use("/api/v1/waitlist", waitlist);
+app.use("/api/v1/calendar", calendar);
+app.use("/api/v1/estimates", estimates);
+app.use("/api/v1/booking-requests", bookingRequests);
+app.use("/api/v1/service-catalog", serviceCatalog);
+app.use("/api/v1/labour-rates", labourRates);
 
 app.use(notFound);
 app.use(errorHandlerMiddleware);
@@ -51,6 +87,7 @@ const start = async () => {
     app.listen(port, () => {
       console.log(`Server is listening on port ${port}...`);
     });
+    startScheduler();
   } catch (error) {
     console.log(error);
   }
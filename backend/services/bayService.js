@@ -0,0 +1,259 @@
+import { ServiceBay } from "../models/ServiceBay.js";
+import { BayReservation } from "../models/BayReservation.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { toDateKey, toShopTime } from "./bookingAvailabilityService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Workshop hours used to work out daily bay occupancy
+const WORKDAY_START = "09:00";
+const WORKDAY_END = "17:00";
+
+// Reservations that still hold their bay
+const HOLDING_STATUSES = ["reserved", "active"];
+
+// A bay lock expires on its own in case the process dies while holding it
+const LOCK_MS = 10 * 1000;
+
+// Run fn while holding the bay's reservation lock, so the conflict check and the insert cannot
+// interleave with another reservation of the same bay. Returns { locked: false } when the bay is busy.
+const withBayLock = async (bayId, fn) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCK_MS);
+
+  const bay = await ServiceBay.findOneAndUpdate(
+    { _id: bayId, reservationLockedUntil: { $not: { $gt: now } } },
+    { reservationLockedUntil: lockedUntil },
+    { timestamps: false }
+  );
+  if (!bay) {
+    return { locked: false };
+  }
+
+  try {
+    return { locked: true, result: await fn() };
+  } finally {
+    await ServiceBay.updateOne(
+      { _id: bayId, reservationLockedUntil: lockedUntil },
+      { $unset: { reservationLockedUntil: 1 } },
+      { timestamps: false }
+    );
+  }
+};
+
+// Reservations of a bay overlapping [start, end)
+export const findConflicts = (bayId, start, end, excludeJobId) => {
+  const query = {
+    bay: bayId,
+    status: { $in: HOLDING_STATUSES },
+    start: { $lt: end },
+    end: { $gt: start },
+  };
+  if (excludeJobId) {
+    query.job = { $ne: excludeJobId };
+  }
+
+  return BayReservation.find(query)
+    .populate("job", "jobId title status");
+};
+
+// Default reservation window: from the booking's slot start for the job's estimated hours
+export const getDefaultWindow = (job, booking) => {
+  const start = booking?.scheduledDate
+    ? toShopTime(toDateKey(booking.scheduledDate), booking.timeSlot.split("-")[0])
+    : new Date();
+
+  // Never reserve in the past
+  const windowStart = start < new Date() ? new Date() : start;
+  const hours = Math.max(job.estimatedHours || 1, 0.5);
+
+  return { start: windowStart, end: new Date(windowStart.getTime() + hours * HOUR_MS) };
+};
+
+// Reserve a specific bay for a job. Returns { reservation } or { error } (409 with the conflicts).
+export const reserveBay = async (job, { bayId, start, end, userId }) => {
+  const bay = await ServiceBay.findById(bayId);
+  if (!bay) {
+    return { error: createCustomError("Service bay not found", 404) };
+  }
+  if (bay.status !== "active") {
+    return { error: createCustomError(`Service bay ${bay.name} is not available (${bay.status})`, 400) };
+  }
+  if (bay.categories.length > 0 && !bay.categories.includes(job.category)) {
+    return { error: createCustomError(`Service bay ${bay.name} is not set up for ${job.category} jobs`, 400) };
+  }
+
+  const { locked, result } = await withBayLock(bay._id, async () => {
+    const conflicts = await findConflicts(bay._id, start, end, job._id);
+    if (conflicts.length > 0) {
+      const jobs = conflicts.map(conflict => conflict.job?.jobId).filter(Boolean).join(", ");
+      return { error: createCustomError(`Service bay ${bay.name} is already reserved for ${jobs} in that window`, 409), conflicts };
+    }
+
+    // A job holds one bay at a time
+    await releaseJobBays(job._id, "cancelled");
+
+    const reservation = await BayReservation.create({
+      bay: bay._id,
+      job: job._id,
+      booking: job.booking?._id || job.booking,
+      start,
+      end,
+      reservedBy: userId,
+    });
+
+    return { reservation };
+  });
+  if (!locked) {
+    return { error: createCustomError(`Service bay ${bay.name} is being reserved by someone else, please try again`, 409) };
+  }
+
+  return result;
+};
+
+// Reserve the first free active bay suitable for the job's category.
+// Returns null when no bay handles the category or every suitable bay is busy.
+export const autoReserveBay = async (job, booking, userId) => {
+  const { start, end } = getDefaultWindow(job, booking);
+
+  const bays = await ServiceBay.find({
+    status: "active",
+    $or: [{ categories: job.category }, { categories: { $size: 0 } }],
+  }).sort({ bayId: 1 });
+
+  // Dedicated bays before general purpose ones
+  bays.sort((a, b) => (b.categories.length > 0) - (a.categories.length > 0));
+
+  // A bay another reservation is being made for counts as busy
+  for (const bay of bays) {
+    const { result: reservation } = await withBayLock(bay._id, async () => {
+      const conflicts = await findConflicts(bay._id, start, end, job._id);
+      if (conflicts.length > 0) return null;
+
+      return BayReservation.create({
+        bay: bay._id,
+        job: job._id,
+        booking: booking?._id,
+        start,
+        end,
+        reservedBy: userId,
+      });
+    });
+    if (reservation) {
+      return reservation;
+    }
+  }
+
+  return null;
+};
+
+// Mark the job's reservation as in use once work starts. A job back from on_hold still has its active reservation.
+export const activateJobBay = async (jobId) => {
+  const active = await BayReservation.findOne({ job: jobId, status: "active" });
+  if (active) return active;
+
+  const reservation = await BayReservation.findOne({ job: jobId, status: "reserved" });
+  if (!reservation) return null;
+
+  reservation.status = "active";
+  if (reservation.start <= new Date()) {
+    await reservation.save();
+    return reservation;
+  }
+
+  // Work started early: bring the window forward when the bay is free until then, else keep it
+  const { locked } = await withBayLock(reservation.bay, async () => {
+    const duration = reservation.end - reservation.start;
+    const start = new Date();
+    const end = new Date(start.getTime() + duration);
+
+    const conflicts = await findConflicts(reservation.bay, start, end, jobId);
+    if (conflicts.length === 0) {
+      reservation.start = start;
+      reservation.end = end;
+    }
+    await reservation.save();
+  });
+  if (!locked) {
+    await reservation.save();
+  }
+
+  return reservation;
+};
+
+// Free the job's bay (released when the work is done, cancelled otherwise)
+export const releaseJobBays = async (jobId, status = "released") => {
+  const reservations = await BayReservation.find({ job: jobId, status: { $in: HOLDING_STATUSES } });
+  const now = new Date();
+
+  for (const reservation of reservations) {
+    reservation.status = status;
+    reservation.releasedAt = now;
+    // Give back the rest of the window when the bay is freed early
+    if (reservation.end > now && reservation.start < now) {
+      reservation.end = now;
+    }
+    await reservation.save();
+  }
+
+  return reservations.length;
+};
+
+// Occupancy of every bay on a shop-local day
+export const getBayBoard = async (date) => {
+  const dateKey = toDateKey(date || new Date());
+  const dayStart = toShopTime(dateKey, "00:00");
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+  const workStart = toShopTime(dateKey, WORKDAY_START);
+  const workEnd = toShopTime(dateKey, WORKDAY_END);
+
+  const bays = await ServiceBay.find({ status: { $ne: "inactive" } }).sort({ bayId: 1 });
+  const reservations = await BayReservation.find({
+    status: { $in: [...HOLDING_STATUSES, "released"] },
+    start: { $lt: dayEnd },
+    end: { $gt: dayStart },
+  })
+    .populate({
+      path: "job",
+      select: "jobId title category status priority booking",
+      populate: { path: "booking", select: "bookingId vehicle", populate: { path: "vehicle", select: "registrationNumber make model" } },
+    })
+    .sort({ start: 1 });
+
+  const board = bays.map(bay => {
+    const bayReservations = reservations.filter(reservation => reservation.bay.toString() === bay._id.toString());
+
+    // Reserved time inside working hours
+    const reservedMs = bayReservations.reduce((total, reservation) => {
+      const start = Math.max(reservation.start.getTime(), workStart.getTime());
+      const end = Math.min(reservation.end.getTime(), workEnd.getTime());
+      return total + Math.max(end - start, 0);
+    }, 0);
+
+    return {
+      bay: {
+        _id: bay._id,
+        bayId: bay.bayId,
+        name: bay.name,
+        type: bay.type,
+        status: bay.status,
+      },
+      reservedHours: Math.round((reservedMs / HOUR_MS) * 100) / 100,
+      occupancy: Math.round((reservedMs / (workEnd - workStart)) * 100),
+      reservations: bayReservations,
+    };
+  });
+
+  return { date: dateKey, workingHours: `${WORKDAY_START}-${WORKDAY_END}`, bays: board };
+};
+
+export default {
+  findConflicts,
+  getDefaultWindow,
+  reserveBay,
+  autoReserveBay,
+  activateJobBay,
+  releaseJobBays,
+  getBayBoard,
+};
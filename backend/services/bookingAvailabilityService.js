@@ -0,0 +1,307 @@
+import { Booking } from "../models/Booking.js";
+import { BookingSchedule } from "../models/BookingSchedule.js";
+import { BookingSlotCounter } from "../models/BookingSlotCounter.js";
+import { WaitlistEntry } from "../models/WaitlistEntry.js";
+import { createCustomError } from "../errors/custom-error.js";
+
+// Booking dates are calendar days in the shop's timezone
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || "Asia/Colombo";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+export const TIME_SLOTS = Booking.schema.path("timeSlot").enumValues;
+export const SERVICE_TYPES = Booking.schema.path("serviceType").enumValues;
+
+// YYYY-MM-DD of a date in the shop's timezone
+export const toDateKey = (date) => {
+  return new Date(date).toLocaleDateString("en-CA", { timeZone: SHOP_TIMEZONE });
+};
+
+// The moment a shop-local day and time (HH:MM) occurs
+export const toShopTime = (dateKey, time = "00:00") => {
+  const asUtc = new Date(`${dateKey}T${time}:00Z`);
+  const shopClock = new Date(asUtc.toLocaleString("en-US", { timeZone: SHOP_TIMEZONE }));
+  const utcClock = new Date(asUtc.toLocaleString("en-US", { timeZone: "UTC" }));
+
+  return new Date(asUtc.getTime() - (shopClock - utcClock));
+};
+
+const currentTime = () => {
+  return new Date().toLocaleTimeString("en-GB", { timeZone: SHOP_TIMEZONE, hour: "2-digit", minute: "2-digit", hour12: false });
+};
+
+const addDays = (dateKey, days) => {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// The schedule document, or the defaults when it was never configured
+export const getBookingSchedule = async () => {
+  return (await BookingSchedule.findOne({ key: "default" })) || new BookingSchedule();
+};
+
+// A capacity for the exact slot wins over one for the whole service type, then the default
+export const getSlotCapacity = (schedule, serviceType, timeSlot) => {
+  const slotCapacity = schedule.capacities.find(item => item.serviceType === serviceType && item.timeSlot === timeSlot);
+  if (slotCapacity) return slotCapacity.capacity;
+
+  const serviceCapacity = schedule.capacities.find(item => item.serviceType === serviceType && !item.timeSlot);
+  if (serviceCapacity) return serviceCapacity.capacity;
+
+  return schedule.defaultCapacity;
+};
+
+// Why the shop is closed on a day, or null when it is open
+export const getClosure = (schedule, dateKey) => {
+  const holiday = schedule.holidays.find(item => toDateKey(item.date) === dateKey);
+  if (holiday) {
+    return holiday.name || "Holiday";
+  }
+
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  if (schedule.closedWeekdays.includes(weekday)) {
+    return "Closed";
+  }
+
+  return null;
+};
+
+// Active bookings per "date|timeSlot|serviceType" between two days (inclusive)
+const countBookings = async (fromKey, toKey, filter = {}) => {
+  // Query one extra day on each side and bucket by the shop-local day
+  const bookings = await Booking.find({
+    ...filter,
+    status: { $nin: ["cancelled", "no_show"] },
+    scheduledDate: {
+      $gte: new Date(Date.parse(`${fromKey}T00:00:00Z`) - DAY_MS),
+      $lt: new Date(Date.parse(`${toKey}T00:00:00Z`) + 2 * DAY_MS),
+    },
+  }).select("scheduledDate timeSlot serviceType").lean();
+
+  const counts = {};
+  for (const booking of bookings) {
+    const dateKey = toDateKey(booking.scheduledDate);
+    if (dateKey < fromKey || dateKey > toKey) continue;
+
+    const key = `${dateKey}|${booking.timeSlot}|${booking.serviceType}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  return counts;
+};
+
+// Remaining capacity per day, slot and service type
+export const getAvailability = async ({ from, to, serviceType }) => {
+  for (const value of [from, to]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createCustomError("'from' and 'to' must be valid dates", 400);
+    }
+  }
+
+  const fromKey = from ? toDateKey(from) : toDateKey(new Date());
+  const toKey = to ? toDateKey(to) : addDays(fromKey, 6);
+
+  if (toKey < fromKey) {
+    throw createCustomError("'to' must not be before 'from'", 400);
+  }
+  if (addDays(fromKey, MAX_RANGE_DAYS) < toKey) {
+    throw createCustomError(`Availability can be requested for at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+  if (serviceType && !SERVICE_TYPES.includes(serviceType)) {
+    throw createCustomError("Invalid service type", 400);
+  }
+
+  const schedule = await getBookingSchedule();
+  const serviceTypes = serviceType ? [serviceType] : SERVICE_TYPES;
+  const counts = await countBookings(fromKey, toKey, serviceType ? { serviceType } : {});
+  const todayKey = toDateKey(new Date());
+  const now = currentTime();
+
+  const days = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    const closedReason = getClosure(schedule, dateKey);
+    const slots = [];
+
+    if (!closedReason && dateKey >= todayKey) {
+      for (const timeSlot of TIME_SLOTS) {
+        // Slots that already started today cannot be booked
+        if (dateKey === todayKey && timeSlot.split("-")[0] <= now) continue;
+
+        for (const type of serviceTypes) {
+          const capacity = getSlotCapacity(schedule, type, timeSlot);
+          const booked = counts[`${dateKey}|${timeSlot}|${type}`] || 0;
+
+          slots.push({
+            timeSlot,
+            serviceType: type,
+            capacity,
+            booked,
+            remaining: Math.max(capacity - booked, 0),
+          });
+        }
+      }
+    }
+
+    days.push({
+      date: dateKey,
+      closed: !!closedReason,
+      closedReason: closedReason || undefined,
+      slots,
+    });
+  }
+
+  return { from: fromKey, to: toKey, days };
+};
+
+const slotKey = (dateKey, timeSlot, serviceType) => `${dateKey}|${timeSlot}|${serviceType}`;
+
+const fullSlotError = ({ dateKey, held }, { timeSlot, serviceType }) => {
+  return createCustomError(
+    held > 0
+      ? `The ${timeSlot} slot on ${dateKey} is fully booked for ${serviceType} or held for the waitlist`
+      : `The ${timeSlot} slot on ${dateKey} is fully booked for ${serviceType}`,
+    409
+  );
+};
+
+// Places in a slot held by open waitlist offers, except the offer of the entry being booked
+export const countOpenOffers = ({ dateKey, timeSlot, serviceType, excludeEntryId }) => {
+  const start = new Date(`${dateKey}T00:00:00.000Z`);
+  const filter = {
+    status: "offered",
+    serviceType,
+    "offer.scheduledDate": { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+    "offer.timeSlot": timeSlot,
+  };
+  if (excludeEntryId) {
+    filter._id = { $ne: excludeEntryId };
+  }
+
+  return WaitlistEntry.countDocuments(filter);
+};
+
+// Date, slot, opening and capacity checks. Returns { error } or { dateKey, capacity, held }.
+const checkSlot = async ({ scheduledDate, timeSlot, serviceType, waitlistEntryId }) => {
+  const date = new Date(scheduledDate);
+  if (isNaN(date.getTime())) {
+    return { error: createCustomError("Invalid scheduled date", 400) };
+  }
+  if (!TIME_SLOTS.includes(timeSlot)) {
+    return { error: createCustomError("Invalid time slot", 400) };
+  }
+  if (!SERVICE_TYPES.includes(serviceType)) {
+    return { error: createCustomError("Invalid service type", 400) };
+  }
+
+  const dateKey = toDateKey(date);
+  const todayKey = toDateKey(new Date());
+  if (dateKey < todayKey || (dateKey === todayKey && timeSlot.split("-")[0] <= currentTime())) {
+    return { error: createCustomError("Bookings cannot be made for a date or time slot in the past", 400) };
+  }
+
+  const schedule = await getBookingSchedule();
+
+  const closedReason = getClosure(schedule, dateKey);
+  if (closedReason) {
+    return { error: createCustomError(`The shop is closed on ${dateKey} (${closedReason})`, 400) };
+  }
+
+  const held = await countOpenOffers({ dateKey, timeSlot, serviceType, excludeEntryId: waitlistEntryId });
+
+  return { dateKey, capacity: getSlotCapacity(schedule, serviceType, timeSlot), held };
+};
+
+// Check a booking slot. Returns an error to pass to next(), or null when the slot can be booked.
+// Places held by open waitlist offers count as taken, except for the entry holding the offer (waitlistEntryId).
+// Only a check: use reserveBookingSlot (or createBookingInSlot) to actually take the place.
+export const validateBookingSlot = async ({ scheduledDate, timeSlot, serviceType, excludeBookingId, waitlistEntryId }) => {
+  const slot = await checkSlot({ scheduledDate, timeSlot, serviceType, waitlistEntryId });
+  if (slot.error) {
+    return slot.error;
+  }
+
+  const filter = { timeSlot, serviceType };
+  if (excludeBookingId) {
+    filter._id = { $ne: excludeBookingId };
+  }
+  const counts = await countBookings(slot.dateKey, slot.dateKey, filter);
+  const booked = counts[slotKey(slot.dateKey, timeSlot, serviceType)] || 0;
+
+  if (booked + slot.held >= slot.capacity) {
+    return fullSlotError(slot, { timeSlot, serviceType });
+  }
+
+  return null;
+};
+
+// The first time a slot is reserved its counter starts from the bookings already in it
+const seedSlotCounter = async ({ key, dateKey, timeSlot, serviceType }) => {
+  if (await BookingSlotCounter.exists({ key })) return;
+
+  const counts = await countBookings(dateKey, dateKey, { timeSlot, serviceType });
+  try {
+    await BookingSlotCounter.create({ key, date: dateKey, timeSlot, serviceType, booked: counts[key] || 0 });
+  } catch (error) {
+    // Seeded by a concurrent request
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Atomically take a place in a slot. Returns an error to pass to next(), or null when the place is taken.
+// The place has to be given back with releaseBookingSlot when the booking is not made or leaves the slot.
+export const reserveBookingSlot = async ({ scheduledDate, timeSlot, serviceType, waitlistEntryId }) => {
+  const slot = await checkSlot({ scheduledDate, timeSlot, serviceType, waitlistEntryId });
+  if (slot.error) {
+    return slot.error;
+  }
+
+  const key = slotKey(slot.dateKey, timeSlot, serviceType);
+  await seedSlotCounter({ key, dateKey: slot.dateKey, timeSlot, serviceType });
+
+  const counter = await BookingSlotCounter.findOneAndUpdate(
+    { key, booked: { $lt: slot.capacity - slot.held } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+  if (!counter) {
+    return fullSlotError(slot, { timeSlot, serviceType });
+  }
+
+  return null;
+};
+
+// Give a place back, after a cancellation, no-show or move to another slot
+export const releaseBookingSlot = async ({ scheduledDate, timeSlot, serviceType }) => {
+  const key = slotKey(toDateKey(scheduledDate), timeSlot, serviceType);
+  await BookingSlotCounter.updateOne({ key, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+// Take a place and create the booking in it, giving the place back if the insert fails.
+// Returns { booking } or { error }.
+export const createBookingInSlot = async (bookingData, { waitlistEntryId } = {}) => {
+  const slotError = await reserveBookingSlot({ ...bookingData, waitlistEntryId });
+  if (slotError) {
+    return { error: slotError };
+  }
+
+  try {
+    const booking = await Booking.create(bookingData);
+    return { booking };
+  } catch (error) {
+    await releaseBookingSlot(bookingData);
+    throw error;
+  }
+};
+
+export default {
+  getBookingSchedule,
+  getSlotCapacity,
+  getClosure,
+  getAvailability,
+  countOpenOffers,
+  validateBookingSlot,
+  reserveBookingSlot,
+  releaseBookingSlot,
+  createBookingInSlot,
+  toDateKey,
+  toShopTime,
+};
@@ -0,0 +1,356 @@
+import crypto from "crypto";
+import { BookingRequest } from "../models/BookingRequest.js";
+import { Vehicle } from "../models/Vehicle.js";
+import User from "../models/User.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { sendTemplatedEmail, frontendLink, formatDateForUser } from "./email/index.js";
+import { sendTemplatedSms } from "./sms/index.js";
+import { validateBookingSlot, createBookingInSlot } from "./bookingAvailabilityService.js";
+import { getDepositRequirement } from "./noShowService.js";
+import { normalizePhoneNumber } from "../utils/phone.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long the emailed/texted confirmation link stays valid
+const CONFIRM_HOURS = Number(process.env.BOOKING_REQUEST_CONFIRM_HOURS) || 24;
+
+// Open requests allowed per phone number, on top of the per-IP rate limit
+const MAX_OPEN_PER_PHONE = 3;
+
+const OPEN_STATUSES = ["unconfirmed", "confirmed"];
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Prospects have no account yet, so messages go to the contact details on the request
+const toRecipient = (request) => ({
+  email: request.contact.email,
+  profile: { firstName: request.contact.firstName, phoneNumber: request.contact.phoneNumber },
+  preferences: { language: request.contact.language },
+});
+
+const describeVehicle = (vehicle) => {
+  return [vehicle.make, vehicle.model, `(${vehicle.registrationNumber})`].filter(Boolean).join(" ");
+};
+
+// Store a request from the public form and send its confirmation link.
+// Returns { request } or { error }.
+export const submitBookingRequest = async (data, { ipAddress } = {}) => {
+  const { contact, vehicle, serviceType, preferredDate, timeSlot, description } = data;
+
+  if (!contact?.firstName || !contact?.lastName || !contact?.phoneNumber || !vehicle?.registrationNumber) {
+    return { error: createCustomError("Name, phone number and vehicle registration are required", 400) };
+  }
+  if (!serviceType || !preferredDate || !timeSlot) {
+    return { error: createCustomError("Service type, preferred date and time slot are required", 400) };
+  }
+
+  const slotError = await validateBookingSlot({ scheduledDate: preferredDate, timeSlot, serviceType });
+  if (slotError) {
+    return { error: slotError };
+  }
+
+  const openRequests = await BookingRequest.countDocuments({
+    "contact.phoneNumber": normalizePhoneNumber(contact.phoneNumber),
+    status: { $in: OPEN_STATUSES },
+  });
+  if (openRequests >= MAX_OPEN_PER_PHONE) {
+    return { error: createCustomError("There are already open booking requests for this phone number", 429) };
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const channel = contact.email ? "email" : "sms";
+
+  const request = await BookingRequest.create({
+    contact: {
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      email: contact.email,
+      phoneNumber: contact.phoneNumber,
+      nic: contact.nic,
+      language: contact.language,
+    },
+    vehicle: {
+      registrationNumber: vehicle.registrationNumber,
+      make: vehicle.make,
+      model: vehicle.model,
+      year: vehicle.year,
+    },
+    serviceType,
+    preferredDate: new Date(preferredDate),
+    timeSlot,
+    description,
+    confirmation: {
+      tokenHash: hashToken(token),
+      channel,
+      expiresAt: new Date(Date.now() + CONFIRM_HOURS * HOUR_MS),
+    },
+    ipAddress,
+  });
+
+  const recipient = toRecipient(request);
+  const templateData = {
+    requestId: request.requestId,
+    serviceType,
+    vehicle: describeVehicle(request.vehicle),
+    date: formatDateForUser(request.preferredDate, recipient),
+    timeSlot,
+    link: frontendLink(`/booking-requests/confirm/${token}`),
+    expiresInHours: CONFIRM_HOURS,
+  };
+
+  const result = channel === "email"
+    ? await sendTemplatedEmail(recipient, "bookingRequestConfirmation", templateData)
+    : await sendTemplatedSms(recipient, "bookingRequestConfirmation", templateData);
+
+  // A request nobody can confirm is useless, let the customer try again
+  if (!result.sent) {
+    await BookingRequest.deleteOne({ _id: request._id });
+    return { error: createCustomError("Failed to send the confirmation link, please try again", 502) };
+  }
+
+  return { request };
+};
+
+// Confirm a request through its link, moving it into the staff queue.
+// Returns { request } or { error }.
+export const confirmBookingRequest = async (token) => {
+  const request = await BookingRequest.findOne({
+    "confirmation.tokenHash": hashToken(token),
+    status: "unconfirmed",
+  });
+  if (!request) {
+    return { error: createCustomError("Invalid or already used confirmation link", 404) };
+  }
+  if (request.confirmation.expiresAt <= new Date()) {
+    return { error: createCustomError("This confirmation link has expired, please submit a new request", 400) };
+  }
+
+  request.status = "confirmed";
+  request.confirmation.confirmedAt = new Date();
+  request.confirmation.tokenHash = undefined;
+  await request.save();
+
+  return { request };
+};
+
+// Existing customers and vehicle matching the request's phone number, NIC, email and registration
+export const findMatches = async (request) => {
+  const { contact } = request;
+
+  const conditions = [{ "profile.phoneNumber": normalizePhoneNumber(contact.phoneNumber) }];
+  if (contact.nic) conditions.push({ "profile.nic": contact.nic });
+  if (contact.email) conditions.push({ email: contact.email });
+
+  const users = await User.find({ role: "customer", $or: conditions })
+    .select("userId email status profile.firstName profile.lastName profile.phoneNumber profile.nic");
+
+  const vehicle = await Vehicle.findOne({ registrationNumber: request.vehicle.registrationNumber })
+    .populate("owner", "userId profile.firstName profile.lastName");
+
+  const customers = users.map(user => {
+    const matchedOn = [];
+    if (user.profile.phoneNumber === normalizePhoneNumber(contact.phoneNumber)) matchedOn.push("phone");
+    if (contact.nic && user.profile.nic === contact.nic) matchedOn.push("nic");
+    if (contact.email && user.email === contact.email) matchedOn.push("email");
+    if (vehicle?.owner && vehicle.owner._id.toString() === user._id.toString()) matchedOn.push("registration");
+
+    return { customer: user, matchedOn };
+  });
+
+  // The registered owner is a match even when the contact details differ
+  if (vehicle?.owner && !customers.some(match => match.customer._id.toString() === vehicle.owner._id.toString())) {
+    customers.push({ customer: vehicle.owner, matchedOn: ["registration"] });
+  }
+
+  customers.sort((a, b) => b.matchedOn.length - a.matchedOn.length);
+
+  return { customers, vehicle };
+};
+
+// Existing customer, or a new customer account from the request and the details staff add
+const resolveCustomer = async (request, { customerId, customer }) => {
+  if (customerId) {
+    const existing = await User.findById(customerId);
+    if (!existing || existing.role !== "customer") {
+      return { error: createCustomError("Customer not found", 404) };
+    }
+    return { customer: existing, created: false };
+  }
+
+  if (!customer) {
+    return { error: createCustomError("Pick an existing customer or provide the details for a new one", 400) };
+  }
+
+  const email = customer.email || request.contact.email;
+  const profile = {
+    firstName: request.contact.firstName,
+    lastName: request.contact.lastName,
+    phoneNumber: request.contact.phoneNumber,
+    nic: request.contact.nic,
+    ...customer.profile,
+  };
+
+  const conditions = [email && { email }, profile.nic && { "profile.nic": profile.nic }].filter(Boolean);
+  const duplicate = conditions.length > 0 ? await User.findOne({ $or: conditions }) : null;
+  if (duplicate) {
+    const field = duplicate.email === email ? "email" : "NIC";
+    return { error: createCustomError(`User with this ${field} already exists, match the request to them instead`, 400) };
+  }
+
+  // The customer sets their own password through "forgot password"
+  const created = await User.create({
+    email,
+    role: "customer",
+    password: crypto.randomBytes(24).toString("hex"),
+    profile,
+    customerDetails: customer.customerDetails,
+    preferences: { ...customer.preferences, language: request.contact.language },
+  });
+
+  return { customer: created, created: true };
+};
+
+// The customer's vehicle with the request's registration, created when it is new
+const resolveVehicle = async (request, customer, { vehicleId, vehicle }) => {
+  const existing = vehicleId
+    ? await Vehicle.findById(vehicleId)
+    : await Vehicle.findOne({ registrationNumber: request.vehicle.registrationNumber });
+
+  if (vehicleId && !existing) {
+    return { error: createCustomError("Vehicle not found", 404) };
+  }
+  if (existing) {
+    if (existing.owner.toString() !== customer._id.toString()) {
+      return { error: createCustomError(`Vehicle ${existing.registrationNumber} is registered to another customer`, 409) };
+    }
+    return { vehicle: existing, created: false };
+  }
+
+  const created = await Vehicle.create({
+    ...request.vehicle.toObject(),
+    ...vehicle,
+    registrationNumber: request.vehicle.registrationNumber,
+    owner: customer._id,
+  });
+
+  return { vehicle: created, created: true };
+};
+
+// Book a confirmed request for an existing or new customer and vehicle.
+// Returns { booking, created } or { error }.
+export const convertBookingRequest = async (request, { customerId, vehicleId, customer, vehicle, scheduledDate, timeSlot, userId }) => {
+  if (request.status !== "confirmed") {
+    return { error: createCustomError(`Cannot book a request that is ${request.status}`, 400) };
+  }
+
+  const date = scheduledDate || request.preferredDate;
+  const slot = timeSlot || request.timeSlot;
+
+  // Check the slot before any records are created
+  const slotError = await validateBookingSlot({ scheduledDate: date, timeSlot: slot, serviceType: request.serviceType });
+  if (slotError) {
+    return { error: slotError };
+  }
+
+  // Claim the request so two staff members cannot book it at the same time
+  const claimed = await BookingRequest.findOneAndUpdate(
+    { _id: request._id, status: "confirmed" },
+    { status: "processing" }
+  );
+  if (!claimed) {
+    return { error: createCustomError("This request is already being booked by someone else", 409) };
+  }
+
+  // Records created for this request are removed again, and the request put back in the queue,
+  // when it cannot be booked
+  let customerResult = null;
+  let vehicleResult = null;
+  const undo = async () => {
+    if (vehicleResult?.created) await Vehicle.findByIdAndDelete(vehicleResult.vehicle._id);
+    if (customerResult?.created) await User.findByIdAndDelete(customerResult.customer._id);
+    await BookingRequest.updateOne({ _id: request._id, status: "processing" }, { status: "confirmed" });
+  };
+
+  let booking;
+  try {
+    customerResult = await resolveCustomer(request, { customerId, customer });
+    if (customerResult.error) {
+      await undo();
+      return { error: customerResult.error };
+    }
+
+    vehicleResult = await resolveVehicle(request, customerResult.customer, { vehicleId, vehicle });
+    if (vehicleResult.error) {
+      await undo();
+      return { error: vehicleResult.error };
+    }
+
+    const deposit = await getDepositRequirement(customerResult.customer);
+
+    const result = await createBookingInSlot({
+      customer: customerResult.customer._id,
+      vehicle: vehicleResult.vehicle._id,
+      serviceType: request.serviceType,
+      scheduledDate: date,
+      timeSlot: slot,
+      description: request.description,
+      deposit: deposit.required ? { required: true, amount: deposit.amount } : undefined,
+      createdBy: userId,
+      notes: [{
+        note: `Booked from online request ${request.requestId}`,
+        createdBy: userId,
+        createdAt: new Date()
+      }]
+    });
+    if (result.error) {
+      await undo();
+      return { error: result.error };
+    }
+    booking = result.booking;
+  } catch (error) {
+    await undo();
+    throw error;
+  }
+
+  request.status = "booked";
+  request.customer = customerResult.customer._id;
+  request.matchedVehicle = vehicleResult.vehicle._id;
+  request.booking = booking._id;
+  request.processedBy = userId;
+  request.processedAt = new Date();
+  await request.save();
+
+  await booking.populate("customer vehicle");
+  await sendTemplatedEmail(booking.customer, "bookingConfirmation", {
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    vehicle: describeVehicle(booking.vehicle),
+    date: formatDateForUser(booking.scheduledDate, booking.customer),
+    timeSlot: booking.timeSlot,
+  });
+
+  return {
+    booking,
+    created: { customer: customerResult.created, vehicle: vehicleResult.created },
+  };
+};
+
+// Expire requests whose confirmation link was never used
+export const expireBookingRequests = async () => {
+  const { modifiedCount } = await BookingRequest.updateMany(
+    { status: "unconfirmed", "confirmation.expiresAt": { $lte: new Date() } },
+    { status: "expired", $unset: { "confirmation.tokenHash": 1 } }
+  );
+
+  return { expired: modifiedCount };
+};
+
+export default {
+  submitBookingRequest,
+  confirmBookingRequest,
+  findMatches,
+  convertBookingRequest,
+  expireBookingRequests,
+};
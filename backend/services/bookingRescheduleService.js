@@ -0,0 +1,81 @@
+import { createCustomError } from "../errors/custom-error.js";
+import { getBookingSchedule, reserveBookingSlot, releaseBookingSlot, toDateKey } from "./bookingAvailabilityService.js";
+import { offerFreedSlot } from "./waitlistService.js";
+
+// Only bookings that have not started can be moved
+const RESCHEDULABLE_STATUSES = ["pending"];
+
+// Move a booking to another day/slot and record the change.
+// Returns an error to pass to next(), or null when the booking was rescheduled.
+export const rescheduleBooking = async (booking, { scheduledDate, timeSlot, reason, requestedBy, userId }) => {
+  if (!scheduledDate && !timeSlot) {
+    return createCustomError("A new scheduled date or time slot is required", 400);
+  }
+
+  if (!reason || !reason.trim()) {
+    return createCustomError("A reason is required to reschedule a booking", 400);
+  }
+
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    return createCustomError(`Cannot reschedule a booking that is ${booking.status}`, 400);
+  }
+
+  const newDate = scheduledDate ? new Date(scheduledDate) : booking.scheduledDate;
+  const newTimeSlot = timeSlot || booking.timeSlot;
+
+  if (toDateKey(newDate) === toDateKey(booking.scheduledDate) && newTimeSlot === booking.timeSlot) {
+    return createCustomError("The booking is already scheduled for this date and time slot", 400);
+  }
+
+  // Only moves the customer asked for count towards the limit; the shop can always move a booking
+  if (requestedBy === "customer") {
+    const schedule = await getBookingSchedule();
+    const customerReschedules = booking.rescheduleHistory.filter(entry => entry.requestedBy === "customer").length;
+    if (customerReschedules >= schedule.maxReschedules) {
+      return createCustomError(`This booking has reached the limit of ${schedule.maxReschedules} reschedules`, 400);
+    }
+  }
+
+  // Take the new place before giving up the old one
+  const newSlot = { scheduledDate: newDate, timeSlot: newTimeSlot, serviceType: booking.serviceType };
+  const slotError = await reserveBookingSlot(newSlot);
+  if (slotError) {
+    return slotError;
+  }
+
+  booking.rescheduleHistory.push({
+    fromDate: booking.scheduledDate,
+    fromTimeSlot: booking.timeSlot,
+    toDate: newDate,
+    toTimeSlot: newTimeSlot,
+    reason,
+    requestedBy,
+    rescheduledBy: userId,
+    rescheduledAt: new Date(),
+  });
+
+  booking.notes.push({
+    note: `Rescheduled from ${toDateKey(booking.scheduledDate)} ${booking.timeSlot} to ${toDateKey(newDate)} ${newTimeSlot}: ${reason}`,
+    createdBy: userId,
+    createdAt: new Date()
+  });
+
+  const freedSlot = { scheduledDate: booking.scheduledDate, timeSlot: booking.timeSlot, serviceType: booking.serviceType };
+
+  booking.scheduledDate = newDate;
+  booking.timeSlot = newTimeSlot;
+  try {
+    await booking.save();
+  } catch (error) {
+    await releaseBookingSlot(newSlot);
+    throw error;
+  }
+
+  // The old place can go to someone on the waitlist
+  await releaseBookingSlot(freedSlot);
+  await offerFreedSlot(freedSlot);
+
+  return null;
+};
+
+export default rescheduleBooking;
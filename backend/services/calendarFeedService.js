@@ -0,0 +1,180 @@
+import crypto from "crypto";
+import { Booking } from "../models/Booking.js";
+import Job from "../models/Job.js";
+import { CalendarFeed } from "../models/CalendarFeed.js";
+import { hasPermission } from "./permissionService.js";
+import { toDateKey, toShopTime } from "./bookingAvailabilityService.js";
+import { renderCalendar } from "../utils/icalendar.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feeds cover recent history and the months ahead
+const PAST_DAYS = 30;
+const FUTURE_DAYS = 180;
+
+const SCOPE_NAMES = {
+  assignments: "My PitStop assignments",
+  bookings: "My PitStop bookings",
+  shop: "PitStop workshop",
+};
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Feed scopes a user may subscribe to (the user needs role and employeeDetails.department loaded)
+export const getAllowedScopes = async (user) => {
+  const scopes = [];
+  const context = { department: user.employeeDetails?.department };
+
+  if (user.role === "customer") {
+    scopes.push("bookings");
+  }
+  if (await hasPermission(user.role, "calendar.assignments", context)) {
+    scopes.push("assignments");
+  }
+  if (await hasPermission(user.role, "calendar.shop", context)) {
+    scopes.push("shop");
+  }
+
+  return scopes;
+};
+
+// Create a feed, replacing the user's previous feed of the same scope. The token is only returned here.
+export const createFeed = async (user, scope) => {
+  await CalendarFeed.updateMany(
+    { user: user._id, scope, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const feed = await CalendarFeed.create({ user: user._id, scope, tokenHash: hashToken(token) });
+
+  return { feed, token };
+};
+
+export const findFeedByToken = async (token) => {
+  return CalendarFeed.findOne({ tokenHash: hashToken(token), revokedAt: { $exists: false } })
+    .populate("user", "role status preferences employeeDetails.department");
+};
+
+// Start and end of a booking's slot
+const slotTimes = (booking) => {
+  const [start, end] = booking.timeSlot.split("-");
+  const dateKey = toDateKey(booking.scheduledDate);
+
+  return {
+    start: toShopTime(dateKey, start),
+    end: toShopTime(dateKey, end),
+  };
+};
+
+const personName = (user) => {
+  return user?.profile ? `${user.profile.firstName} ${user.profile.lastName}` : "";
+};
+
+const bookingEvent = (booking, { staff }) => {
+  const vehicle = booking.vehicle || {};
+  const details = [
+    `Booking: ${booking.bookingId}`,
+    `Status: ${booking.status}`,
+    `Vehicle: ${vehicle.make} ${vehicle.model} (${vehicle.registrationNumber})`,
+  ];
+  if (staff && booking.customer) details.push(`Customer: ${personName(booking.customer)}`);
+  if (staff && booking.assignedInspector) details.push(`Inspector: ${personName(booking.assignedInspector)}`);
+  if (booking.description) details.push("", booking.description);
+
+  return {
+    uid: `booking-${booking._id}@pitstop`,
+    ...slotTimes(booking),
+    summary: `${vehicle.registrationNumber} - ${booking.serviceType} (${booking.bookingId})`,
+    description: details.join("\n"),
+    lastModified: booking.updatedAt,
+    cancelled: ["cancelled", "no_show"].includes(booking.status),
+  };
+};
+
+const jobEvent = (job) => {
+  const booking = job.booking;
+  const vehicle = booking.vehicle || {};
+  const details = [
+    `Job: ${job.jobId}`,
+    `Booking: ${booking.bookingId}`,
+    `Status: ${job.status}`,
+    `Estimated hours: ${job.estimatedHours}`,
+    `Vehicle: ${vehicle.make} ${vehicle.model} (${vehicle.registrationNumber})`,
+  ];
+  if (job.description) details.push("", job.description);
+
+  return {
+    uid: `job-${job._id}@pitstop`,
+    ...slotTimes(booking),
+    summary: `${vehicle.registrationNumber} - ${job.title} (${job.jobId})`,
+    description: details.join("\n"),
+    lastModified: job.updatedAt,
+    cancelled: job.status === "cancelled",
+  };
+};
+
+const BOOKING_POPULATE = [
+  { path: "vehicle", select: "registrationNumber make model" },
+  { path: "customer", select: "profile.firstName profile.lastName" },
+  { path: "assignedInspector", select: "profile.firstName profile.lastName" },
+];
+
+// Events of a feed
+const getFeedEvents = async (feed) => {
+  const now = Date.now();
+  const window = {
+    $gte: new Date(now - PAST_DAYS * DAY_MS),
+    $lte: new Date(now + FUTURE_DAYS * DAY_MS),
+  };
+  const userId = feed.user._id;
+
+  if (feed.scope === "bookings") {
+    const bookings = await Booking.find({ customer: userId, scheduledDate: window })
+      .populate(BOOKING_POPULATE[0]);
+    return bookings.map(booking => bookingEvent(booking, { staff: false }));
+  }
+
+  if (feed.scope === "shop") {
+    const bookings = await Booking.find({ scheduledDate: window }).populate(BOOKING_POPULATE);
+    return bookings.map(booking => bookingEvent(booking, { staff: true }));
+  }
+
+  // Assignments: bookings to inspect and jobs to work on
+  const bookings = await Booking.find({ assignedInspector: userId, scheduledDate: window })
+    .populate(BOOKING_POPULATE);
+
+  // Jobs are shown on their booking's slot, so only jobs of bookings in the window are loaded
+  const bookingsInWindow = await Booking.distinct("_id", { scheduledDate: window });
+  const jobs = await Job.find({
+    booking: { $in: bookingsInWindow },
+    $or: [{ "assignedLabourers.labourer": userId }, { inspectedBy: userId }],
+  })
+    .populate({
+      path: "booking",
+      select: "bookingId scheduledDate timeSlot vehicle",
+      populate: { path: "vehicle", select: "registrationNumber make model" },
+    });
+
+  return [
+    ...bookings.map(booking => bookingEvent(booking, { staff: true })),
+    ...jobs.filter(job => job.booking).map(job => jobEvent(job)),
+  ];
+};
+
+// Render a feed as an .ics calendar in the feed owner's timezone
+export const renderFeed = async (feed) => {
+  const timezone = feed.user.preferences?.timezone || "Asia/Colombo";
+  const events = await getFeedEvents(feed);
+
+  return renderCalendar({ name: SCOPE_NAMES[feed.scope], timezone, events });
+};
+
+export default {
+  getAllowedScopes,
+  createFeed,
+  findFeedByToken,
+  renderFeed,
+};
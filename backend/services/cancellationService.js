@@ -0,0 +1,172 @@
+import { Booking } from "../models/Booking.js";
+import { Invoice } from "../models/Invoice.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getBookingSchedule, releaseBookingSlot, toDateKey, toShopTime } from "./bookingAvailabilityService.js";
+import { offerFreedSlot } from "./waitlistService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CANCELLATION_REASONS = Booking.schema.path("cancellation.reasonCode").enumValues;
+
+// Fees only apply before the vehicle is in the shop
+const FEE_STATUSES = ["pending"];
+
+// Fee for cancelling a booking now under the shop's cancellation policy
+export const quoteCancellationFee = async (booking, reasonCode) => {
+  const schedule = await getBookingSchedule();
+  const policy = schedule.cancellationPolicy;
+
+  const slotStart = toShopTime(toDateKey(booking.scheduledDate), booking.timeSlot.split("-")[0]);
+  const hoursBeforeSlot = Math.round(((slotStart - Date.now()) / HOUR_MS) * 10) / 10;
+
+  const quote = { hoursBeforeSlot, freeUntilHours: policy.freeUntilHours, fee: 0 };
+
+  if (!FEE_STATUSES.includes(booking.status)) {
+    return { ...quote, exemption: "vehicle already in the shop" };
+  }
+  if (reasonCode && policy.exemptReasons.includes(reasonCode)) {
+    return { ...quote, exemption: `${reasonCode} is exempt` };
+  }
+  if (hoursBeforeSlot >= policy.freeUntilHours) {
+    return { ...quote, exemption: `free until ${policy.freeUntilHours}h before the slot` };
+  }
+
+  const serviceFee = policy.fees.find(item => item.serviceType === booking.serviceType);
+  return { ...quote, fee: serviceFee ? serviceFee.fee : policy.defaultFee };
+};
+
+// Invoice the customer for a late cancellation
+const createFeeInvoice = (booking, { fee, hoursBeforeSlot }, userId) => {
+  const notice = hoursBeforeSlot < 0
+    ? "after the slot started"
+    : `${hoursBeforeSlot}h before the slot`;
+
+  return Invoice.create({
+    booking: booking._id,
+    customer: booking.customer,
+    type: "cancellation_fee",
+    items: [{
+      description: `Late cancellation fee - ${booking.serviceType} booking ${booking.bookingId} (cancelled ${notice})`,
+      quantity: 1,
+      unitPrice: fee,
+      total: fee,
+    }],
+    subtotal: fee,
+    total: fee,
+    status: "pending",
+    createdBy: userId,
+  });
+};
+
+// Cancel a booking with a reason code, charging the policy fee unless waived.
+// Returns { booking, invoice, waitlistOffers } or { error }.
+export const cancelWithPolicy = async (booking, { reasonCode, reason, userId, waiveFee = false }) => {
+  if (!reasonCode) {
+    return { error: createCustomError(`Cancellation reason code is required (${CANCELLATION_REASONS.join(", ")})`, 400) };
+  }
+  if (!CANCELLATION_REASONS.includes(reasonCode)) {
+    return { error: createCustomError(`Invalid cancellation reason code. Use one of: ${CANCELLATION_REASONS.join(", ")}`, 400) };
+  }
+  if (reasonCode === "other" && !reason) {
+    return { error: createCustomError("Please describe the reason when using the 'other' code", 400) };
+  }
+
+  const quote = await quoteCancellationFee(booking, reasonCode);
+  const fee = waiveFee ? 0 : quote.fee;
+
+  booking.status = "cancelled";
+  booking.cancellation = {
+    reasonCode,
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy: userId,
+    hoursBeforeSlot: quote.hoursBeforeSlot,
+    fee,
+    feeWaived: waiveFee && quote.fee > 0,
+  };
+
+  let invoice = null;
+  if (fee > 0) {
+    invoice = await createFeeInvoice(booking, quote, userId);
+    booking.cancellation.invoice = invoice._id;
+  }
+
+  let note = `Booking cancelled (${reasonCode})${reason ? `: ${reason}` : ""}`;
+  if (fee > 0) note += `. Cancellation fee of LKR ${fee} invoiced as ${invoice.invoiceId}`;
+  if (booking.cancellation.feeWaived) note += `. Cancellation fee of LKR ${quote.fee} waived`;
+
+  booking.notes.push({
+    note,
+    createdBy: userId,
+    createdAt: new Date()
+  });
+
+  // Without the cancellation saved the fee invoice has nothing to stand for
+  try {
+    await booking.save();
+  } catch (error) {
+    if (invoice) await Invoice.findByIdAndDelete(invoice._id);
+    throw error;
+  }
+
+  // Offer the freed place to the waitlist
+  await releaseBookingSlot(booking);
+  const waitlistOffers = await offerFreedSlot(booking);
+
+  return { booking, invoice, waitlistOffers };
+};
+
+// Cancellations by reason, late cancellations and fees for the booking stats
+export const getCancellationStats = async () => {
+  const byReason = await Booking.aggregate([
+    { $match: { status: "cancelled" } },
+    {
+      $group: {
+        _id: { $ifNull: ["$cancellation.reasonCode", "uncoded"] },
+        count: { $sum: 1 },
+        fees: { $sum: { $ifNull: ["$cancellation.fee", 0] } },
+        avgHoursBeforeSlot: { $avg: "$cancellation.hoursBeforeSlot" },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+
+  const [totals] = await Booking.aggregate([
+    { $match: { status: "cancelled" } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        charged: { $sum: { $cond: [{ $gt: ["$cancellation.fee", 0] }, 1, 0] } },
+        waived: { $sum: { $cond: ["$cancellation.feeWaived", 1, 0] } },
+        feesCharged: { $sum: { $ifNull: ["$cancellation.fee", 0] } },
+      },
+    },
+  ]);
+
+  const paidFees = await Invoice.aggregate([
+    { $match: { type: "cancellation_fee", status: "paid" } },
+    { $group: { _id: null, total: { $sum: "$total" } } },
+  ]);
+
+  return {
+    totalCancellations: totals?.total || 0,
+    feesChargedCount: totals?.charged || 0,
+    feesWaivedCount: totals?.waived || 0,
+    feesCharged: totals?.feesCharged || 0,
+    feesCollected: paidFees[0]?.total || 0,
+    byReason: byReason.map(item => ({
+      reasonCode: item._id,
+      count: item.count,
+      fees: item.fees,
+      avgHoursBeforeSlot: item.avgHoursBeforeSlot === null ? null : Math.round(item.avgHoursBeforeSlot * 10) / 10,
+    })),
+  };
+};
+
+export default {
+  CANCELLATION_REASONS,
+  quoteCancellationFee,
+  cancelWithPolicy,
+  getCancellationStats,
+};
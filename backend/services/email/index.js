@@ -0,0 +1,112 @@
+import templates from "./templates.js";
+import createSmtpTransport from "./transports/smtpTransport.js";
+import createOutboxTransport from "./transports/outboxTransport.js";
+
+// A transport is any object with a name and an async send(message) method
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const transportName = process.env.EMAIL_TRANSPORT || "outbox";
+    const factory = transportFactories[transportName];
+
+    if (!factory) {
+      throw new Error(`Unknown email transport: ${transportName}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+};
+
+// Replace the active transport (e.g. with a custom provider)
+export const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const escapeHtml = (value) => {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+// Render the plain text body as simple HTML with clickable links
+const textToHtml = (text) => {
+  const body = escapeHtml(text)
+    .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>')
+    .replace(/\n/g, "<br>");
+
+  return `<div style="font-family: Arial, sans-serif; font-size: 14px;">${body}</div>`;
+};
+
+// Build an absolute link to the frontend
+export const frontendLink = (pathname) => {
+  return `${process.env.FRONTEND_URL || "http://localhost:3000"}${pathname}`;
+};
+
+// Format a date in the user's timezone for use in templates
+export const formatDateForUser = (date, user) => {
+  return new Date(date).toLocaleDateString("en-GB", {
+    timeZone: user?.preferences?.timezone || "Asia/Colombo",
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+};
+
+// Send a raw email through the configured transport
+export const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.EMAIL_FROM || "PitStop <no-reply@pitstop.lk>",
+    to,
+    subject,
+    text,
+    html: html || textToHtml(text),
+  });
+};
+
+// Send a templated email to a user in their preferred language.
+// Delivery problems are logged and never fail the calling request.
+export const sendTemplatedEmail = async (user, templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  if (!template.transactional && user.preferences?.notifications?.email === false) {
+    return { sent: false, reason: "opted_out" };
+  }
+
+  const content = template[user.preferences?.language] || template.en;
+  const templateData = { name: user.profile?.firstName || "Customer", ...data };
+
+  try {
+    const result = await sendEmail({
+      to: user.email,
+      subject: content.subject(templateData),
+      text: content.text(templateData),
+    });
+
+    return { sent: true, ...result };
+  } catch (error) {
+    console.error(`Failed to send ${templateName} email to ${user.email}:`, error.message);
+    return { sent: false, reason: "error", error: error.message };
+  }
+};
+
+export default {
+  sendEmail,
+  sendTemplatedEmail,
+  setTransport,
+  frontendLink,
+  formatDateForUser,
+};
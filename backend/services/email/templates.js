@@ -0,0 +1,170 @@
+// Email templates, one entry per message type with a version per language (en, si, ta).
+// Transactional messages (account security) are sent even if the user opted out of email notifications.
+
+const emailVerification = {
+  transactional: true,
+  en: {
+    subject: () => "Verify your email - PitStop",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nPlease verify your email by clicking the link below:\n${link}\n\nThis link expires in 24 hours.`,
+  },
+  si: {
+    subject: () => "ඔබගේ ඊමේල් ලිපිනය තහවුරු කරන්න - PitStop",
+    text: ({ name, link }) =>
+      `ආයුබෝවන් ${name},\n\nපහත සබැඳිය ක්ලික් කර ඔබගේ ඊමේල් ලිපිනය තහවුරු කරන්න:\n${link}\n\nමෙම සබැඳිය පැය 24 කින් කල් ඉකුත් වේ.`,
+  },
+  ta: {
+    subject: () => "உங்கள் மின்னஞ்சலை உறுதிப்படுத்தவும் - PitStop",
+    text: ({ name, link }) =>
+      `வணக்கம் ${name},\n\nகீழே உள்ள இணைப்பைக் கிளிக் செய்து உங்கள் மின்னஞ்சலை உறுதிப்படுத்தவும்:\n${link}\n\nஇந்த இணைப்பு 24 மணி நேரத்தில் காலாவதியாகும்.`,
+  },
+};
+
+const passwordReset = {
+  transactional: true,
+  en: {
+    subject: () => "Password Reset - PitStop",
+    text: ({ name, link }) =>
+      `Hi ${name},\n\nWe received a request to reset your password. Reset it by clicking the link below:\n${link}\n\nThis link expires in 1 hour. If you did not request this, you can ignore this email.`,
+  },
+  si: {
+    subject: () => "මුරපදය යළි සැකසීම - PitStop",
+    text: ({ name, link }) =>
+      `ආයුබෝවන් ${name},\n\nඔබගේ මුරපදය යළි සැකසීමට ඉල්ලීමක් අපට ලැබුණි. පහත සබැඳිය ක්ලික් කර එය යළි සකසන්න:\n${link}\n\nමෙම සබැඳිය පැය 1 කින් කල් ඉකුත් වේ. ඔබ මෙය ඉල්ලා නොසිටියේ නම්, මෙම ඊමේල් පණිවිඩය නොසලකා හරින්න.`,
+  },
+  ta: {
+    subject: () => "கடவுச்சொல் மீட்டமைப்பு - PitStop",
+    text: ({ name, link }) =>
+      `வணக்கம் ${name},\n\nஉங்கள் கடவுச்சொல்லை மீட்டமைக்க ஒரு கோரிக்கை பெறப்பட்டது. கீழே உள்ள இணைப்பைக் கிளிக் செய்து அதை மீட்டமைக்கவும்:\n${link}\n\nஇந்த இணைப்பு 1 மணி நேரத்தில் காலாவதியாகும். நீங்கள் இதைக் கோரவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்.`,
+  },
+};
+
+const bookingConfirmation = {
+  transactional: false,
+  en: {
+    subject: ({ bookingId }) => `Booking Confirmed - ${bookingId}`,
+    text: ({ name, bookingId, serviceType, vehicle, date, timeSlot }) =>
+      `Hi ${name},\n\nYour booking ${bookingId} for ${serviceType} has been confirmed.\n\nVehicle: ${vehicle}\nDate: ${date}\nTime: ${timeSlot}\n\nWe look forward to seeing you.`,
+  },
+  si: {
+    subject: ({ bookingId }) => `වෙන්කිරීම තහවුරුයි - ${bookingId}`,
+    text: ({ name, bookingId, serviceType, vehicle, date, timeSlot }) =>
+      `ආයුබෝවන් ${name},\n\n${serviceType} සඳහා ඔබගේ ${bookingId} වෙන්කිරීම තහවුරු කර ඇත.\n\nවාහනය: ${vehicle}\nදිනය: ${date}\nවේලාව: ${timeSlot}\n\nඔබව හමුවීමට අපි බලාපොරොත්තු වෙමු.`,
+  },
+  ta: {
+    subject: ({ bookingId }) => `முன்பதிவு உறுதிப்படுத்தப்பட்டது - ${bookingId}`,
+    text: ({ name, bookingId, serviceType, vehicle, date, timeSlot }) =>
+      `வணக்கம் ${name},\n\n${serviceType} சேவைக்கான உங்கள் முன்பதிவு ${bookingId} உறுதிப்படுத்தப்பட்டது.\n\nவாகனம்: ${vehicle}\nதேதி: ${date}\nநேரம்: ${timeSlot}\n\nஉங்களைச் சந்திக்க ஆவலுடன் காத்திருக்கிறோம்.`,
+  },
+};
+
+const invoiceIssued = {
+  transactional: false,
+  en: {
+    subject: ({ invoiceId }) => `Invoice ${invoiceId} - PitStop`,
+    text: ({ name, invoiceId, bookingId, total, link }) =>
+      `Hi ${name},\n\nInvoice ${invoiceId} for booking ${bookingId} has been issued.\n\nTotal: LKR ${total}\n\nView your invoice: ${link}\n\nThank you for choosing PitStop.`,
+  },
+  si: {
+    subject: ({ invoiceId }) => `ඉන්වොයිසිය ${invoiceId} - PitStop`,
+    text: ({ name, invoiceId, bookingId, total, link }) =>
+      `ආයුබෝවන් ${name},\n\n${bookingId} වෙන්කිරීම සඳහා ${invoiceId} ඉන්වොයිසිය නිකුත් කර ඇත.\n\nමුළු මුදල: රු. ${total}\n\nඔබගේ ඉන්වොයිසිය බලන්න: ${link}\n\nPitStop තෝරා ගැනීම ගැන ස්තූතියි.`,
+  },
+  ta: {
+    subject: ({ invoiceId }) => `விலைப்பட்டியல் ${invoiceId} - PitStop`,
+    text: ({ name, invoiceId, bookingId, total, link }) =>
+      `வணக்கம் ${name},\n\nமுன்பதிவு ${bookingId} க்கான விலைப்பட்டியல் ${invoiceId} வழங்கப்பட்டுள்ளது.\n\nமொத்தம்: ரூ. ${total}\n\nஉங்கள் விலைப்பட்டியலைப் பார்க்க: ${link}\n\nPitStop ஐத் தேர்ந்தெடுத்தமைக்கு நன்றி.`,
+  },
+};
+
+const estimateReady = {
+  transactional: true,
+  en: {
+    subject: ({ estimateId, bookingId }) => `Estimate ${estimateId} for booking ${bookingId} - PitStop`,
+    text: ({ name, estimateId, bookingId, total, validUntil, link }) =>
+      `Hi ${name},\n\nWe have inspected your vehicle. Estimate ${estimateId} for booking ${bookingId} is ready.\n\nEstimated total: LKR ${total}\n\nReview the work and approve or decline each item here: ${link}\n\nWe will not start any work until you approve it. The estimate is valid until ${validUntil}.`,
+  },
+  si: {
+    subject: ({ estimateId, bookingId }) => `${bookingId} වෙන්කිරීම සඳහා ඇස්තමේන්තුව ${estimateId} - PitStop`,
+    text: ({ name, estimateId, bookingId, total, validUntil, link }) =>
+      `ආයුබෝවන් ${name},\n\nඅපි ඔබගේ වාහනය පරීක්ෂා කළෙමු. ${bookingId} වෙන්කිරීම සඳහා ${estimateId} ඇස්තමේන්තුව සූදානම්.\n\nඇස්තමේන්තුගත මුළු මුදල: රු. ${total}\n\nවැඩ සලකා බලා එක් එක් අයිතමය අනුමත හෝ ප්‍රතික්ෂේප කරන්න: ${link}\n\nඔබ අනුමත කරන තුරු අපි කිසිදු වැඩක් ආරම්භ නොකරමු. ඇස්තමේන්තුව ${validUntil} දක්වා වලංගු වේ.`,
+  },
+  ta: {
+    subject: ({ estimateId, bookingId }) => `முன்பதிவு ${bookingId} க்கான மதிப்பீடு ${estimateId} - PitStop`,
+    text: ({ name, estimateId, bookingId, total, validUntil, link }) =>
+      `வணக்கம் ${name},\n\nஉங்கள் வாகனத்தை பரிசோதித்தோம். முன்பதிவு ${bookingId} க்கான மதிப்பீடு ${estimateId} தயாராக உள்ளது.\n\nமதிப்பிடப்பட்ட மொத்தம்: ரூ. ${total}\n\nவேலைகளைப் பார்த்து ஒவ்வொன்றையும் ஏற்கவும் அல்லது நிராகரிக்கவும்: ${link}\n\nநீங்கள் ஒப்புதல் அளிக்கும் வரை எந்த வேலையும் தொடங்கமாட்டோம். மதிப்பீடு ${validUntil} வரை செல்லுபடியாகும்.`,
+  },
+};
+
+// "by 2026-05-01 or 45,000 km" depending on which limits the rule has
+const dueText = (dueDate, dueMileage, or) => {
+  return [dueDate, dueMileage ? `${Number(dueMileage).toLocaleString("en-US")} km` : ""].filter(Boolean).join(` ${or} `);
+};
+
+const serviceReminder = {
+  transactional: false,
+  en: {
+    subject: ({ serviceType, overdue }) => `Your ${serviceType} is ${overdue ? "overdue" : "due soon"} - PitStop`,
+    text: ({ name, serviceType, vehicle, dueDate, dueMileage, overdue }) =>
+      `Hi ${name},\n\nYour ${vehicle} is ${overdue ? "overdue" : "due"} for ${serviceType} (${dueText(dueDate, dueMileage, "or")}).\n\nReply to this email or call us to book a slot.`,
+  },
+  si: {
+    subject: ({ serviceType }) => `${serviceType} සේවාව සඳහා කාලය පැමිණ ඇත - PitStop`,
+    text: ({ name, serviceType, vehicle, dueDate, dueMileage }) =>
+      `ආයුබෝවන් ${name},\n\nඔබගේ ${vehicle} සඳහා ${serviceType} සේවාව ලබා ගැනීමට කාලයයි (${dueText(dueDate, dueMileage, "හෝ")}).\n\nවෙන්කිරීමක් සඳහා මෙම ඊමේල් පණිවිඩයට පිළිතුරු දෙන්න හෝ අපව අමතන්න.`,
+  },
+  ta: {
+    subject: ({ serviceType }) => `உங்கள் ${serviceType} சேவைக்கான நேரம் வந்துவிட்டது - PitStop`,
+    text: ({ name, serviceType, vehicle, dueDate, dueMileage }) =>
+      `வணக்கம் ${name},\n\nஉங்கள் ${vehicle} க்கு ${serviceType} சேவை செய்ய வேண்டிய நேரம் (${dueText(dueDate, dueMileage, "அல்லது")}).\n\nமுன்பதிவு செய்ய இந்த மின்னஞ்சலுக்குப் பதிலளிக்கவும் அல்லது எங்களை அழைக்கவும்.`,
+  },
+};
+
+const waitlistOffer = {
+  transactional: false,
+  en: {
+    subject: ({ date, timeSlot }) => `A slot opened up on ${date} ${timeSlot} - PitStop`,
+    text: ({ name, waitlistId, serviceType, vehicle, date, timeSlot, expiresAt }) =>
+      `Hi ${name},\n\nGood news, a ${serviceType} slot you were waiting for (${waitlistId}) is now free.\n\nVehicle: ${vehicle}\nDate: ${date}\nTime: ${timeSlot}\n\nThe slot is held for you until ${expiresAt}. Accept it in the app or call us to confirm.`,
+  },
+  si: {
+    subject: ({ date, timeSlot }) => `${date} ${timeSlot} වේලාව දැන් ලබා ගත හැක - PitStop`,
+    text: ({ name, waitlistId, serviceType, vehicle, date, timeSlot, expiresAt }) =>
+      `ආයුබෝවන් ${name},\n\nඔබ බලාපොරොත්තුවෙන් සිටි ${serviceType} වේලාව (${waitlistId}) දැන් ලබා ගත හැක.\n\nවාහනය: ${vehicle}\nදිනය: ${date}\nවේලාව: ${timeSlot}\n\nමෙම වේලාව ${expiresAt} දක්වා ඔබ වෙනුවෙන් තබා ඇත. යෙදුම හරහා එය පිළිගන්න හෝ තහවුරු කිරීමට අපව අමතන්න.`,
+  },
+  ta: {
+    subject: ({ date, timeSlot }) => `${date} ${timeSlot} நேரம் இப்போது கிடைக்கிறது - PitStop`,
+    text: ({ name, waitlistId, serviceType, vehicle, date, timeSlot, expiresAt }) =>
+      `வணக்கம் ${name},\n\nநீங்கள் காத்திருந்த ${serviceType} நேரம் (${waitlistId}) இப்போது கிடைக்கிறது.\n\nவாகனம்: ${vehicle}\nதேதி: ${date}\nநேரம்: ${timeSlot}\n\nஇந்த நேரம் ${expiresAt} வரை உங்களுக்காக வைக்கப்பட்டுள்ளது. செயலியில் ஏற்றுக்கொள்ளவும் அல்லது உறுதிப்படுத்த எங்களை அழைக்கவும்.`,
+  },
+};
+
+const bookingRequestConfirmation = {
+  transactional: true,
+  en: {
+    subject: ({ requestId }) => `Confirm your booking request ${requestId} - PitStop`,
+    text: ({ name, requestId, serviceType, vehicle, date, timeSlot, link, expiresInHours }) =>
+      `Hi ${name},\n\nWe received a ${serviceType} booking request (${requestId}) for ${vehicle} on ${date} ${timeSlot}.\n\nPlease confirm it by clicking the link below:\n${link}\n\nThis link expires in ${expiresInHours} hours. Our team will contact you to finalise the booking once it is confirmed. If you did not make this request, you can ignore this email.`,
+  },
+  si: {
+    subject: ({ requestId }) => `ඔබගේ ${requestId} වෙන්කිරීමේ ඉල්ලීම තහවුරු කරන්න - PitStop`,
+    text: ({ name, requestId, serviceType, vehicle, date, timeSlot, link, expiresInHours }) =>
+      `ආයුබෝවන් ${name},\n\n${date} ${timeSlot} දින ${vehicle} සඳහා ${serviceType} වෙන්කිරීමේ ඉල්ලීමක් (${requestId}) අපට ලැබුණි.\n\nපහත සබැඳිය ක්ලික් කර එය තහවුරු කරන්න:\n${link}\n\nමෙම සබැඳිය පැය ${expiresInHours} කින් කල් ඉකුත් වේ. තහවුරු කළ පසු වෙන්කිරීම අවසන් කිරීමට අපගේ කණ්ඩායම ඔබව සම්බන්ධ කර ගනු ඇත. ඔබ මෙම ඉල්ලීම නොකළේ නම්, මෙම ඊමේල් පණිවිඩය නොසලකා හරින්න.`,
+  },
+  ta: {
+    subject: ({ requestId }) => `உங்கள் முன்பதிவு கோரிக்கை ${requestId} ஐ உறுதிப்படுத்தவும் - PitStop`,
+    text: ({ name, requestId, serviceType, vehicle, date, timeSlot, link, expiresInHours }) =>
+      `வணக்கம் ${name},\n\n${date} ${timeSlot} அன்று ${vehicle} வாகனத்திற்கான ${serviceType} முன்பதிவு கோரிக்கை (${requestId}) பெறப்பட்டது.\n\nகீழே உள்ள இணைப்பைக் கிளிக் செய்து அதை உறுதிப்படுத்தவும்:\n${link}\n\nஇந்த இணைப்பு ${expiresInHours} மணி நேரத்தில் காலாவதியாகும். உறுதிப்படுத்தியதும் முன்பதிவை இறுதி செய்ய எங்கள் குழு உங்களைத் தொடர்பு கொள்ளும். நீங்கள் இந்தக் கோரிக்கையைச் செய்யவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கவும்.`,
+  },
+};
+
+export default {
+  emailVerification,
+  passwordReset,
+  bookingConfirmation,
+  invoiceIssued,
+  estimateReady,
+  serviceReminder,
+  waitlistOffer,
+  bookingRequestConfirmation,
+};
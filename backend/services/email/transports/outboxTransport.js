@@ -0,0 +1,25 @@
+import nodemailer from "nodemailer";
+import fs from "fs/promises";
+import path from "path";
+
+// Outbox transport - writes each message as an .eml file instead of sending it (development/testing)
+const createOutboxTransport = () => {
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR || "./outbox";
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return {
+    name: "outbox",
+    async send(message) {
+      const info = await builder.sendMail(message);
+
+      await fs.mkdir(outboxDir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${info.messageId.replace(/[<>@]/g, "")}.eml`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.writeFile(filePath, info.message);
+
+      return { messageId: info.messageId, filePath };
+    },
+  };
+};
+
+export default createOutboxTransport;
@@ -0,0 +1,368 @@
+import crypto from "crypto";
+import { Estimate } from "../models/Estimate.js";
+import { Booking } from "../models/Booking.js";
+import Job from "../models/Job.js";
+import { InventoryItem } from "../models/InventoryItem.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { sendTemplatedEmail, frontendLink, formatDateForUser } from "./email/index.js";
+import { sendTemplatedSms } from "./sms/index.js";
+import { getLabourRateTable, resolveHourlyRate } from "./labourRateService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long the customer has to answer an estimate
+const VALID_DAYS = Number(process.env.ESTIMATE_VALID_DAYS) || 7;
+
+// Estimates that still count for the booking
+const OPEN_STATUSES = ["draft", "sent"];
+const APPROVED_STATUSES = ["approved", "partially_approved"];
+
+const ITEM_TYPES = ["labour", "parts", "other"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Current price of a job material: by its inventory item, or by name for materials typed in by hand
+const findMaterialPrice = async (material) => {
+  const inventoryItem = material.item
+    ? await InventoryItem.findById(material.item).select("unitPrice")
+    : await InventoryItem.findOne({
+      name: { $regex: `^${escapeRegExp(material.name)}$`, $options: "i" },
+    }).select("unitPrice");
+
+  return inventoryItem?.unitPrice || 0;
+};
+
+// Estimate lines from the booking's jobs: the menu price of catalog jobs, otherwise labour for the
+// estimated hours and the materials priced from inventory, plus the issues found in the pre-work inspections
+export const buildItemsFromJobs = async (bookingId) => {
+  const jobs = await Job.find({ booking: bookingId, status: { $ne: "cancelled" } }).sort({ createdAt: 1 });
+
+  const items = [];
+  const findings = [];
+  const rateTable = await getLabourRateTable();
+
+  for (const job of jobs) {
+    findings.push(...(job.inspectionReport?.preWorkInspection?.issues || []));
+
+    if (job.menuPrice !== undefined && job.menuPrice !== null) {
+      items.push({
+        job: job._id,
+        type: "other",
+        description: `${job.title} (menu price)`,
+        quantity: 1,
+        unitPrice: job.menuPrice,
+      });
+      continue;
+    }
+
+    if (job.estimatedHours > 0) {
+      items.push({
+        job: job._id,
+        type: "labour",
+        description: `${job.title} - labour`,
+        quantity: job.estimatedHours,
+        unitPrice: resolveHourlyRate(rateTable, { category: job.category }).hourlyRate,
+      });
+    }
+
+    for (const material of job.requirements?.materials || []) {
+      items.push({
+        job: job._id,
+        type: "parts",
+        description: material.unit ? `${material.name} (${material.unit})` : material.name,
+        quantity: material.quantity || 1,
+        unitPrice: await findMaterialPrice(material),
+      });
+    }
+  }
+
+  return { items, findings };
+};
+
+// Invoice lines for a booking: the lines the customer approved on the latest estimate,
+// or the lines built from the jobs when there is no approved estimate
+export const buildInvoiceItems = async (bookingId) => {
+  const estimate = await Estimate.findOne({ booking: bookingId, status: { $ne: "superseded" } })
+    .sort({ createdAt: -1 });
+
+  const lines = estimate && APPROVED_STATUSES.includes(estimate.status)
+    ? estimate.items.filter(line => line.approval === "approved")
+    : (await buildItemsFromJobs(bookingId)).items;
+
+  return lines
+    .filter(line => line.unitPrice > 0)
+    .map(line => ({
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+    }));
+};
+
+// Validate lines and work out the totals. Returns { items, subtotal, total } or { error }.
+export const calculateTotals = (items, tax = 0, discount = 0) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: createCustomError("An estimate needs at least one line item", 400) };
+  }
+
+  const processedItems = [];
+  for (const item of items) {
+    if (!item.description || !(item.quantity > 0) || item.unitPrice === undefined || item.unitPrice < 0) {
+      return { error: createCustomError("Each item must have a description, a quantity and a unit price", 400) };
+    }
+    if (item.type && !ITEM_TYPES.includes(item.type)) {
+      return { error: createCustomError(`Invalid item type: ${item.type}`, 400) };
+    }
+
+    processedItems.push({
+      job: item.job,
+      type: item.type || "other",
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: round(item.quantity * item.unitPrice),
+      approval: "pending",
+    });
+  }
+
+  const subtotal = round(processedItems.reduce((sum, item) => sum + item.total, 0));
+  const total = round(subtotal + (tax || 0) - (discount || 0));
+  if (total < 0) {
+    return { error: createCustomError("Total amount cannot be negative", 400) };
+  }
+
+  return { items: processedItems, subtotal, total };
+};
+
+// Draft a new estimate for a booking, replacing any estimate the customer has not answered yet.
+// Items default to the ones built from the booking's jobs. Returns { estimate } or { error }.
+export const createEstimate = async (booking, { items, findings, tax, discount, notes, userId }) => {
+  if (!["pending", "inspecting"].includes(booking.status)) {
+    return { error: createCustomError(`Cannot create an estimate for a booking that is ${booking.status}`, 400) };
+  }
+
+  let lines = items;
+  let inspectionFindings = findings;
+  if (!lines) {
+    const built = await buildItemsFromJobs(booking._id);
+    lines = built.items;
+    inspectionFindings = inspectionFindings || built.findings;
+  }
+
+  const totals = calculateTotals(lines, tax, discount);
+  if (totals.error) {
+    return { error: totals.error };
+  }
+
+  await Estimate.updateMany(
+    { booking: booking._id, status: { $in: OPEN_STATUSES } },
+    { status: "superseded", $unset: { responseTokenHash: 1 } }
+  );
+
+  const estimate = await Estimate.create({
+    booking: booking._id,
+    customer: booking.customer,
+    items: totals.items,
+    findings: inspectionFindings || [],
+    subtotal: totals.subtotal,
+    tax: tax || 0,
+    discount: discount || 0,
+    total: totals.total,
+    notes,
+    createdBy: userId,
+  });
+
+  return { estimate };
+};
+
+// Send the estimate to the customer with a link to approve or decline it.
+// Transactional: it goes out even when the customer opted out of notifications.
+export const sendEstimate = async (estimate) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  estimate.status = "sent";
+  estimate.sentAt = new Date();
+  estimate.validUntil = new Date(Date.now() + VALID_DAYS * DAY_MS);
+  estimate.responseTokenHash = hashToken(token);
+  await estimate.save();
+
+  await estimate.populate([
+    { path: "customer" },
+    { path: "booking", select: "bookingId" },
+  ]);
+
+  const link = frontendLink(`/estimates/respond/${token}`);
+  const data = {
+    estimateId: estimate.estimateId,
+    bookingId: estimate.booking.bookingId,
+    total: estimate.total.toFixed(2),
+    validUntil: formatDateForUser(estimate.validUntil, estimate.customer),
+    link,
+  };
+
+  await sendTemplatedEmail(estimate.customer, "estimateReady", data);
+  if (estimate.customer.profile?.phoneNumber) {
+    await sendTemplatedSms(estimate.customer, "estimateReady", data);
+  }
+
+  return { link };
+};
+
+export const findEstimateByToken = async (token) => {
+  return Estimate.findOne({ responseTokenHash: hashToken(token), status: "sent" });
+};
+
+// Record the customer's answer. decision is "approve" or "decline" for every line, or "partial"
+// with items: [{ id, approved }] (lines left out are declined). Returns an error or null.
+export const respondToEstimate = async (estimate, { decision, items = [], comment, via, userId }) => {
+  if (estimate.status !== "sent") {
+    return createCustomError(`This estimate is ${estimate.status} and can no longer be answered`, 400);
+  }
+
+  if (estimate.validUntil && estimate.validUntil < new Date()) {
+    estimate.status = "expired";
+    estimate.responseTokenHash = undefined;
+    await estimate.save();
+    return createCustomError("This estimate has expired, please contact us for a new one", 410);
+  }
+
+  if (!["approve", "decline", "partial"].includes(decision)) {
+    return createCustomError("Decision must be approve, decline or partial", 400);
+  }
+
+  if (decision === "partial") {
+    const lineIds = estimate.items.map(line => line._id.toString());
+    const validItems = Array.isArray(items) && items.every(item =>
+      item && lineIds.includes(String(item.id)) && typeof item.approved === "boolean"
+    );
+    if (!validItems) {
+      return createCustomError("items must be a list of { id, approved } for lines of this estimate", 400);
+    }
+  }
+
+  for (const line of estimate.items) {
+    if (decision === "partial") {
+      const answer = items.find(item => String(item.id) === line._id.toString());
+      line.approval = answer?.approved === true ? "approved" : "declined";
+    } else {
+      line.approval = decision === "approve" ? "approved" : "declined";
+    }
+  }
+
+  const approvedLines = estimate.items.filter(line => line.approval === "approved");
+  const approvedSubtotal = approvedLines.reduce((sum, line) => sum + line.total, 0);
+
+  if (approvedLines.length === estimate.items.length) {
+    estimate.status = "approved";
+  } else if (approvedLines.length === 0) {
+    estimate.status = "declined";
+  } else {
+    estimate.status = "partially_approved";
+  }
+
+  estimate.approvedTotal = estimate.subtotal > 0 ? round(estimate.total * (approvedSubtotal / estimate.subtotal)) : 0;
+  estimate.respondedAt = new Date();
+  estimate.respondedVia = via;
+  estimate.recordedBy = via === "staff" ? userId : undefined;
+  estimate.customerComment = comment;
+  estimate.responseTokenHash = undefined;
+
+  // Only one answer is recorded when two arrive at the same time
+  const claimed = await Estimate.findOneAndUpdate(
+    { _id: estimate._id, status: "sent" },
+    {
+      $set: {
+        items: estimate.items,
+        status: estimate.status,
+        approvedTotal: estimate.approvedTotal,
+        respondedAt: estimate.respondedAt,
+        respondedVia: via,
+        recordedBy: estimate.recordedBy,
+        customerComment: comment,
+      },
+      $unset: { responseTokenHash: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return createCustomError("This estimate has already been answered", 409);
+  }
+
+  // The approved amount is what the booking is expected to cost
+  const booking = await Booking.findById(estimate.booking);
+  if (booking) {
+    if (approvedLines.length > 0) {
+      booking.estimatedCost = estimate.approvedTotal;
+    }
+    booking.notes.push({
+      note: `Estimate ${estimate.estimateId} ${estimate.status.replace("_", " ")} by the customer (LKR ${estimate.approvedTotal.toFixed(2)} of ${estimate.total.toFixed(2)})${comment ? `: ${comment}` : ""}`,
+      createdBy: userId,
+      createdAt: new Date()
+    });
+    await booking.save();
+  }
+
+  return null;
+};
+
+// Work can only start once the customer approved an estimate, and not on a job whose lines they declined.
+// Returns an error to pass to next(), or null.
+export const checkWorkApproval = async (bookingId, jobId) => {
+  const estimate = await Estimate.findOne({ booking: bookingId, status: { $ne: "superseded" } })
+    .sort({ createdAt: -1 });
+
+  if (!estimate || !APPROVED_STATUSES.includes(estimate.status)) {
+    const state = estimate ? `estimate ${estimate.estimateId} is ${estimate.status}` : "no estimate has been sent";
+    return createCustomError(`Work cannot start until the customer approves an estimate (${state})`, 400);
+  }
+
+  if (jobId) {
+    const jobLines = estimate.items.filter(line => line.job?.toString() === jobId.toString());
+    if (jobLines.length > 0 && !jobLines.some(line => line.approval === "approved")) {
+      return createCustomError(`The customer declined the work on this job in estimate ${estimate.estimateId}`, 400);
+    }
+  }
+
+  return null;
+};
+
+// Fields shown to the customer
+export const toCustomerView = (estimate) => ({
+  _id: estimate._id,
+  estimateId: estimate.estimateId,
+  items: estimate.items.map(item => ({
+    _id: item._id,
+    type: item.type,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    total: item.total,
+    approval: item.approval,
+  })),
+  findings: estimate.findings,
+  subtotal: estimate.subtotal,
+  tax: estimate.tax,
+  discount: estimate.discount,
+  total: estimate.total,
+  approvedTotal: estimate.approvedTotal,
+  status: estimate.status,
+  validUntil: estimate.validUntil,
+  respondedAt: estimate.respondedAt,
+});
+
+export default {
+  buildItemsFromJobs,
+  buildInvoiceItems,
+  calculateTotals,
+  createEstimate,
+  sendEstimate,
+  findEstimateByToken,
+  respondToEstimate,
+  checkWorkApproval,
+  toCustomerView,
+};
@@ -0,0 +1,143 @@
+import { Booking } from "../models/Booking.js";
+import User from "../models/User.js";
+import { LeaveRequest } from "../models/LeaveRequest .js";
+import { toDateKey } from "./bookingAvailabilityService.js";
+
+// Specializations that suit each service type
+export const SERVICE_SPECIALIZATIONS = {
+  inspection: ["diagnostics"],
+  repair: ["engine_repair", "brake_systems", "electrical_systems", "transmission", "suspension", "hybrid_electric", "diagnostics"],
+  maintenance: ["engine_repair", "brake_systems", "diagnostics"],
+  bodywork: ["bodywork", "painting"],
+  detailing: ["detailing"],
+};
+
+// Open bookings a matching specialization is worth: a specialist is preferred
+// unless they already hold this many more open bookings than a generalist
+const SPECIALIZATION_WEIGHT = Number(process.env.INSPECTOR_SPECIALIZATION_WEIGHT) || 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings still needing the inspector's attention
+const OPEN_STATUSES = ["pending", "inspecting", "working"];
+
+const fullName = (user) => `${user.profile.firstName} ${user.profile.lastName}`;
+
+// Leave dates and booking dates are both stored as midnight UTC of the day
+const toStoredDate = (date) => new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+// Service advisors on approved leave on a day, keyed by user id
+const findLeaveOnDate = async (inspectorIds, day) => {
+  const leaves = await LeaveRequest.find({
+    employee: { $in: inspectorIds },
+    status: "approved",
+    startDate: { $lte: day },
+    endDate: { $gte: day },
+  }).select("requestId employee leaveType startDate endDate");
+
+  return new Map(leaves.map(leave => [leave.employee.toString(), leave]));
+};
+
+// Open bookings per inspector, in total and on the given day
+const countWorkload = async (inspectorIds, day) => {
+  const nextDay = new Date(day.getTime() + DAY_MS);
+  const onDay = { $and: [{ $gte: ["$scheduledDate", day] }, { $lt: ["$scheduledDate", nextDay] }] };
+
+  const counts = await Booking.aggregate([
+    { $match: { assignedInspector: { $in: inspectorIds }, status: { $in: OPEN_STATUSES } } },
+    {
+      $group: {
+        _id: "$assignedInspector",
+        openBookings: { $sum: 1 },
+        bookingsOnDate: { $sum: { $cond: [onDay, 1, 0] } },
+      },
+    },
+  ]);
+
+  return new Map(counts.map(count => [count._id.toString(), count]));
+};
+
+const explain = (candidate) => {
+  const parts = [];
+  if (candidate.matchedSpecializations.length > 0) {
+    parts.push(`specializes in ${candidate.matchedSpecializations.join(", ")}`);
+  } else {
+    parts.push("no matching specialization");
+  }
+  parts.push(`${candidate.openBookings} open booking${candidate.openBookings === 1 ? "" : "s"}`);
+  parts.push(`${candidate.bookingsOnDate} on ${candidate.date}`);
+  return parts.join("; ");
+};
+
+// Rank every active service advisor for a booking, best first.
+// Advisors on approved leave that day are listed last with available: false.
+export const rankInspectors = async ({ scheduledDate, serviceType }) => {
+  const day = toStoredDate(scheduledDate);
+  const wanted = SERVICE_SPECIALIZATIONS[serviceType] || [];
+
+  const inspectors = await User.find({ role: "service_advisor", status: "active" })
+    .select("userId profile.firstName profile.lastName employeeDetails.department employeeDetails.specializations");
+  const inspectorIds = inspectors.map(inspector => inspector._id);
+
+  const leaveByInspector = await findLeaveOnDate(inspectorIds, day);
+  const workload = await countWorkload(inspectorIds, day);
+
+  const candidates = inspectors.map(inspector => {
+    const id = inspector._id.toString();
+    const counts = workload.get(id) || { openBookings: 0, bookingsOnDate: 0 };
+    const matchedSpecializations = (inspector.employeeDetails?.specializations || [])
+      .filter(specialization => wanted.includes(specialization));
+
+    return {
+      inspector,
+      date: toDateKey(day),
+      available: !leaveByInspector.has(id),
+      leave: leaveByInspector.get(id) || null,
+      openBookings: counts.openBookings,
+      bookingsOnDate: counts.bookingsOnDate,
+      matchedSpecializations,
+      // Lower is better
+      score: counts.openBookings - (matchedSpecializations.length > 0 ? SPECIALIZATION_WEIGHT : 0),
+    };
+  });
+
+  candidates.sort((a, b) =>
+    (b.available - a.available) ||
+    (a.score - b.score) ||
+    (a.bookingsOnDate - b.bookingsOnDate) ||
+    fullName(a.inspector).localeCompare(fullName(b.inspector))
+  );
+
+  return candidates.map(candidate => ({
+    ...candidate,
+    reason: candidate.available
+      ? explain(candidate)
+      : `on approved ${candidate.leave.leaveType} leave (${candidate.leave.requestId})`,
+  }));
+};
+
+// Best available inspector for a booking with the reason, or null when everyone is on leave
+export const pickInspector = async (booking) => {
+  const candidates = await rankInspectors(booking);
+  const best = candidates.find(candidate => candidate.available);
+  if (!best) return null;
+
+  return {
+    inspector: best.inspector,
+    reason: `Auto-assigned ${fullName(best.inspector)}: ${best.reason}`,
+    candidates,
+  };
+};
+
+// Whether an inspector is on approved leave on the booking's date
+export const findInspectorLeave = async (inspectorId, scheduledDate) => {
+  const leaves = await findLeaveOnDate([inspectorId], toStoredDate(scheduledDate));
+  return leaves.get(inspectorId.toString()) || null;
+};
+
+export default {
+  SERVICE_SPECIALIZATIONS,
+  rankInspectors,
+  pickInspector,
+  findInspectorLeave,
+};
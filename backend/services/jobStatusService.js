@@ -0,0 +1,129 @@
+import Job from "../models/Job.js";
+import { createCustomError } from "../errors/custom-error.js";
+
+export const JOB_STATUSES = Job.schema.path("status").enumValues;
+
+const STAFF = ["service_advisor", "manager"];
+
+// Job state machine: current status → next status → roles allowed to make the move.
+// Admins can make any listed move. completed and cancelled are final.
+export const JOB_STATUS_TRANSITIONS = {
+  pending: {
+    working: ["technician", ...STAFF],
+    on_hold: STAFF,
+    cancelled: STAFF,
+  },
+  working: {
+    completed: ["technician", ...STAFF],
+    on_hold: ["technician", ...STAFF],
+    cancelled: ["manager"],
+  },
+  on_hold: {
+    working: ["technician", ...STAFF],
+    pending: STAFF,
+    cancelled: STAFF,
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// Moves that have to say why
+export const REASON_REQUIRED = ["on_hold", "cancelled"];
+
+// Statuses the role can move a job to from its current status
+export const getAllowedTransitions = (currentStatus, role) => {
+  const transitions = JOB_STATUS_TRANSITIONS[currentStatus] || {};
+  return Object.keys(transitions).filter(status => role === "admin" || transitions[status].includes(role));
+};
+
+// Check and apply a status change to a job (not saved). Returns an error or null.
+export const changeJobStatus = (job, { status, reason, userId, role }) => {
+  if (!JOB_STATUSES.includes(status)) {
+    return createCustomError("Invalid status", 400);
+  }
+
+  const transitions = JOB_STATUS_TRANSITIONS[job.status] || {};
+  if (!transitions[status]) {
+    return createCustomError(`Invalid status transition from ${job.status} to ${status}`, 400);
+  }
+  if (role !== "admin" && !transitions[status].includes(role)) {
+    return createCustomError(`Your role cannot move a job from ${job.status} to ${status}`, 403);
+  }
+
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+  if (REASON_REQUIRED.includes(status) && !trimmedReason) {
+    return createCustomError(`A reason is required to move a job to ${status}`, 400);
+  }
+
+  job.statusHistory.push({
+    from: job.status,
+    status,
+    changedBy: userId,
+    reason: trimmedReason || undefined,
+    changedAt: new Date(),
+  });
+  job.status = status;
+  return null;
+};
+
+// Average and total hours jobs spent in each status, from their status history.
+// Time in the current status counts up to now; final statuses are left out.
+export const getTimeInStatusStats = async () => {
+  const now = new Date();
+  const historySize = { $size: "$statusHistory" };
+
+  return Job.aggregate([
+    { $match: { "statusHistory.0": { $exists: true } } },
+    {
+      $project: {
+        periods: {
+          $map: {
+            input: { $range: [0, historySize] },
+            as: "index",
+            in: {
+              status: { $arrayElemAt: ["$statusHistory.status", "$$index"] },
+              start: { $arrayElemAt: ["$statusHistory.changedAt", "$$index"] },
+              current: { $eq: [{ $add: ["$$index", 1] }, historySize] },
+              end: {
+                $cond: [
+                  { $lt: [{ $add: ["$$index", 1] }, historySize] },
+                  { $arrayElemAt: ["$statusHistory.changedAt", { $add: ["$$index", 1] }] },
+                  now,
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+    { $unwind: "$periods" },
+    { $match: { "periods.status": { $nin: ["completed", "cancelled"] } } },
+    {
+      $project: {
+        status: "$periods.status",
+        current: "$periods.current",
+        hours: { $divide: [{ $subtract: ["$periods.end", "$periods.start"] }, 60 * 60 * 1000] },
+      },
+    },
+    {
+      $group: {
+        _id: "$status",
+        periods: { $sum: 1 },
+        avgHours: { $avg: "$hours" },
+        maxHours: { $max: "$hours" },
+        totalHours: { $sum: "$hours" },
+        jobsInStatusNow: { $sum: { $cond: ["$current", 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+};
+
+export default {
+  JOB_STATUSES,
+  JOB_STATUS_TRANSITIONS,
+  REASON_REQUIRED,
+  getAllowedTransitions,
+  changeJobStatus,
+  getTimeInStatusStats,
+};
@@ -0,0 +1,247 @@
+import { JobTimer } from "../models/JobTimer.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { priceWorkPeriods } from "./labourRateService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ["running", "paused"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The stretches of work on a timer, between its pauses, up to now or when it stopped
+export const getWorkedPeriods = (timer, until = timer.stoppedAt || new Date()) => {
+  const periods = [];
+  let periodStart = timer.startedAt;
+
+  for (const pause of timer.pauses) {
+    if (pause.pausedAt > periodStart) {
+      periods.push({ start: periodStart, end: pause.pausedAt });
+    }
+    if (!pause.resumedAt) return periods;
+    periodStart = pause.resumedAt;
+  }
+
+  if (until > periodStart) {
+    periods.push({ start: periodStart, end: until });
+  }
+  return periods;
+};
+
+export const getWorkedHours = (timer, until) => {
+  return getWorkedPeriods(timer, until).reduce((total, period) => total + (period.end - period.start) / HOUR_MS, 0);
+};
+
+// The technician's running or paused timer on a job
+export const findOpenTimer = (jobId, technicianId) => {
+  return JobTimer.findOne({ job: jobId, technician: technicianId, status: { $in: OPEN_STATUSES } });
+};
+
+// The running timer a technician has on another job, if any
+const findRunningElsewhere = (technicianId, jobId) => {
+  return JobTimer.findOne({ technician: technicianId, status: "running", job: { $ne: jobId } })
+    .populate("job", "jobId title");
+};
+
+const runningElsewhereError = (running) => {
+  const label = running.job?.jobId || running.job?._id || running.job;
+  return createCustomError(`You are already clocked on job ${label}. Pause or stop that timer first`, 409);
+};
+
+// Clock a technician on a job. Returns { timer } or { error }.
+export const startTimer = async (job, technicianId) => {
+  if (job.status !== "working") {
+    return { error: createCustomError(`Timers can only run on working jobs, this job is ${job.status}`, 400) };
+  }
+
+  const existing = await findOpenTimer(job._id, technicianId);
+  if (existing) {
+    return {
+      error: createCustomError(
+        existing.status === "paused" ? "Your timer on this job is paused, resume it instead" : "Your timer on this job is already running",
+        409
+      ),
+    };
+  }
+
+  const running = await findRunningElsewhere(technicianId, job._id);
+  if (running) {
+    return { error: runningElsewhereError(running) };
+  }
+
+  try {
+    const timer = await JobTimer.create({ job: job._id, technician: technicianId });
+    return { timer };
+  } catch (error) {
+    // Another timer started between the check and the insert
+    if (error.code === 11000) {
+      return { error: createCustomError("You already have a timer running. Pause or stop it first", 409) };
+    }
+    throw error;
+  }
+};
+
+// Pause a running timer. Returns an error or null.
+export const pauseTimer = async (timer, { reason, note }) => {
+  if (timer.status !== "running") {
+    return createCustomError(`Only running timers can be paused, this one is ${timer.status}`, 400);
+  }
+
+  timer.pauses.push({ reason, note, pausedAt: new Date() });
+  timer.status = "paused";
+  await timer.save();
+  return null;
+};
+
+// Resume a paused timer. Returns an error or null.
+export const resumeTimer = async (timer, job) => {
+  if (timer.status !== "paused") {
+    return createCustomError(`Only paused timers can be resumed, this one is ${timer.status}`, 400);
+  }
+  if (job.status !== "working") {
+    return createCustomError(`Timers can only run on working jobs, this job is ${job.status}`, 400);
+  }
+
+  const running = await findRunningElsewhere(timer.technician, timer.job);
+  if (running) {
+    return runningElsewhereError(running);
+  }
+
+  timer.pauses[timer.pauses.length - 1].resumedAt = new Date();
+  timer.status = "running";
+
+  try {
+    await timer.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return createCustomError("You already have a timer running. Pause or stop it first", 409);
+    }
+    throw error;
+  }
+  return null;
+};
+
+// Claim an open timer for stopping, so two stops at the same moment cannot both log its work.
+// Returns false when the timer was already stopped.
+const claimTimer = async (timer, { stoppedAt, stoppedBy }) => {
+  const claimed = await JobTimer.findOneAndUpdate(
+    { _id: timer._id, status: { $in: OPEN_STATUSES } },
+    { status: "stopped", stoppedAt, stoppedBy }
+  );
+  return Boolean(claimed);
+};
+
+// Put a claimed timer back when its work could not be logged
+const unclaimTimer = (timer, status) => {
+  return JobTimer.updateOne({ _id: timer._id }, { status, $unset: { stoppedAt: 1, stoppedBy: 1 } });
+};
+
+// Stop a claimed timer and add its work log entry to the job (not saved). The caller saves the job, then the timer.
+const closeTimer = async (timer, job, { description, stoppedAt, stoppedBy }) => {
+  const openPause = timer.pauses.find(pause => !pause.resumedAt);
+  if (openPause) openPause.resumedAt = stoppedAt;
+
+  timer.status = "stopped";
+  timer.stoppedAt = stoppedAt;
+  timer.stoppedBy = stoppedBy;
+
+  const periods = getWorkedPeriods(timer, stoppedAt);
+  const hoursLogged = getWorkedHours(timer, stoppedAt);
+  timer.hoursLogged = round(hoursLogged);
+
+  const pricing = await priceWorkPeriods({ labourer: timer.technician, category: job.category, periods });
+  const entry = job.addWorkLog(timer.technician, timer.startedAt, stoppedAt, description, {
+    ...pricing,
+    hoursLogged,
+    pausedHours: round((stoppedAt - timer.startedAt) / HOUR_MS - hoursLogged),
+    timer: timer._id,
+  });
+  timer.workLogEntry = entry._id;
+};
+
+// Stop a technician's timer and write the work log entry. Returns an error or null.
+export const stopTimer = async (timer, job, { description, stoppedBy }) => {
+  const stoppedAt = new Date();
+  const previousStatus = timer.status;
+  if (!OPEN_STATUSES.includes(previousStatus) || !(await claimTimer(timer, { stoppedAt, stoppedBy }))) {
+    return createCustomError("This timer is already stopped", 400);
+  }
+
+  try {
+    await closeTimer(timer, job, { description, stoppedAt, stoppedBy });
+    await job.save();
+  } catch (error) {
+    await unclaimTimer(timer, previousStatus);
+    throw error;
+  }
+  await timer.save();
+  return null;
+};
+
+// Stop every open timer on a job, e.g. when it leaves the working status
+export const stopJobTimers = async (job, { description, stoppedBy }) => {
+  const openTimers = await JobTimer.find({ job: job._id, status: { $in: OPEN_STATUSES } });
+  const stoppedAt = new Date();
+
+  // Timers stopped by someone else in the meantime are left to them
+  const timers = [];
+  const previousStatuses = new Map();
+  for (const timer of openTimers) {
+    if (await claimTimer(timer, { stoppedAt, stoppedBy })) {
+      timers.push(timer);
+      previousStatuses.set(timer, timer.status);
+    }
+  }
+  if (timers.length === 0) return [];
+
+  try {
+    for (const timer of timers) {
+      await closeTimer(timer, job, { description, stoppedAt, stoppedBy });
+    }
+    await job.save();
+  } catch (error) {
+    for (const timer of timers) {
+      await unclaimTimer(timer, previousStatuses.get(timer));
+    }
+    throw error;
+  }
+  for (const timer of timers) {
+    await timer.save();
+  }
+  return timers;
+};
+
+// Who is clocked on what right now
+export const getActiveTimers = async ({ technician } = {}) => {
+  const query = { status: { $in: OPEN_STATUSES } };
+  if (technician) query.technician = technician;
+
+  const timers = await JobTimer.find(query)
+    .populate("technician", "userId profile.firstName profile.lastName")
+    .populate({
+      path: "job",
+      select: "jobId title status category booking",
+      populate: { path: "booking", select: "bookingId vehicle", populate: { path: "vehicle", select: "registrationNumber make model" } },
+    })
+    .sort({ startedAt: 1 });
+
+  const now = new Date();
+  return timers.map(timer => {
+    const currentPause = timer.status === "paused" ? timer.pauses[timer.pauses.length - 1] : null;
+    return {
+      ...timer.toObject(),
+      workedHours: round(getWorkedHours(timer, now)),
+      currentPause,
+    };
+  });
+};
+
+export default {
+  getWorkedPeriods,
+  getWorkedHours,
+  findOpenTimer,
+  startTimer,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  stopJobTimers,
+  getActiveTimers,
+};
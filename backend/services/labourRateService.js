@@ -0,0 +1,134 @@
+import { LabourRateTable } from "../models/LabourRateTable.js";
+import User from "../models/User.js";
+import { toDateKey, toShopTime, getBookingSchedule } from "./bookingAvailabilityService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addDays = (dateKey, days) => {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+// The rate table document, or the defaults when it was never configured
+export const getLabourRateTable = async () => {
+  return (await LabourRateTable.findOne({ key: "default" })) || new LabourRateTable();
+};
+
+// Hourly rate for a technician, skill level and job category. Every field set on an entry has to match;
+// a technician match outweighs a skill level match, which outweighs a category match.
+export const resolveHourlyRate = (table, { technician, skillLevel, category } = {}) => {
+  let best = null;
+  let bestScore = -1;
+
+  for (const entry of table.rates) {
+    if (entry.technician && String(entry.technician) !== String(technician)) continue;
+    if (entry.skillLevel && entry.skillLevel !== skillLevel) continue;
+    if (entry.category && entry.category !== category) continue;
+
+    const score = (entry.technician ? 4 : 0) + (entry.skillLevel ? 2 : 0) + (entry.category ? 1 : 0);
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  }
+
+  if (!best) {
+    return { hourlyRate: table.defaultRate, rateSource: "default" };
+  }
+
+  const source = [
+    best.technician && "technician",
+    best.skillLevel && `skill:${best.skillLevel}`,
+    best.category && `category:${best.category}`,
+  ].filter(Boolean).join(",");
+
+  return { hourlyRate: best.hourlyRate, rateSource: source || "default" };
+};
+
+// Split a work period into hours per pay reason (regular, overtime, weekend, holiday).
+// Each stretch gets the highest multiplier that applies to it.
+export const splitWorkPeriod = (table, schedule, start, end) => {
+  const holidayKeys = new Set(schedule.holidays.map(holiday => toDateKey(holiday.date)));
+  const hoursByReason = new Map();
+
+  let cursor = new Date(start);
+  const finish = new Date(end);
+
+  while (cursor < finish) {
+    const dateKey = toDateKey(cursor);
+    const regularStart = toShopTime(dateKey, table.regularHours.start);
+    const regularEnd = toShopTime(dateKey, table.regularHours.end);
+    const nextDay = toShopTime(addDays(dateKey, 1));
+
+    const boundary = [regularStart, regularEnd, nextDay, finish]
+      .filter(time => time > cursor)
+      .reduce((earliest, time) => (time < earliest ? time : earliest));
+
+    const candidates = [{ reason: "regular", multiplier: 1 }];
+    if (holidayKeys.has(dateKey)) {
+      candidates.push({ reason: "holiday", multiplier: table.multipliers.holiday });
+    }
+    if (table.weekendDays.includes(new Date(`${dateKey}T00:00:00Z`).getUTCDay())) {
+      candidates.push({ reason: "weekend", multiplier: table.multipliers.weekend });
+    }
+    if (cursor < regularStart || cursor >= regularEnd) {
+      candidates.push({ reason: "overtime", multiplier: table.multipliers.overtime });
+    }
+    const applied = candidates.reduce((highest, candidate) => (candidate.multiplier > highest.multiplier ? candidate : highest));
+
+    const segment = hoursByReason.get(applied.reason) || { ...applied, hours: 0 };
+    segment.hours += (boundary - cursor) / HOUR_MS;
+    hoursByReason.set(applied.reason, segment);
+
+    cursor = boundary;
+  }
+
+  return [...hoursByReason.values()];
+};
+
+// Price the periods a technician worked on a job ([{ start, end }]) with the rates in force now.
+// Returns the fields stored on the work log entry.
+export const priceWorkPeriods = async ({ labourer, category, periods }) => {
+  const table = await getLabourRateTable();
+  const schedule = await getBookingSchedule();
+  const user = await User.findById(labourer).select("employeeDetails.skillLevel");
+
+  const { hourlyRate, rateSource } = resolveHourlyRate(table, {
+    technician: labourer,
+    skillLevel: user?.employeeDetails?.skillLevel,
+    category,
+  });
+
+  const hoursByReason = new Map();
+  for (const period of periods) {
+    for (const segment of splitWorkPeriod(table, schedule, period.start, period.end)) {
+      const total = hoursByReason.get(segment.reason) || { ...segment, hours: 0 };
+      total.hours += segment.hours;
+      hoursByReason.set(segment.reason, total);
+    }
+  }
+  const segments = [...hoursByReason.values()];
+  const cost = segments.reduce((total, segment) => total + segment.hours * segment.multiplier * hourlyRate, 0);
+
+  return {
+    hourlyRate,
+    rateSource,
+    costBreakdown: segments.map(segment => ({ ...segment, hours: round(segment.hours) })),
+    cost: round(cost),
+  };
+};
+
+// Price a single work period
+export const priceWorkPeriod = ({ labourer, category, start, end }) => {
+  return priceWorkPeriods({ labourer, category, periods: [{ start, end }] });
+};
+
+export default {
+  getLabourRateTable,
+  resolveHourlyRate,
+  splitWorkPeriod,
+  priceWorkPeriods,
+  priceWorkPeriod,
+};
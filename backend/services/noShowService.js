@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { Booking } from "../models/Booking.js";
+import User from "../models/User.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getBookingSchedule, releaseBookingSlot, toDateKey, toShopTime } from "./bookingAvailabilityService.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Share of past bookings the customer turned up for (0-100, 100 without history)
+export const computeReliabilityScore = ({ attended, noShows }) => {
+  const total = attended + noShows;
+  return total === 0 ? 100 : Math.round((attended / total) * 100);
+};
+
+// Recount a customer's attendance and store it on the customer record
+export const refreshCustomerReliability = async (customer) => {
+  const customerId = customer._id || customer;
+  const [counts] = await Booking.aggregate([
+    { $match: { customer: new mongoose.Types.ObjectId(customerId.toString()), status: { $in: ["completed", "no_show"] } } },
+    {
+      $group: {
+        _id: null,
+        attended: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+        noShows: { $sum: { $cond: [{ $eq: ["$status", "no_show"] }, 1, 0] } },
+        lastNoShowAt: { $max: "$noShowAt" },
+      },
+    },
+  ]);
+
+  const attendance = counts || { attended: 0, noShows: 0, lastNoShowAt: null };
+
+  await User.updateOne({ _id: customerId }, {
+    $set: {
+      "customerDetails.noShowCount": attendance.noShows,
+      "customerDetails.lastNoShowAt": attendance.lastNoShowAt,
+      "customerDetails.reliabilityScore": computeReliabilityScore(attendance),
+    },
+  });
+
+  return attendance;
+};
+
+// Whether a customer has to pay a deposit to book under the no-show policy
+export const getDepositRequirement = async (customer) => {
+  const schedule = await getBookingSchedule();
+  const { depositAfterNoShows, depositAmount } = schedule.noShowPolicy;
+  const noShowCount = customer.customerDetails?.noShowCount || 0;
+
+  if (!depositAfterNoShows || noShowCount < depositAfterNoShows) {
+    return { required: false };
+  }
+
+  return { required: true, amount: depositAmount, noShowCount };
+};
+
+// Deposits are settled before the vehicle is inspected. Returns an error or null.
+export const checkDepositPaid = (booking) => {
+  if (booking.deposit?.required && !booking.deposit.paidAt) {
+    return createCustomError(`A deposit of LKR ${booking.deposit.amount} has to be paid first`, 400);
+  }
+  return null;
+};
+
+// When a booking's slot is over (shop time)
+export const getSlotEnd = (booking) => {
+  return toShopTime(toDateKey(booking.scheduledDate), booking.timeSlot.split("-")[1]);
+};
+
+// Mark a pending booking as a no-show and update the customer's reliability
+export const markNoShow = async (booking, { userId, note } = {}) => {
+  booking.status = "no_show";
+  booking.noShowAt = new Date();
+  booking.notes.push({
+    note: note || "Customer did not arrive for the booking",
+    createdBy: userId,
+    createdAt: new Date()
+  });
+  await booking.save();
+
+  // The place is free again, for later in the day
+  await releaseBookingSlot(booking);
+  await refreshCustomerReliability(booking.customer);
+  return booking;
+};
+
+// Mark pending bookings whose slot ended more than the grace period ago and that were never checked in
+export const sweepNoShows = async () => {
+  const schedule = await getBookingSchedule();
+  const { autoMark, graceMinutes } = schedule.noShowPolicy;
+  if (!autoMark) {
+    return { marked: 0 };
+  }
+
+  const now = Date.now();
+  const candidates = await Booking.find({
+    status: "pending",
+    scheduledDate: { $lt: new Date(now + DAY_MS) },
+    "checkIn.recordedAt": { $exists: false },
+  });
+
+  let marked = 0;
+  for (const booking of candidates) {
+    if (getSlotEnd(booking).getTime() + graceMinutes * MINUTE_MS > now) continue;
+
+    await markNoShow(booking, { note: "Automatically marked as a no-show after the slot ended" });
+    marked += 1;
+  }
+
+  return { marked };
+};
+
+export default {
+  computeReliabilityScore,
+  refreshCustomerReliability,
+  getDepositRequirement,
+  checkDepositPaid,
+  getSlotEnd,
+  markNoShow,
+  sweepNoShows,
+};
@@ -0,0 +1,120 @@
+import { Notification } from "../models/Notification.js";
+import User from "../models/User.js";
+import { sendTemplatedEmail } from "./email/index.js";
+import { sendTemplatedSms } from "./sms/index.js";
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+const senders = {
+  email: sendTemplatedEmail,
+  sms: sendTemplatedSms,
+};
+
+// Channels a user opted into and can be reached on
+export const getOptedInChannels = (user) => {
+  const notifications = user.preferences?.notifications || {};
+  const channels = [];
+
+  if (notifications.email !== false && user.email) {
+    channels.push("email");
+  }
+  if (notifications.sms !== false && user.profile?.phoneNumber) {
+    channels.push("sms");
+  }
+
+  return channels;
+};
+
+// Queue a message on one channel. Returns null when the dedupe key was already used.
+export const queueNotification = async ({ user, channel, template, data = {}, sendAfter, dedupeKey, relatedEntity }) => {
+  try {
+    return await Notification.create({
+      user: user._id || user,
+      channel,
+      template,
+      data,
+      sendAfter: sendAfter || new Date(),
+      dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : undefined,
+      relatedEntity,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Queue a message on every channel the user opted into
+export const queueForUser = async (user, template, data = {}, options = {}) => {
+  const queued = [];
+
+  for (const channel of getOptedInChannels(user)) {
+    const notification = await queueNotification({ user, channel, template, data, ...options });
+    if (notification) {
+      queued.push(notification);
+    }
+  }
+
+  return queued;
+};
+
+// Send queued messages that are due. Failed sends are retried a few times.
+export const processNotificationQueue = async (limit = 50) => {
+  const notifications = await Notification.find({
+    status: "queued",
+    sendAfter: { $lte: new Date() },
+  })
+    .sort({ sendAfter: 1 })
+    .limit(limit);
+
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const notification of notifications) {
+    const user = await User.findById(notification.user);
+    notification.attempts += 1;
+
+    if (!user || user.status !== "active") {
+      notification.status = "skipped";
+      notification.lastError = "User not found or inactive";
+    } else {
+      let result;
+      try {
+        result = await senders[notification.channel](user, notification.template, notification.data);
+      } catch (error) {
+        // Unknown templates cannot succeed on a retry
+        result = { sent: false, reason: "error", error: error.message };
+        notification.attempts = MAX_ATTEMPTS;
+      }
+
+      if (result.sent) {
+        notification.status = "sent";
+        notification.sentAt = new Date();
+      } else if (result.reason === "opted_out") {
+        notification.status = "skipped";
+        notification.lastError = "User opted out";
+      } else if (notification.attempts >= MAX_ATTEMPTS) {
+        notification.status = "failed";
+        notification.lastError = result.error;
+      } else {
+        notification.sendAfter = new Date(Date.now() + RETRY_DELAY_MS);
+        notification.lastError = result.error;
+      }
+    }
+
+    await notification.save();
+    if (notification.status !== "queued") {
+      summary[notification.status] += 1;
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  getOptedInChannels,
+  queueNotification,
+  queueForUser,
+  processNotificationQueue,
+};
@@ -0,0 +1,378 @@
+import { RolePermission } from "../models/RolePermission.js";
+
+// Catalog of named permissions checked by authorizePermission()
+export const PERMISSIONS = {
+  // Bookings
+  "booking.read": "View bookings",
+  "booking.create": "Create bookings",
+  "booking.update": "Edit booking details",
+  "booking.reschedule": "Move bookings to another date or time slot",
+  "booking.updateStatus": "Move bookings through the workflow",
+  "booking.assignInspector": "Assign inspectors to bookings",
+  "booking.cancel": "Cancel bookings",
+  "booking.addNote": "Add notes to bookings",
+  "booking.viewStats": "View booking statistics",
+  "booking.viewInspectors": "List available inspectors",
+  "booking.manageSchedule": "Configure slot capacity, closed days and holidays",
+  "booking.checkInOut": "Record vehicle condition at check-in and check-out",
+  "booking.recordDeposit": "Record or waive deposits for bookings",
+  "booking.waiveCancellationFee": "Cancel bookings without the late cancellation fee",
+
+  // Waitlist
+  "waitlist.read": "View the waitlist for full time slots",
+  "waitlist.manage": "Add customers to the waitlist and book their offered slots",
+  "bookingRequest.read": "View booking requests from the public form",
+  "bookingRequest.manage": "Book or reject booking requests from the public form",
+
+  // Jobs
+  "job.create": "Create jobs",
+  "job.update": "Edit job details",
+  "job.delete": "Delete jobs",
+  "job.assignLabourers": "Assign technicians to jobs",
+  "job.addInspection": "Add inspection reports",
+  "job.logWork": "Log work on assigned jobs",
+  "job.viewAssigned": "View own assigned jobs",
+  "job.viewStats": "View job statistics",
+  "job.viewCapacity": "Plan technician capacity against leave and open work",
+  "job.viewTimers": "See which technicians are clocked on which jobs",
+  "job.manageTimers": "Stop job clocks technicians left running",
+
+  // Estimates
+  "estimate.read": "View estimates",
+  "estimate.manage": "Prepare estimates, send them to customers and record their answers",
+
+  // Service bays
+  "bay.read": "View service bays and the occupancy board",
+  "bay.reserve": "Reserve and release service bays for jobs",
+  "bay.manage": "Add and edit service bays",
+
+  // Service catalog
+  "serviceCatalog.read": "View the service catalog of job templates",
+  "serviceCatalog.manage": "Add and edit job templates, their parts kits and menu prices",
+
+  // Labour rates
+  "labourRate.read": "View labour rates and preview labour costs",
+  "labourRate.manage": "Set hourly rates and overtime, weekend and holiday multipliers",
+
+  // Calendar feeds
+  "calendar.assignments": "Subscribe to a calendar of own inspections and jobs",
+  "calendar.shop": "Subscribe to the whole-shop booking calendar",
+
+  // Service reminders
+  "reminder.read": "View vehicles due for a service",
+  "reminder.manage": "Configure service intervals and send reminders",
+
+  // Inventory
+  "inventory.read": "View inventory",
+  "inventory.create": "Add inventory items",
+  "inventory.update": "Edit inventory items",
+  "inventory.updateStock": "Adjust stock levels",
+  "inventory.delete": "Delete inventory items",
+  "inventory.viewLowStock": "View low stock report",
+  "inventory.viewStats": "View inventory statistics",
+
+  // Goods requests
+  "goodsRequest.create": "Request goods for a job",
+  "goodsRequest.read": "View all goods requests",
+  "goodsRequest.approve": "Approve or reject goods requests",
+  "goodsRequest.release": "Release approved goods",
+  "goodsRequest.viewStats": "View goods request statistics",
+
+  // Invoices
+  "invoice.read": "View invoices",
+  "invoice.create": "Create invoices",
+  "invoice.update": "Edit invoices",
+  "invoice.updateStatus": "Change invoice status",
+  "invoice.markPaid": "Mark invoices as paid",
+  "invoice.delete": "Cancel or delete invoices",
+  "invoice.viewStats": "View invoice statistics",
+
+  // Vehicles
+  "vehicle.read": "View vehicles",
+  "vehicle.create": "Register vehicles",
+  "vehicle.update": "Edit vehicle details",
+  "vehicle.updateMileage": "Update vehicle mileage",
+  "vehicle.updateStatus": "Change vehicle status",
+  "vehicle.transferOwnership": "Transfer vehicle ownership",
+  "vehicle.delete": "Deactivate or delete vehicles",
+  "vehicle.viewStats": "View vehicle statistics",
+
+  // Leave requests
+  "leave.read": "View all leave requests",
+  "leave.approve": "Approve or reject leave requests",
+  "leave.viewStats": "View leave statistics",
+
+  // Users
+  "user.list": "List users",
+  "user.read": "View user details",
+  "user.create": "Create users",
+  "user.update": "Edit users",
+  "user.delete": "Delete users",
+  "user.updateStatus": "Activate or suspend users",
+  "user.resetPassword": "Reset user passwords",
+  "user.revokeSessions": "Sign users out of all devices",
+  "user.addLoyaltyPoints": "Add loyalty points",
+  "user.updateCertifications": "Update employee certifications",
+  "user.verifyPhone": "Verify customer phone numbers at the front desk",
+  "user.viewTechnicians": "List technicians by specialization",
+  "user.viewStats": "View user statistics",
+
+  // Messaging
+  "message.staff": "Message other staff members",
+  "message.customer": "Message customers",
+
+  // Administration
+  "permission.manage": "Edit role permissions",
+  "audit.read": "View the audit trail",
+};
+
+const STAFF_MESSAGING = ["message.staff"];
+
+// Default role → permission mapping used until an admin overrides a role
+export const DEFAULT_ROLE_PERMISSIONS = {
+  customer: [],
+  technician: [
+    "inventory.read",
+    "job.logWork",
+    "job.viewAssigned",
+    "bay.read",
+    "calendar.assignments",
+    "vehicle.read",
+    "vehicle.updateMileage",
+    ...STAFF_MESSAGING,
+  ],
+  service_advisor: [
+    "booking.read",
+    "booking.create",
+    "booking.updateStatus",
+    "booking.addNote",
+    "booking.checkInOut",
+    "waitlist.read",
+    "bookingRequest.read",
+    "job.create",
+    "job.update",
+    "job.assignLabourers",
+    "job.addInspection",
+    "job.viewCapacity",
+    "job.viewTimers",
+    "job.viewStats",
+    "estimate.read",
+    "estimate.manage",
+    "bay.read",
+    "bay.reserve",
+    "serviceCatalog.read",
+    "calendar.assignments",
+    "reminder.read",
+    "inventory.read",
+    "inventory.viewLowStock",
+    "goodsRequest.create",
+    "invoice.read",
+    "invoice.create",
+    "invoice.update",
+    "invoice.updateStatus",
+    "invoice.markPaid",
+    "vehicle.read",
+    "vehicle.updateMileage",
+    "vehicle.updateStatus",
+    "user.read",
+    "user.addLoyaltyPoints",
+    "user.viewTechnicians",
+    "message.customer",
+    ...STAFF_MESSAGING,
+  ],
+  cashier: [
+    "booking.read",
+    "booking.create",
+    "booking.update",
+    "booking.reschedule",
+    "booking.updateStatus",
+    "booking.assignInspector",
+    "booking.cancel",
+    "booking.addNote",
+    "booking.checkInOut",
+    "booking.recordDeposit",
+    "booking.viewInspectors",
+    "estimate.read",
+    "waitlist.read",
+    "waitlist.manage",
+    "bookingRequest.read",
+    "bookingRequest.manage",
+    "bay.read",
+    "serviceCatalog.read",
+    "reminder.read",
+    "invoice.read",
+    "vehicle.read",
+    "vehicle.create",
+    "vehicle.update",
+    "user.verifyPhone",
+    "message.customer",
+    ...STAFF_MESSAGING,
+  ],
+  manager: [
+    "booking.read",
+    "booking.create",
+    "booking.update",
+    "booking.reschedule",
+    "booking.cancel",
+    "booking.addNote",
+    "booking.viewStats",
+    "booking.viewInspectors",
+    "booking.manageSchedule",
+    "booking.checkInOut",
+    "booking.recordDeposit",
+    "booking.waiveCancellationFee",
+    "waitlist.read",
+    "waitlist.manage",
+    "bookingRequest.read",
+    "bookingRequest.manage",
+    "job.create",
+    "job.update",
+    "job.delete",
+    "job.assignLabourers",
+    "job.addInspection",
+    "job.viewStats",
+    "job.viewCapacity",
+    "job.viewTimers",
+    "job.manageTimers",
+    "estimate.read",
+    "estimate.manage",
+    "bay.read",
+    "bay.reserve",
+    "bay.manage",
+    "serviceCatalog.read",
+    "serviceCatalog.manage",
+    "labourRate.read",
+    "labourRate.manage",
+    "calendar.shop",
+    "reminder.read",
+    "reminder.manage",
+    "inventory.read",
+    "inventory.create",
+    "inventory.update",
+    "inventory.updateStock",
+    "inventory.viewLowStock",
+    "inventory.viewStats",
+    "goodsRequest.create",
+    "goodsRequest.read",
+    "goodsRequest.approve",
+    "goodsRequest.release",
+    "goodsRequest.viewStats",
+    "invoice.read",
+    "invoice.create",
+    "invoice.update",
+    "invoice.updateStatus",
+    "invoice.markPaid",
+    "invoice.delete",
+    "invoice.viewStats",
+    "vehicle.read",
+    "vehicle.create",
+    "vehicle.update",
+    "vehicle.updateMileage",
+    "vehicle.updateStatus",
+    "vehicle.transferOwnership",
+    "vehicle.delete",
+    "vehicle.viewStats",
+    "leave.read",
+    "leave.approve",
+    "leave.viewStats",
+    "user.list",
+    "user.read",
+    "user.create",
+    "user.update",
+    "user.updateStatus",
+    "user.resetPassword",
+    "user.revokeSessions",
+    "user.addLoyaltyPoints",
+    "user.updateCertifications",
+    "user.verifyPhone",
+    "user.viewTechnicians",
+    "user.viewStats",
+    "message.customer",
+    ...STAFF_MESSAGING,
+  ],
+  // Admins always hold every permission (see hasPermission) so they cannot lock themselves out
+  admin: Object.keys(PERMISSIONS),
+};
+
+// Permissions staff hold through their department on top of their role's.
+// The inventory managers in the management department handle goods requests.
+export const DEPARTMENT_PERMISSIONS = {
+  management: [
+    "goodsRequest.read",
+    "goodsRequest.approve",
+    "goodsRequest.release",
+    "goodsRequest.viewStats",
+  ],
+};
+
+// Role permissions are cached briefly to avoid a database read on every request
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // role -> { permissions: Set, loadedAt }
+
+export const clearPermissionCache = (role) => {
+  if (role) {
+    cache.delete(role);
+  } else {
+    cache.clear();
+  }
+};
+
+// Effective permissions of a role (database override, else defaults)
+// An override only decides the permissions that existed when it was saved (knownPermissions).
+// Defaults added to the catalog later are granted on top, so customised roles still get new features.
+// Overrides saved before knownPermissions was recorded keep their list as is until they are saved again
+const withNewDefaults = (role, override) => {
+  const permissions = new Set(override.permissions);
+  if (!override.knownPermissions?.length) return permissions;
+
+  const known = new Set(override.knownPermissions);
+  for (const permission of DEFAULT_ROLE_PERMISSIONS[role] || []) {
+    if (!known.has(permission)) permissions.add(permission);
+  }
+  return permissions;
+};
+
+export const getRolePermissions = async (role) => {
+  if (role === "admin") {
+    return new Set(Object.keys(PERMISSIONS));
+  }
+
+  const cached = cache.get(role);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const override = await RolePermission.findOne({ role });
+  const permissions = override ? withNewDefaults(role, override) : new Set(DEFAULT_ROLE_PERMISSIONS[role] || []);
+  cache.set(role, { permissions, loadedAt: Date.now() });
+
+  return permissions;
+};
+
+// Everything a user can do: their role's permissions plus their department's
+export const getUserPermissions = async ({ role, department } = {}) => {
+  const permissions = new Set(await getRolePermissions(role));
+  for (const permission of DEPARTMENT_PERMISSIONS[department] || []) {
+    permissions.add(permission);
+  }
+  return permissions;
+};
+
+// Pass the user's department to include its department permissions
+export const hasPermission = async (role, permission, { department } = {}) => {
+  if (role === "admin") return true;
+  if (department && DEPARTMENT_PERMISSIONS[department]?.includes(permission)) return true;
+
+  const permissions = await getRolePermissions(role);
+  return permissions.has(permission);
+};
+
+export default {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  DEPARTMENT_PERMISSIONS,
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission,
+  clearPermissionCache,
+};
@@ -0,0 +1,60 @@
+import { processNotificationQueue } from "./notificationQueue.js";
+import { queueServiceReminders } from "./serviceReminderService.js";
+import { expireWaitlist } from "./waitlistService.js";
+import { sweepNoShows } from "./noShowService.js";
+import { expireBookingRequests } from "./bookingRequestService.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Background tasks run by the API process. Set SCHEDULER_ENABLED=false on
+// extra instances so the tasks only run once.
+const tasks = [
+  { name: "notification queue", intervalMs: MINUTE_MS, run: processNotificationQueue },
+  { name: "service reminders", intervalMs: DAY_MS, run: queueServiceReminders, runOnStart: true },
+  { name: "waitlist offers", intervalMs: 5 * MINUTE_MS, run: expireWaitlist },
+  { name: "no-show sweep", intervalMs: 15 * MINUTE_MS, run: sweepNoShows },
+  { name: "booking request expiry", intervalMs: 60 * MINUTE_MS, run: expireBookingRequests },
+];
+
+const timers = [];
+
+// Runs are skipped while the previous run of the same task is still going
+const schedule = (task) => {
+  let running = false;
+
+  const execute = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task.run();
+    } catch (error) {
+      console.error(`Scheduled task "${task.name}" failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  timers.push(setInterval(execute, task.intervalMs));
+  if (task.runOnStart) {
+    execute();
+  }
+};
+
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false" || timers.length > 0) {
+    return;
+  }
+
+  tasks.forEach(schedule);
+  console.log(`Scheduler started (${tasks.map(task => task.name).join(", ")})`);
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+export default {
+  startScheduler,
+  stopScheduler,
+};
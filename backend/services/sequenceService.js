@@ -0,0 +1,132 @@
+import { Counter } from "../models/Counter.js";
+
+// Human-readable ID formats. Prefix and padding of every sequence can be overridden
+// with ID_PREFIX_<NAME> / ID_PADDING_<NAME> (e.g. ID_PREFIX_BOOKING=BKG, ID_PADDING_INVENTORY_ITEM=6).
+// Sequences with a prefix per variant (user roles, departments) only take the padding override.
+const SEQUENCES = {
+  booking: { field: "bookingId", prefix: "BK", padding: 5 },
+  job: { field: "jobId", prefix: "JOB", padding: 5 },
+  // INVOICE_ID_YEARLY_RESET=true restarts numbering every year: INV-2026-00001
+  invoice: { field: "invoiceId", prefix: "INV", padding: 5, yearly: true },
+  inventoryItem: { field: "itemId", prefix: "ITM", padding: 5 },
+  vehicle: { field: "vehicleId", prefix: "VEH", padding: 5 },
+  goodsRequest: { field: "requestId", prefix: "GR", padding: 5 },
+  leaveRequest: { field: "requestId", prefix: "LR", padding: 5 },
+  serviceBay: { field: "bayId", prefix: "BAY", padding: 3 },
+  waitlist: { field: "waitlistId", prefix: "WL", padding: 5 },
+  estimate: { field: "estimateId", prefix: "EST", padding: 5 },
+  bookingRequest: { field: "requestId", prefix: "BR", padding: 5 },
+  serviceCatalog: { field: "code", prefix: "SVC", padding: 3 },
+  // userId, one sequence per role
+  user: {
+    field: "userId",
+    prefix: {
+      customer: "C",
+      technician: "T",
+      service_advisor: "SA",
+      manager: "M",
+      admin: "A",
+      cashier: "CS",
+    },
+    padding: 5,
+  },
+  // employeeDetails.employeeId, one sequence per department
+  employee: {
+    field: "employeeDetails.employeeId",
+    prefix: {
+      mechanical: "MEC",
+      electrical: "ELE",
+      bodywork: "BOD",
+      detailing: "DET",
+      customer_service: "CS",
+      management: "MGT",
+      front_desk: "FD",
+    },
+    padding: 3,
+  },
+};
+
+const envName = (sequence) => sequence.replace(/([A-Z])/g, "_$1").toUpperCase();
+
+// Effective format of a sequence (variant selects the role/department prefix)
+export const getSequenceFormat = (sequence, variant) => {
+  const config = SEQUENCES[sequence];
+  if (!config) {
+    throw new Error(`Unknown sequence: ${sequence}`);
+  }
+
+  const prefix = typeof config.prefix === "string"
+    ? process.env[`ID_PREFIX_${envName(sequence)}`] || config.prefix
+    : config.prefix[variant];
+
+  if (!prefix) {
+    throw new Error(`No ${sequence} ID prefix for: ${variant}`);
+  }
+
+  return {
+    field: config.field,
+    prefix,
+    padding: parseInt(process.env[`ID_PADDING_${envName(sequence)}`]) || config.padding,
+    yearly: !!config.yearly && process.env[`${envName(sequence)}_ID_YEARLY_RESET`] === "true",
+  };
+};
+
+// Name of the counter document a sequence (and variant/year) is stored in
+export const getCounterName = (sequence, variant, year) => {
+  return [sequence, variant, year].filter(part => part !== undefined && part !== null).join(".");
+};
+
+export const formatId = ({ prefix, padding, yearly }, number, year) => {
+  const digits = number.toString().padStart(padding, "0");
+  return yearly ? `${prefix}-${year}-${digits}` : `${prefix}${digits}`;
+};
+
+// Atomically take the next number of a counter
+export const nextSequenceValue = async (counterName) => {
+  const counter = await Counter.findOneAndUpdate(
+    { name: counterName },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+// Generate the next ID of a sequence, e.g. generateId("booking") → BK00042,
+// generateId("user", "customer") → C00007
+export const generateId = async (sequence, variant) => {
+  const format = getSequenceFormat(sequence, variant);
+  const year = format.yearly ? new Date().getFullYear() : undefined;
+
+  const number = await nextSequenceValue(getCounterName(sequence, variant, year));
+  return formatId(format, number, year);
+};
+
+// Move a counter forward to at least the given value (never backwards)
+export const seedCounter = async (counterName, value) => {
+  const counter = await Counter.findOneAndUpdate(
+    { name: counterName },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+export const getSequenceVariants = (sequence) => {
+  const config = SEQUENCES[sequence];
+  return typeof config.prefix === "string" ? [undefined] : Object.keys(config.prefix);
+};
+
+export const SEQUENCE_NAMES = Object.keys(SEQUENCES);
+
+export default {
+  generateId,
+  nextSequenceValue,
+  seedCounter,
+  getSequenceFormat,
+  getCounterName,
+  getSequenceVariants,
+  formatId,
+  SEQUENCE_NAMES,
+};
@@ -0,0 +1,90 @@
+import { ServiceCatalogItem } from "../models/ServiceCatalogItem.js";
+import { InventoryItem } from "../models/InventoryItem.js";
+import { createCustomError } from "../errors/custom-error.js";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const populateTemplate = (query) => {
+  return query.populate("partsKit.item", "itemId name unit unitPrice currentStock status");
+};
+
+// Parts kit lines must point at active inventory items. Returns an error or null.
+export const validatePartsKit = async (partsKit = []) => {
+  const itemIds = partsKit.map(part => part.item);
+  const items = await InventoryItem.find({ _id: { $in: itemIds } }).select("name status");
+
+  for (const part of partsKit) {
+    const item = items.find(candidate => candidate._id.toString() === String(part.item));
+    if (!item) {
+      return createCustomError(`Inventory item not found: ${part.item}`, 404);
+    }
+    if (item.status !== "active") {
+      return createCustomError(`Inventory item ${item.name} is ${item.status}`, 400);
+    }
+  }
+
+  return null;
+};
+
+// Time and materials cost of a template next to its menu price (parts kit populated),
+// with labour at the category rate from the labour rate table
+export const priceTemplate = (template, labourRate) => {
+  const labourCost = round(template.estimatedHours * labourRate);
+  const partsCost = round(template.partsKit.reduce((sum, part) => sum + part.quantity * (part.item?.unitPrice || 0), 0));
+  const timeAndMaterials = round(labourCost + partsCost);
+
+  return {
+    labourRate,
+    labourCost,
+    partsCost,
+    timeAndMaterials,
+    menuPrice: template.menuPrice ?? null,
+    // What the customer saves (or pays extra) with the menu price
+    menuDifference: template.menuPrice !== undefined && template.menuPrice !== null
+      ? round(timeAndMaterials - template.menuPrice)
+      : null,
+  };
+};
+
+// Job fields from a catalog template (parts kit populated)
+export const jobFieldsFromTemplate = (template) => ({
+  title: template.name,
+  description: template.description,
+  category: template.category,
+  estimatedHours: template.estimatedHours,
+  requirements: {
+    tools: template.tools.map(tool => ({ name: tool.name, description: tool.description })),
+    skills: [...template.skills],
+    materials: template.partsKit
+      .filter(part => part.item)
+      .map(part => ({
+        item: part.item._id,
+        name: part.item.name,
+        quantity: part.quantity,
+        unit: part.item.unit,
+      })),
+  },
+  serviceTemplate: template._id,
+  menuPrice: template.menuPrice ?? undefined,
+});
+
+// Active template to create a job from. Returns { template } or { error }.
+export const findActiveTemplate = async (templateId) => {
+  const template = await populateTemplate(ServiceCatalogItem.findById(templateId));
+  if (!template) {
+    return { error: createCustomError(`No service catalog item with id: ${templateId}`, 404) };
+  }
+  if (!template.active) {
+    return { error: createCustomError(`Service catalog item ${template.name} is no longer offered`, 400) };
+  }
+
+  return { template };
+};
+
+export default {
+  populateTemplate,
+  validatePartsKit,
+  priceTemplate,
+  jobFieldsFromTemplate,
+  findActiveTemplate,
+};
@@ -0,0 +1,194 @@
+import { Booking } from "../models/Booking.js";
+import { Vehicle } from "../models/Vehicle.js";
+import { ServiceReminderRule } from "../models/ServiceReminderRule.js";
+import { queueForUser } from "./notificationQueue.js";
+import { toDateKey } from "./bookingAvailabilityService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default intervals, used for service types without a rule in the database.
+// Repairs and bodywork are not periodic so they have no default rule.
+export const DEFAULT_RULES = {
+  maintenance: { intervalKm: 5000, intervalMonths: 6, leadDays: 14, leadKm: 500 },
+  inspection: { intervalKm: 10000, intervalMonths: 12, leadDays: 30, leadKm: 1000 },
+  detailing: { intervalMonths: 3, leadDays: 7 },
+};
+
+// Effective active rules keyed by service type (database rules override the defaults)
+export const getReminderRules = async () => {
+  const rules = {};
+  for (const [serviceType, rule] of Object.entries(DEFAULT_RULES)) {
+    rules[serviceType] = { serviceType, leadDays: 14, leadKm: 500, ...rule, active: true, customized: false };
+  }
+
+  const overrides = await ServiceReminderRule.find();
+  // Settings a saved rule leaves out come from the default
+  for (const override of overrides) {
+    rules[override.serviceType] = { ...rules[override.serviceType], ...override.toObject(), customized: true };
+  }
+
+  for (const serviceType of Object.keys(rules)) {
+    if (!rules[serviceType].active || (!rules[serviceType].intervalKm && !rules[serviceType].intervalMonths)) {
+      delete rules[serviceType];
+    }
+  }
+
+  return rules;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Next due date/mileage of one service type from the last completed booking of it
+export const computeNextDue = (rule, vehicle, lastService) => {
+  if (!lastService) {
+    return { serviceType: rule.serviceType, status: "no_history", rule };
+  }
+
+  const lastDate = lastService.completedAt || lastService.scheduledDate;
+  const dueDate = rule.intervalMonths ? addMonths(lastDate, rule.intervalMonths) : null;
+  const dueMileage = rule.intervalKm && lastService.mileageAtService !== undefined && lastService.mileageAtService !== null
+    ? lastService.mileageAtService + rule.intervalKm
+    : null;
+
+  const now = new Date();
+  const daysRemaining = dueDate ? Math.ceil((dueDate - now) / DAY_MS) : null;
+  const kmRemaining = dueMileage !== null ? dueMileage - (vehicle.mileage || 0) : null;
+
+  let status = "ok";
+  if ((daysRemaining !== null && daysRemaining <= 0) || (kmRemaining !== null && kmRemaining <= 0)) {
+    status = "overdue";
+  } else if ((daysRemaining !== null && daysRemaining <= rule.leadDays) || (kmRemaining !== null && kmRemaining <= rule.leadKm)) {
+    status = "due_soon";
+  }
+
+  return {
+    serviceType: rule.serviceType,
+    status,
+    lastService: {
+      booking: lastService._id,
+      bookingId: lastService.bookingId,
+      date: lastDate,
+      mileage: lastService.mileageAtService,
+    },
+    dueDate,
+    dueMileage,
+    daysRemaining,
+    kmRemaining,
+    rule: {
+      intervalKm: rule.intervalKm,
+      intervalMonths: rule.intervalMonths,
+    },
+  };
+};
+
+// Latest completed booking per vehicle and service type
+const findLastServices = async (match) => {
+  return Booking.aggregate([
+    { $match: { ...match, status: "completed" } },
+    { $sort: { completedAt: -1, scheduledDate: -1 } },
+    {
+      $group: {
+        _id: { vehicle: "$vehicle", serviceType: "$serviceType" },
+        booking: { $first: "$$ROOT" },
+      },
+    },
+    { $replaceRoot: { newRoot: "$booking" } },
+  ]);
+};
+
+// Next due date/mileage of every service type for a vehicle
+export const getUpcomingServices = async (vehicle) => {
+  const rules = await getReminderRules();
+  const lastServices = await findLastServices({ vehicle: vehicle._id, serviceType: { $in: Object.keys(rules) } });
+
+  // Already booked services are shown with the booking instead of a reminder
+  const upcomingBookings = await Booking.find({
+    vehicle: vehicle._id,
+    status: { $in: ["pending", "inspecting", "working"] },
+  }).select("bookingId serviceType scheduledDate timeSlot status");
+
+  return Object.values(rules).map(rule => {
+    const lastService = lastServices.find(service => service.serviceType === rule.serviceType);
+    const upcoming = computeNextDue(rule, vehicle, lastService);
+    const booking = upcomingBookings.find(item => item.serviceType === rule.serviceType);
+
+    return booking ? { ...upcoming, status: "booked", booking } : upcoming;
+  });
+};
+
+// Vehicles with a service overdue or due soon, for the front desk
+export const getDueReminders = async ({ serviceType, status } = {}) => {
+  const rules = await getReminderRules();
+  const serviceTypes = serviceType ? [serviceType].filter(type => rules[type]) : Object.keys(rules);
+  const statuses = status ? [status] : ["overdue", "due_soon"];
+
+  const lastServices = await findLastServices({ serviceType: { $in: serviceTypes } });
+  const vehicles = await Vehicle.find({
+    _id: { $in: [...new Set(lastServices.map(service => service.vehicle.toString()))] },
+    status: "active",
+  }).populate("owner", "userId email status profile.firstName profile.lastName profile.phoneNumber preferences");
+
+  const openBookings = await Booking.find({
+    vehicle: { $in: vehicles.map(vehicle => vehicle._id) },
+    status: { $in: ["pending", "inspecting", "working"] },
+  }).select("vehicle serviceType");
+
+  const reminders = [];
+  for (const lastService of lastServices) {
+    const vehicle = vehicles.find(item => item._id.toString() === lastService.vehicle.toString());
+    if (!vehicle || !vehicle.owner || vehicle.owner.status !== "active") continue;
+
+    // Skip services the customer has already booked
+    const alreadyBooked = openBookings.some(booking =>
+      booking.vehicle.toString() === vehicle._id.toString() && booking.serviceType === lastService.serviceType
+    );
+    if (alreadyBooked) continue;
+
+    const due = computeNextDue(rules[lastService.serviceType], vehicle, lastService);
+    if (statuses.includes(due.status)) {
+      reminders.push({ vehicle, customer: vehicle.owner, ...due });
+    }
+  }
+
+  // Most urgent first
+  return reminders.sort((a, b) => (a.daysRemaining ?? Infinity) - (b.daysRemaining ?? Infinity));
+};
+
+// Queue reminders for every due service on the channels each customer opted into.
+// One reminder per service cycle: re-running only queues reminders not sent before.
+export const queueServiceReminders = async () => {
+  const reminders = await getDueReminders();
+  let queued = 0;
+
+  for (const reminder of reminders) {
+    const { vehicle, customer } = reminder;
+
+    const notifications = await queueForUser(customer, "serviceReminder", {
+      serviceType: reminder.serviceType,
+      vehicle: `${vehicle.make} ${vehicle.model} (${vehicle.registrationNumber})`,
+      dueDate: reminder.dueDate ? toDateKey(reminder.dueDate) : "",
+      dueMileage: reminder.dueMileage || "",
+      overdue: reminder.status === "overdue",
+    }, {
+      dedupeKey: `serviceReminder:${vehicle._id}:${reminder.serviceType}:${reminder.lastService.booking}`,
+      relatedEntity: { type: "Vehicle", id: vehicle._id },
+    });
+
+    queued += notifications.length;
+  }
+
+  return { due: reminders.length, queued };
+};
+
+export default {
+  DEFAULT_RULES,
+  getReminderRules,
+  computeNextDue,
+  getUpcomingServices,
+  getDueReminders,
+  queueServiceReminders,
+};
@@ -0,0 +1,64 @@
+import templates from "./templates.js";
+import createLogProvider from "./providers/logProvider.js";
+
+// A provider is any object with a name and an async send({ to, message }) method
+const providerFactories = {
+  log: createLogProvider,
+};
+
+let provider;
+
+const getProvider = () => {
+  if (!provider) {
+    const providerName = process.env.SMS_PROVIDER || "log";
+    const factory = providerFactories[providerName];
+
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${providerName}`);
+    }
+
+    provider = factory();
+  }
+
+  return provider;
+};
+
+// Replace the active provider (e.g. with a gateway such as Dialog or Twilio)
+export const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+// Send a raw SMS through the configured provider
+export const sendSms = async ({ to, message }) => {
+  return getProvider().send({ to, message });
+};
+
+// Send a templated SMS to a user's phone in their preferred language.
+// Delivery problems are logged and never fail the calling request.
+export const sendTemplatedSms = async (user, templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${templateName}`);
+  }
+
+  if (!template.transactional && user.preferences?.notifications?.sms === false) {
+    return { sent: false, reason: "opted_out" };
+  }
+
+  const render = template[user.preferences?.language] || template.en;
+  const to = data.to || user.profile?.phoneNumber;
+
+  try {
+    const result = await sendSms({ to, message: render(data) });
+    return { sent: true, ...result };
+  } catch (error) {
+    console.error(`Failed to send ${templateName} SMS to ${to}:`, error.message);
+    return { sent: false, reason: "error", error: error.message };
+  }
+};
+
+export default {
+  sendSms,
+  sendTemplatedSms,
+  setProvider,
+};
@@ -0,0 +1,13 @@
+// Logging provider - prints messages to the console instead of sending them (development)
+const createLogProvider = () => {
+  return {
+    name: "log",
+    async send({ to, message }) {
+      const messageId = `log-${Date.now()}`;
+      console.log(`[SMS] to ${to}: ${message}`);
+      return { messageId };
+    },
+  };
+};
+
+export default createLogProvider;
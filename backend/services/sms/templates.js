@@ -0,0 +1,61 @@
+// SMS templates, one entry per message type with a version per language (en, si, ta).
+// Transactional messages are sent even if the user opted out of SMS notifications.
+
+const phoneVerification = {
+  transactional: true,
+  en: ({ code }) => `Your PitStop verification code is ${code}. It expires in 10 minutes. Do not share this code.`,
+  si: ({ code }) => `ඔබගේ PitStop තහවුරු කිරීමේ කේතය ${code}. එය මිනිත්තු 10 කින් කල් ඉකුත් වේ. මෙම කේතය කිසිවෙකු සමඟ බෙදා නොගන්න.`,
+  ta: ({ code }) => `உங்கள் PitStop சரிபார்ப்புக் குறியீடு ${code}. இது 10 நிமிடங்களில் காலாவதியாகும். இந்தக் குறியீட்டை யாருடனும் பகிர வேண்டாம்.`,
+};
+
+const estimateReady = {
+  transactional: true,
+  en: ({ estimateId, total, link }) =>
+    `PitStop: Estimate ${estimateId} (LKR ${total}) is ready. Approve or decline the work here: ${link}`,
+  si: ({ estimateId, total, link }) =>
+    `PitStop: ${estimateId} ඇස්තමේන්තුව (රු. ${total}) සූදානම්. වැඩ අනුමත හෝ ප්‍රතික්ෂේප කරන්න: ${link}`,
+  ta: ({ estimateId, total, link }) =>
+    `PitStop: மதிப்பீடு ${estimateId} (ரூ. ${total}) தயார். வேலையை ஏற்க அல்லது நிராகரிக்க: ${link}`,
+};
+
+const dueText = (dueDate, dueMileage, or) => {
+  return [dueDate, dueMileage ? `${dueMileage} km` : ""].filter(Boolean).join(` ${or} `);
+};
+
+const serviceReminder = {
+  transactional: false,
+  en: ({ serviceType, vehicle, dueDate, dueMileage, overdue }) =>
+    `PitStop: ${vehicle} is ${overdue ? "overdue" : "due"} for ${serviceType} (${dueText(dueDate, dueMileage, "or")}). Call us to book a slot.`,
+  si: ({ serviceType, vehicle, dueDate, dueMileage }) =>
+    `PitStop: ${vehicle} සඳහා ${serviceType} සේවාවට කාලයයි (${dueText(dueDate, dueMileage, "හෝ")}). වෙන්කිරීමට අපව අමතන්න.`,
+  ta: ({ serviceType, vehicle, dueDate, dueMileage }) =>
+    `PitStop: ${vehicle} க்கு ${serviceType} சேவை நேரம் (${dueText(dueDate, dueMileage, "அல்லது")}). முன்பதிவு செய்ய எங்களை அழைக்கவும்.`,
+};
+
+const waitlistOffer = {
+  transactional: false,
+  en: ({ serviceType, date, timeSlot, expiresAt }) =>
+    `PitStop: A ${serviceType} slot opened up on ${date} ${timeSlot}. It is held for you until ${expiresAt}. Accept in the app or call us.`,
+  si: ({ serviceType, date, timeSlot, expiresAt }) =>
+    `PitStop: ${date} ${timeSlot} ${serviceType} වේලාවක් දැන් ලබා ගත හැක. එය ${expiresAt} දක්වා ඔබ වෙනුවෙන් තබා ඇත. යෙදුමෙන් පිළිගන්න හෝ අපව අමතන්න.`,
+  ta: ({ serviceType, date, timeSlot, expiresAt }) =>
+    `PitStop: ${date} ${timeSlot} ${serviceType} நேரம் கிடைக்கிறது. ${expiresAt} வரை உங்களுக்காக வைக்கப்பட்டுள்ளது. செயலியில் ஏற்கவும் அல்லது எங்களை அழைக்கவும்.`,
+};
+
+const bookingRequestConfirmation = {
+  transactional: true,
+  en: ({ requestId, date, timeSlot, link }) =>
+    `PitStop: Confirm your booking request ${requestId} for ${date} ${timeSlot} here: ${link}`,
+  si: ({ requestId, date, timeSlot, link }) =>
+    `PitStop: ${date} ${timeSlot} සඳහා ඔබගේ ${requestId} වෙන්කිරීමේ ඉල්ලීම මෙතැනින් තහවුරු කරන්න: ${link}`,
+  ta: ({ requestId, date, timeSlot, link }) =>
+    `PitStop: ${date} ${timeSlot} க்கான உங்கள் முன்பதிவு கோரிக்கை ${requestId} ஐ இங்கே உறுதிப்படுத்தவும்: ${link}`,
+};
+
+export default {
+  phoneVerification,
+  estimateReady,
+  serviceReminder,
+  waitlistOffer,
+  bookingRequestConfirmation,
+};
@@ -0,0 +1,195 @@
+import Job from "../models/Job.js";
+import User from "../models/User.js";
+import { LeaveRequest } from "../models/LeaveRequest .js";
+import { createCustomError } from "../errors/custom-error.js";
+import { toDateKey, getBookingSchedule, getClosure } from "./bookingAvailabilityService.js";
+import { getLabourRateTable } from "./labourRateService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+// Jobs whose remaining hours are still owed by the technicians assigned to them
+const OPEN_STATUSES = ["pending", "working", "on_hold"];
+
+// Days ahead of the job's booking that an assignment is checked against
+const ASSIGNMENT_WINDOW_DAYS = Number(process.env.JOB_CAPACITY_WINDOW_DAYS) || 7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const addDays = (dateKey, days) => {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fullName = (user) => `${user.profile.firstName} ${user.profile.lastName}`;
+
+// Validated planning window as YYYY-MM-DD keys, a week from today by default
+export const resolveWindow = (from, to) => {
+  for (const value of [from, to]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      throw createCustomError("'from' and 'to' must be valid dates", 400);
+    }
+  }
+
+  const fromKey = from ? toDateKey(from) : toDateKey(new Date());
+  const toKey = to ? toDateKey(to) : addDays(fromKey, 6);
+
+  if (toKey < fromKey) {
+    throw createCustomError("'to' must not be before 'from'", 400);
+  }
+  if (addDays(fromKey, MAX_RANGE_DAYS) < toKey) {
+    throw createCustomError(`Capacity can be planned for at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { fromKey, toKey };
+};
+
+// Hours a technician still owes each open job: their share of the estimate less what they logged
+const remainingShare = (job, assignment) => {
+  const share = (job.estimatedHours || 0) / job.assignedLabourers.length;
+  return Math.max(share - (assignment.hoursWorked || 0), 0);
+};
+
+// Capacity of active technicians between two days (inclusive). Working hours are the regular hours of the
+// labour rate table on the days the shop is open, less approved leave. All remaining open work assigned to a
+// technician counts against the window, since jobs are worked in order rather than on a set day.
+// Returns { from, to, technicians }.
+export const getTechnicianCapacity = async ({ from, to, technicianIds, excludeJobId } = {}) => {
+  const { fromKey, toKey } = resolveWindow(from, to);
+
+  const schedule = await getBookingSchedule();
+  const rateTable = await getLabourRateTable();
+  const dayHours = Math.max(toMinutes(rateTable.regularHours.end) - toMinutes(rateTable.regularHours.start), 0) / 60;
+
+  const openDays = [];
+  for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+    if (!getClosure(schedule, dateKey)) openDays.push(dateKey);
+  }
+
+  const technicianQuery = { role: "technician", status: "active" };
+  if (technicianIds) technicianQuery._id = { $in: technicianIds };
+  const technicians = await User.find(technicianQuery)
+    .select("userId profile.firstName profile.lastName employeeDetails.specializations employeeDetails.skillLevel");
+  const ids = technicians.map(technician => technician._id);
+
+  // Leave dates are stored as midnight UTC of the day
+  const leaves = await LeaveRequest.find({
+    employee: { $in: ids },
+    status: "approved",
+    startDate: { $lte: new Date(`${toKey}T00:00:00.000Z`) },
+    endDate: { $gte: new Date(`${fromKey}T00:00:00.000Z`) },
+  }).select("requestId employee leaveType startDate endDate");
+
+  const jobQuery = { status: { $in: OPEN_STATUSES }, "assignedLabourers.labourer": { $in: ids } };
+  if (excludeJobId) jobQuery._id = { $ne: excludeJobId };
+  const jobs = await Job.find(jobQuery).select("jobId title status priority estimatedHours assignedLabourers");
+
+  const capacity = technicians.map(technician => {
+    const id = technician._id.toString();
+
+    const technicianLeave = leaves.filter(leave => leave.employee.toString() === id);
+    const leaveDays = openDays.filter(dateKey => technicianLeave.some(leave =>
+      leave.startDate.toISOString().slice(0, 10) <= dateKey && dateKey <= leave.endDate.toISOString().slice(0, 10)
+    ));
+
+    const openJobs = [];
+    for (const job of jobs) {
+      const assignment = job.assignedLabourers.find(item => item.labourer.toString() === id);
+      if (!assignment) continue;
+      openJobs.push({
+        _id: job._id,
+        jobId: job.jobId,
+        title: job.title,
+        status: job.status,
+        priority: job.priority,
+        remainingHours: round(remainingShare(job, assignment)),
+      });
+    }
+
+    const availableHours = round((openDays.length - leaveDays.length) * dayHours);
+    const committedHours = round(openJobs.reduce((total, job) => total + job.remainingHours, 0));
+
+    return {
+      technician: {
+        _id: technician._id,
+        userId: technician.userId,
+        name: fullName(technician),
+        specializations: technician.employeeDetails?.specializations || [],
+        skillLevel: technician.employeeDetails?.skillLevel,
+      },
+      workingDays: openDays.length,
+      leaveDays: leaveDays.length,
+      leave: technicianLeave.map(leave => ({
+        requestId: leave.requestId,
+        leaveType: leave.leaveType,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+      })),
+      availableHours,
+      committedHours,
+      freeHours: round(availableHours - committedHours),
+      utilization: availableHours > 0 ? Math.round((committedHours / availableHours) * 100) : null,
+      overbooked: committedHours > availableHours,
+      openJobs,
+    };
+  });
+
+  return { from: fromKey, to: toKey, technicians: capacity };
+};
+
+// Check technicians picked for a job against their capacity in the week from the booking date (or today).
+// Returns { blocking, warnings }: leave for the whole window and overbooking block, partial leave only warns.
+export const checkAssignmentCapacity = async (job, labourerIds, scheduledDate) => {
+  const todayKey = toDateKey(new Date());
+  const bookingKey = scheduledDate ? toDateKey(scheduledDate) : todayKey;
+  const fromKey = bookingKey > todayKey ? bookingKey : todayKey;
+  const toKey = addDays(fromKey, ASSIGNMENT_WINDOW_DAYS - 1);
+
+  const { technicians } = await getTechnicianCapacity({
+    from: fromKey,
+    to: toKey,
+    technicianIds: labourerIds,
+    excludeJobId: job._id,
+  });
+
+  // Each technician takes an equal share of the job's estimate
+  const addedHours = round((job.estimatedHours || 0) / labourerIds.length);
+
+  const blocking = [];
+  const warnings = [];
+  for (const entry of technicians) {
+    const { name } = entry.technician;
+    const committedHours = round(entry.committedHours + addedHours);
+    const issue = (type, message) => ({
+      technician: entry.technician,
+      issue: type,
+      message,
+      availableHours: entry.availableHours,
+      committedHours,
+      leave: entry.leave,
+    });
+
+    if (entry.workingDays > 0 && entry.leaveDays === entry.workingDays) {
+      blocking.push(issue("on_leave", `${name} is on approved leave from ${fromKey} to ${toKey}`));
+    } else if (committedHours > entry.availableHours) {
+      blocking.push(issue(
+        "overbooked",
+        `${name} would have ${committedHours}h of open work against ${entry.availableHours}h available from ${fromKey} to ${toKey}`
+      ));
+    } else if (entry.leaveDays > 0) {
+      warnings.push(issue("partial_leave", `${name} is on leave ${entry.leaveDays} of ${entry.workingDays} working days from ${fromKey} to ${toKey}`));
+    }
+  }
+
+  return { blocking, warnings, addedHours, from: fromKey, to: toKey };
+};
+
+export default {
+  resolveWindow,
+  getTechnicianCapacity,
+  checkAssignmentCapacity,
+};
@@ -0,0 +1,137 @@
+import { createCustomError } from "../errors/custom-error.js";
+
+const FUEL_LEVELS = ["empty", "quarter", "half", "three_quarters", "full"];
+const MAX_PHOTOS = 10;
+
+// Multipart forms send arrays and objects as JSON strings
+const parseJsonField = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  if (typeof value !== "string") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+// Build a condition record from the request body. Returns { record } or { error }.
+export const parseConditionRecord = (body) => {
+  const odometer = Number(body.odometer);
+  if (body.odometer === undefined || body.odometer === "" || isNaN(odometer) || odometer < 0) {
+    return { error: createCustomError("A valid odometer reading is required", 400) };
+  }
+  if (!FUEL_LEVELS.includes(body.fuelLevel)) {
+    return { error: createCustomError(`Fuel level must be one of: ${FUEL_LEVELS.join(", ")}`, 400) };
+  }
+
+  const damage = parseJsonField(body.damage, []);
+  const valuables = parseJsonField(body.valuables, []);
+  const items = parseJsonField(body.items, []);
+  const acknowledgement = parseJsonField(body.acknowledgement, null);
+
+  if (![damage, valuables, items].every(Array.isArray)) {
+    return { error: createCustomError("Damage, valuables and items must be lists", 400) };
+  }
+  if (damage.some(entry => !entry?.location)) {
+    return { error: createCustomError("Each damage entry needs a location", 400) };
+  }
+  if (items.some(item => !item?.name)) {
+    return { error: createCustomError("Each checklist item needs a name", 400) };
+  }
+
+  const record = {
+    odometer,
+    fuelLevel: body.fuelLevel,
+    damage,
+    valuables: valuables.filter(Boolean),
+    items,
+    notes: body.notes,
+  };
+
+  // Customer signing at the desk
+  if (acknowledgement?.name) {
+    record.acknowledgement = {
+      name: acknowledgement.name,
+      signature: acknowledgement.signature,
+      method: "in_person",
+      acknowledgedAt: new Date(),
+    };
+  }
+
+  return { record };
+};
+
+// Upload condition photos to blob storage. Returns the photo entries or throws a custom error.
+export const uploadConditionPhotos = async (files = [], folder, captions = []) => {
+  if (files.length === 0) return [];
+
+  if (files.length > MAX_PHOTOS) {
+    throw createCustomError(`At most ${MAX_PHOTOS} photos can be uploaded at once`, 400);
+  }
+  if (files.some(file => !file.mimetype.startsWith("image/"))) {
+    throw createCustomError("Condition photos must be images", 400);
+  }
+
+  // Loaded on first use so the API still starts where blob storage is not configured
+  let azureBlobService;
+  try {
+    ({ default: azureBlobService } = await import("./azureBlobService.js"));
+  } catch (error) {
+    throw createCustomError(`Photo storage is not available: ${error.message}`, 503);
+  }
+
+  const photos = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const result = await azureBlobService.uploadFile(file, folder);
+      photos.push({ url: result.url, blobName: result.blobName, caption: [].concat(captions)[index] });
+    }
+  } catch (error) {
+    await deleteConditionPhotos(photos);
+    throw error;
+  }
+
+  return photos;
+};
+
+// Remove photos whose condition record was not saved. Failures are logged, the blobs are only orphaned.
+export const deleteConditionPhotos = async (photos = []) => {
+  if (photos.length === 0) return;
+
+  const { default: azureBlobService } = await import("./azureBlobService.js");
+  for (const photo of photos) {
+    try {
+      await azureBlobService.deleteFile(photo.blobName);
+    } catch (error) {
+      console.error(`Failed to delete condition photo ${photo.blobName}:`, error.message);
+    }
+  }
+};
+
+const damageKey = (entry) => `${entry.location.trim().toLowerCase()}|${entry.type || "other"}`;
+
+// What changed between check-in and check-out
+export const compareConditions = (checkIn, checkOut) => {
+  if (!checkIn || !checkOut) return null;
+
+  const checkInDamage = new Set(checkIn.damage.map(damageKey));
+  const checkOutValuables = new Set(checkOut.valuables.map(item => item.toLowerCase()));
+  const checkInItems = checkIn.items.filter(item => item.present).map(item => item.name.toLowerCase());
+  const checkOutItems = new Set(checkOut.items.filter(item => item.present).map(item => item.name.toLowerCase()));
+
+  return {
+    distanceDriven: checkOut.odometer - checkIn.odometer,
+    fuelLevel: { checkIn: checkIn.fuelLevel, checkOut: checkOut.fuelLevel },
+    newDamage: checkOut.damage.filter(entry => !checkInDamage.has(damageKey(entry))),
+    missingValuables: checkIn.valuables.filter(item => !checkOutValuables.has(item.toLowerCase())),
+    missingItems: checkInItems.filter(name => !checkOutItems.has(name)),
+  };
+};
+
+export default {
+  parseConditionRecord,
+  uploadConditionPhotos,
+  deleteConditionPhotos,
+  compareConditions,
+};
@@ -0,0 +1,39 @@
+import { Vehicle } from "../models/Vehicle.js";
+import { createCustomError } from "../errors/custom-error.js";
+
+// Check an odometer reading against a vehicle without storing it. Readings never go backwards.
+// Returns { vehicle } or { error }.
+export const checkMileage = async (vehicleId, mileage) => {
+  if (!mileage || mileage < 0) {
+    return { error: createCustomError("Please provide a valid mileage value", 400) };
+  }
+
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    return { error: createCustomError(`No vehicle found with id: ${vehicleId}`, 404) };
+  }
+
+  // Ensure new mileage is not less than current mileage
+  if (mileage < vehicle.mileage) {
+    return { error: createCustomError(`New mileage cannot be less than current mileage (${vehicle.mileage} km)`, 400) };
+  }
+
+  return { vehicle };
+};
+
+// Record an odometer reading on a vehicle. Returns { vehicle } or { error }.
+export const recordMileage = async (vehicleId, mileage) => {
+  const { vehicle, error } = await checkMileage(vehicleId, mileage);
+  if (error) {
+    return { error };
+  }
+
+  if (mileage !== vehicle.mileage) {
+    vehicle.mileage = mileage;
+    await vehicle.save();
+  }
+
+  return { vehicle };
+};
+
+export default recordMileage;
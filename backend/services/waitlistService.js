@@ -0,0 +1,254 @@
+import { WaitlistEntry } from "../models/WaitlistEntry.js";
+import User from "../models/User.js";
+import { createCustomError } from "../errors/custom-error.js";
+import { getAvailability, countOpenOffers, createBookingInSlot, toDateKey, toShopTime } from "./bookingAvailabilityService.js";
+import { getDepositRequirement } from "./noShowService.js";
+import { queueForUser } from "./notificationQueue.js";
+import { sendTemplatedEmail, formatDateForUser } from "./email/index.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a customer has to take an offered slot before it goes to the next entry
+const OFFER_HOLD_HOURS = Number(process.env.WAITLIST_OFFER_HOURS) || 12;
+
+export const PRIORITY_ORDER = { urgent: 0, high: 1, medium: 2, low: 3 };
+
+const OPEN_STATUSES = ["waiting", "offered"];
+
+// Booking dates are stored as midnight UTC of the shop-local day
+export const toStoredDate = (date) => new Date(toDateKey(date));
+
+const dayRange = (dateKey) => {
+  const start = new Date(dateKey);
+  return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+};
+
+const describeVehicle = (vehicle) => {
+  return vehicle ? `${vehicle.make} ${vehicle.model} (${vehicle.registrationNumber})` : "";
+};
+
+// Highest priority first, then first come first served
+const byPriority = (a, b) => {
+  return (PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]) || (a.createdAt - b.createdAt);
+};
+
+// Entries waiting for a day and slot, in the order they get offered the slot
+export const findMatchingEntries = async ({ dateKey, timeSlot, serviceType }) => {
+  const entries = await WaitlistEntry.find({
+    status: "waiting",
+    serviceType,
+    preferredDates: { $elemMatch: dayRange(dateKey) },
+    $or: [{ preferredTimeSlots: { $size: 0 } }, { preferredTimeSlots: timeSlot }],
+  })
+    .populate("customer", "userId email status profile.firstName profile.lastName profile.phoneNumber preferences")
+    .populate("vehicle", "registrationNumber make model");
+
+  return entries.sort(byPriority);
+};
+
+// Free places in a slot that have not already been offered to someone
+const getUnofferedPlaces = async ({ dateKey, timeSlot, serviceType }) => {
+  const availability = await getAvailability({ from: dateKey, to: dateKey, serviceType });
+  const slot = availability.days[0]?.slots.find(item => item.timeSlot === timeSlot);
+  if (!slot) return 0;
+
+  const openOffers = await countOpenOffers({ dateKey, timeSlot, serviceType });
+
+  return slot.remaining - openOffers;
+};
+
+const makeOffer = async (entry, { dateKey, timeSlot }) => {
+  const now = new Date();
+  const slotStart = toShopTime(dateKey, timeSlot.split("-")[0]);
+  const expiresAt = new Date(Math.min(now.getTime() + OFFER_HOLD_HOURS * HOUR_MS, slotStart.getTime()));
+
+  entry.status = "offered";
+  entry.offer = {
+    scheduledDate: new Date(dateKey),
+    timeSlot,
+    offeredAt: now,
+    expiresAt,
+  };
+  await entry.save();
+
+  const customer = entry.customer;
+  if (customer?.status === "active") {
+    await queueForUser(customer, "waitlistOffer", {
+      waitlistId: entry.waitlistId,
+      serviceType: entry.serviceType,
+      vehicle: describeVehicle(entry.vehicle),
+      date: formatDateForUser(entry.offer.scheduledDate, customer),
+      timeSlot,
+      expiresAt: expiresAt.toLocaleString("en-GB", {
+        timeZone: customer.preferences?.timezone || "Asia/Colombo",
+        dateStyle: "medium",
+        timeStyle: "short",
+      }),
+    }, {
+      dedupeKey: `waitlistOffer:${entry._id}:${dateKey}:${timeSlot}`,
+      relatedEntity: { type: "WaitlistEntry", id: entry._id },
+    });
+  }
+
+  return entry;
+};
+
+// Offer a slot that just freed up to the matching waitlist entries, one entry per free place.
+// Called after cancellations and reschedules, so failures are logged and never fail the caller.
+export const offerFreedSlot = async ({ scheduledDate, timeSlot, serviceType }) => {
+  try {
+    const slot = { dateKey: toDateKey(scheduledDate), timeSlot, serviceType };
+
+    const places = await getUnofferedPlaces(slot);
+    if (places <= 0) return [];
+
+    const entries = (await findMatchingEntries(slot)).slice(0, places);
+    for (const entry of entries) {
+      await makeOffer(entry, slot);
+    }
+
+    return entries;
+  } catch (error) {
+    console.error(`Failed to offer ${toDateKey(scheduledDate)} ${timeSlot} to the waitlist:`, error.message);
+    return [];
+  }
+};
+
+const hasFuturePreferredDate = (entry) => {
+  const today = toStoredDate(new Date());
+  return entry.preferredDates.some(date => date >= today);
+};
+
+// Close the current offer and put the entry back in the queue (or expire it when its dates passed)
+const closeOffer = (entry, outcome) => {
+  const { scheduledDate, timeSlot, offeredAt } = entry.offer;
+  entry.offerHistory.push({ scheduledDate, timeSlot, offeredAt, outcome, closedAt: new Date() });
+  entry.offer = undefined;
+  entry.status = outcome === "accepted" ? "booked" : hasFuturePreferredDate(entry) ? "waiting" : "expired";
+
+  return { scheduledDate, timeSlot, serviceType: entry.serviceType };
+};
+
+// Customer turned the offered slot down, it moves on to the next entry.
+// Returns an error to pass to next(), or null.
+export const declineOffer = async (entry, { reason, userId }) => {
+  if (entry.status !== "offered") {
+    return createCustomError("This waitlist entry has no open offer", 400);
+  }
+
+  const declinedSlot = closeOffer(entry, "declined");
+  entry.notes.push({
+    note: `Declined ${toDateKey(declinedSlot.scheduledDate)} ${declinedSlot.timeSlot}${reason ? `: ${reason}` : ""}`,
+    createdBy: userId,
+    createdAt: new Date(),
+  });
+  await entry.save();
+
+  await offerFreedSlot(declinedSlot);
+  return null;
+};
+
+// Book the entry, by default into the slot it was offered.
+// Returns { booking } or { error }.
+export const convertToBooking = async (entry, { scheduledDate, timeSlot, userId }) => {
+  if (!OPEN_STATUSES.includes(entry.status)) {
+    return { error: createCustomError(`Cannot book a waitlist entry that is ${entry.status}`, 400) };
+  }
+
+  const date = scheduledDate || entry.offer?.scheduledDate;
+  const slot = timeSlot || entry.offer?.timeSlot;
+  if (!date || !slot) {
+    return { error: createCustomError("A scheduled date and time slot are required", 400) };
+  }
+
+  // Taking another slot than the offered one frees the offered place
+  const offered = entry.status === "offered" ? entry.offer : null;
+  const otherSlot = offered && (toDateKey(offered.scheduledDate) !== toDateKey(date) || offered.timeSlot !== slot);
+
+  // Customers who missed bookings before pay a deposit
+  const customerId = entry.customer._id || entry.customer;
+  const customer = await User.findById(customerId).select("customerDetails");
+  if (!customer) {
+    return { error: createCustomError("The customer on this waitlist entry no longer exists", 404) };
+  }
+  const deposit = await getDepositRequirement(customer);
+
+  const { booking, error } = await createBookingInSlot({
+    customer: customerId,
+    vehicle: entry.vehicle._id || entry.vehicle,
+    serviceType: entry.serviceType,
+    scheduledDate: date,
+    timeSlot: slot,
+    description: entry.description,
+    priority: entry.priority,
+    deposit: deposit.required ? { required: true, amount: deposit.amount } : undefined,
+    createdBy: userId,
+    notes: [{
+      note: deposit.required
+        ? `Booked from waitlist ${entry.waitlistId}, deposit of LKR ${deposit.amount} required after ${deposit.noShowCount} no-shows`
+        : `Booked from waitlist ${entry.waitlistId}`,
+      createdBy: userId,
+      createdAt: new Date()
+    }]
+  }, { waitlistEntryId: entry._id }); // The place held by the entry's own offer is free for it
+  if (error) {
+    return { error };
+  }
+
+  let releasedSlot = null;
+  if (offered) {
+    releasedSlot = closeOffer(entry, otherSlot ? "declined" : "accepted");
+  }
+  entry.status = "booked";
+  entry.booking = booking._id;
+  await entry.save();
+
+  if (otherSlot) {
+    await offerFreedSlot(releasedSlot);
+  }
+
+  await booking.populate("customer vehicle");
+  await sendTemplatedEmail(booking.customer, "bookingConfirmation", {
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    vehicle: describeVehicle(booking.vehicle),
+    date: formatDateForUser(booking.scheduledDate, booking.customer),
+    timeSlot: booking.timeSlot,
+  });
+
+  return { booking };
+};
+
+// Expire unanswered offers (passing the slot on) and entries whose preferred dates are over
+export const expireWaitlist = async () => {
+  const expiredOffers = await WaitlistEntry.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: new Date() },
+  });
+
+  for (const entry of expiredOffers) {
+    const slot = closeOffer(entry, "expired");
+    await entry.save();
+    await offerFreedSlot(slot);
+  }
+
+  const { modifiedCount } = await WaitlistEntry.updateMany(
+    {
+      status: "waiting",
+      preferredDates: { $not: { $elemMatch: { $gte: toStoredDate(new Date()) } } },
+    },
+    { status: "expired" }
+  );
+
+  return { offersExpired: expiredOffers.length, entriesExpired: modifiedCount };
+};
+
+export default {
+  toStoredDate,
+  findMatchingEntries,
+  offerFreedSlot,
+  declineOffer,
+  convertToBooking,
+  expireWaitlist,
+};
@@ -2,6 +2,7 @@ import { Server } from "socket.io";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
 import Message from "../models/Message.js";
+import { hasPermission } from "../services/permissionService.js";
 
 class SocketHandler {
   constructor(server) {
@@ -33,7 +34,7 @@ class SocketHandler {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.userId);
 
-        if (!user || user.status !== "active") {
+        if (!user || user.status !== "active" || decoded.purpose === "2fa_pending") {
           return next(new Error("Authentication error: Invalid user"));
         }
 
@@ -116,7 +117,7 @@ class SocketHandler {
       }
 
       // Check if conversation is allowed based on roles
-      if (!this.isConversationAllowed(socket.userRole, recipient.role)) {
+      if (!(await this.isConversationAllowed(socket.userRole, recipient.role))) {
         socket.emit("error", { message: "Conversation not allowed between these roles" });
         return;
       }
@@ -167,7 +168,7 @@ class SocketHandler {
       }
 
       // Check conversation permissions
-      if (!this.isConversationAllowed(socket.userRole, recipient.role)) {
+      if (!(await this.isConversationAllowed(socket.userRole, recipient.role))) {
         socket.emit("error", { message: "Not authorized to send message to this user" });
         return;
       }
@@ -270,19 +271,19 @@ class SocketHandler {
     });
   }
 
-  // Check if conversation is allowed between roles
-  isConversationAllowed(role1, role2) {
-    const allowedConversations = [
-      ["employee", "hr_officer"],
-      ["hr_officer", "insurance_agent"],
-      ["admin", "hr_officer"],
-      ["admin", "insurance_agent"],
-      ["admin", "employee"],
-    ];
-
-    return allowedConversations.some(
-      ([r1, r2]) => (role1 === r1 && role2 === r2) || (role1 === r2 && role2 === r1)
-    );
+  // Check if conversation is allowed between roles (based on the message.* permissions)
+  async isConversationAllowed(role1, role2) {
+    if (role1 === "customer" && role2 === "customer") {
+      return false;
+    }
+
+    // Customers can talk to staff who are allowed to message customers
+    if (role1 === "customer" || role2 === "customer") {
+      const staffRole = role1 === "customer" ? role2 : role1;
+      return hasPermission(staffRole, "message.customer");
+    }
+
+    return (await hasPermission(role1, "message.staff")) && (await hasPermission(role2, "message.staff"));
   }
 
   // Method to send system messages (for claim updates, etc.)
@@ -0,0 +1,81 @@
+// Render an invoice as a standalone HTML document that customers can download and print
+
+const escapeHtml = (value) => {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+const formatAmount = (amount) => {
+  return `LKR ${Number(amount || 0).toLocaleString("en-LK", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (date) => {
+  return date ? new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" }) : "";
+};
+
+export const renderInvoiceHtml = (invoice) => {
+  const customer = invoice.customer || {};
+  const booking = invoice.booking || {};
+  const vehicle = booking.vehicle || {};
+  const customerName = `${customer.profile?.firstName || ""} ${customer.profile?.lastName || ""}`.trim();
+
+  const itemRows = invoice.items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.description)}</td>
+        <td class="num">${item.quantity}</td>
+        <td class="num">${formatAmount(item.unitPrice)}</td>
+        <td class="num">${formatAmount(item.total)}</td>
+      </tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoiceId)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 14px; margin: 40px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>PitStop</h1>
+  <h2>Invoice ${escapeHtml(invoice.invoiceId)}</h2>
+  <p>
+    Date: ${formatDate(invoice.createdAt)}<br>
+    Status: ${escapeHtml(invoice.status)}${invoice.paidAt ? ` (paid ${formatDate(invoice.paidAt)})` : ""}
+  </p>
+  <p>
+    <strong>Billed to:</strong> ${escapeHtml(customerName)}<br>
+    ${escapeHtml(customer.email)}
+  </p>
+  <p>
+    <strong>Booking:</strong> ${escapeHtml(booking.bookingId)} - ${escapeHtml(booking.serviceType)}<br>
+    <strong>Vehicle:</strong> ${escapeHtml(`${vehicle.make || ""} ${vehicle.model || ""}`.trim())} ${escapeHtml(vehicle.registrationNumber)}
+  </p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Total</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="num">Labour</td><td class="num">${formatAmount(invoice.laborCharges)}</td></tr>
+    <tr><td class="num">Subtotal</td><td class="num">${formatAmount(invoice.subtotal)}</td></tr>
+    <tr><td class="num">Tax</td><td class="num">${formatAmount(invoice.tax)}</td></tr>
+    <tr><td class="num">Discount</td><td class="num">-${formatAmount(invoice.discount)}</td></tr>
+    <tr><td class="num"><strong>Total</strong></td><td class="num"><strong>${formatAmount(invoice.total)}</strong></td></tr>
+  </table>
+  ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ""}
+</body>
+</html>
+`;
+};
+
+export default renderInvoiceHtml;
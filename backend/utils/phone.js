@@ -0,0 +1,15 @@
+// Normalize Sri Lankan phone numbers to +94XXXXXXXXX
+export const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber) return phoneNumber;
+
+  let phone = phoneNumber.replace(/\s+/g, "");
+  if (phone.startsWith("0")) {
+    phone = "+94" + phone.substring(1);
+  } else if (!phone.startsWith("+94")) {
+    phone = "+94" + phone;
+  }
+
+  return phone;
+};
+
+export default normalizePhoneNumber;
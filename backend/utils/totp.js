@@ -0,0 +1,141 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (compatible with Google Authenticator, Authy, etc.)
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random base32 secret (160 bits as recommended by RFC 4226)
+export const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+// Generate the TOTP code for a secret at a given time
+export const generateCode = (secret, timestamp = Date.now()) => {
+  const counter = Math.floor(timestamp / 1000 / TOTP_PERIOD);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+// Time step a code belongs to, allowing for a small clock drift (window = number of periods either side).
+// Returns null when the code does not match.
+export const findCodeStep = (secret, code, window = 1) => {
+  if (!secret || !code) return null;
+
+  const normalized = code.toString().replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = Date.now();
+  for (let i = -window; i <= window; i++) {
+    const timestamp = now + i * TOTP_PERIOD * 1000;
+    const candidate = generateCode(secret, timestamp);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+    }
+  }
+
+  return null;
+};
+
+// Verify a code, allowing for a small clock drift
+export const verifyCode = (secret, code, window = 1) => {
+  return findCodeStep(secret, code, window) !== null;
+};
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || "PitStop") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD.toString(),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate one-time recovery codes (e.g. "4F9A-21C7")
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(4).toString("hex").toUpperCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+};
+
+// Recovery codes are stored hashed, like passwords
+export const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash("sha256")
+    .update(code.toString().replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+};
+
+export default {
+  generateSecret,
+  generateCode,
+  findCodeStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};